@@ -0,0 +1,115 @@
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+
+console.log("Fenix.AI - бенчмарк матричного движка");
+
+// Прежний путь: массив весов у каждого нейрона, reduce и копирование входов
+function createLegacyLayers(network) {
+    return network.layers.map(layer => ({
+        activation: layer.activationFunction,
+        neurons: layer.getWeights().map(({ weights, bias }) => ({
+            weights,
+            bias,
+            weightGradients: Array(weights.length).fill(0),
+            biasGradient: 0,
+            lastInputs: null,
+            lastOutput: null
+        }))
+    }));
+}
+
+function legacyForward(layers, inputs) {
+    let current = [...inputs];
+    for (const layer of layers) {
+        current = layer.neurons.map(neuron => {
+            neuron.lastInputs = [...current];
+            const sum = current.reduce((total, input, i) => total + input * neuron.weights[i], neuron.bias);
+            neuron.lastOutput = layer.activation.func(sum);
+            return neuron.lastOutput;
+        });
+    }
+    return current;
+}
+
+function legacyBackward(layers, targets) {
+    const accumulate = (neuron, delta) => {
+        neuron.weightGradients = neuron.weightGradients.map((g, i) => g - delta * neuron.lastInputs[i]);
+        neuron.biasGradient -= delta;
+    };
+
+    // Дельта выхода та же, что у потерь по умолчанию (legacyMse): target - output
+    const outputLayer = layers[layers.length - 1];
+    let deltas = outputLayer.neurons.map((neuron, i) => {
+        return (targets[i] - neuron.lastOutput) * outputLayer.activation.derivative(neuron.lastOutput);
+    });
+    deltas.forEach((delta, i) => accumulate(outputLayer.neurons[i], delta));
+
+    for (let l = layers.length - 2; l >= 0; l--) {
+        const nextWeights = layers[l + 1].neurons.map(neuron => neuron.weights);
+        const layer = layers[l];
+        deltas = layer.neurons.map((neuron, i) => {
+            const error = deltas.reduce((sum, delta, k) => sum + delta * nextWeights[k][i], 0);
+            return error * layer.activation.derivative(neuron.lastOutput);
+        });
+        deltas.forEach((delta, i) => accumulate(layer.neurons[i], delta));
+    }
+}
+
+// Лучшее время из нескольких запусков после прогрева
+function measure(label, run, repeats = 5) {
+    run();
+    let elapsed = Infinity;
+    for (let i = 0; i < repeats; i++) {
+        const start = performance.now();
+        run();
+        elapsed = Math.min(elapsed, performance.now() - start);
+    }
+    console.log(`  ${label.padEnd(34)} ${elapsed.toFixed(1).padStart(9)} мс`);
+    return elapsed;
+}
+
+function createData(count, inputSize, outputSize) {
+    return Array.from({ length: count }, (_, i) => ({
+        input: Array.from({ length: inputSize }, (_, j) => Math.sin(i * 0.37 + j)),
+        target: Array.from({ length: outputSize }, (_, j) => Math.cos(i + j) * 0.5)
+    }));
+}
+
+function benchmark(sizes, sampleCount) {
+    const network = new Network({ seed: 1 });
+    network.addLayer(sizes[1], activations.relu, sizes[0]);
+    sizes.slice(2).forEach((size, i) => {
+        network.addLayer(size, i === sizes.length - 3 ? activations.linear : activations.relu);
+    });
+
+    const legacy = createLegacyLayers(network);
+    const data = createData(sampleCount, sizes[0], sizes[sizes.length - 1]);
+    const inputs = data.map(example => example.input);
+
+    console.log(`\nсеть ${sizes.join('-')}, ${sampleCount} примеров:`);
+
+    const legacyPredict = measure("прогноз, прежний путь", () => inputs.forEach(x => legacyForward(legacy, x)));
+    const predict = measure("прогноз, predict", () => inputs.forEach(x => network.predict(x)));
+    const predictBatch = measure("прогноз, predictBatch", () => network.predictBatch(inputs));
+
+    const legacyEpoch = measure("эпоха без обновления, прежний путь", () => data.forEach(({ input, target }) => {
+        legacyForward(legacy, input);
+        legacyBackward(legacy, target);
+    }));
+    const epoch = measure("эпоха без обновления, движок", () => {
+        for (let start = 0; start < data.length; start += 32) {
+            const batch = data.slice(start, start + 32);
+            network.forwardBatch(batch.map(example => example.input), true);
+            network.backpropagateBatch(batch.map(example => example.target));
+        }
+        network.layers.forEach(layer => layer.resetGradients());
+    });
+
+    console.log(`  ускорение прогноза: x${(legacyPredict / predict).toFixed(1)} ` +
+        `(батч: x${(legacyPredict / predictBatch).toFixed(1)}), ` +
+        `обучения: x${(legacyEpoch / epoch).toFixed(1)}`);
+}
+
+benchmark([10, 5, 1], 1000);
+benchmark([100, 50, 10], 1000);
+benchmark([1000, 500, 100], 50);
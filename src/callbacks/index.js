@@ -0,0 +1,439 @@
+/**
+ * Base training callback
+ * Hooks are called by Network.train, the network is available as this.network.
+ * network.stop(reason, details) or setting network.stopTraining to true stops training
+ * after the current epoch, the reason is recorded in training history ('callback' if not given).
+ */
+export class Callback {
+    constructor() {
+        this.network = null;
+    }
+
+    /**
+     * Attaches callback to trained network
+     * @param {Network} network - trained network
+     */
+    setNetwork(network) {
+        this.network = network;
+    }
+
+    /**
+     * Called before the first epoch
+     * @param {Object} logs - { epochs, batchSize, samples }, samples is null when trainAsync
+     *     does not know the number of examples per epoch
+     */
+    onTrainBegin(logs) {}
+
+    /**
+     * Called before every epoch
+     * @param {number} epoch - zero-based epoch index
+     * @param {Object} logs - { learningRate }
+     */
+    onEpochBegin(epoch, logs) {}
+
+    /**
+     * Called before every weight update
+     * @param {number} batch - zero-based batch index within epoch
+     * @param {Object} logs - { size }
+     */
+    onBatchBegin(batch, logs) {}
+
+    /**
+     * Called after every weight update
+     * @param {number} batch - zero-based batch index within epoch
+     * @param {Object} logs - { size, loss }, loss is averaged over batch examples
+     */
+    onBatchEnd(batch, logs) {}
+
+    /**
+     * Called after every epoch
+     * @param {number} epoch - zero-based epoch index
+     * @param {Object} logs - { loss, learningRate }, plus validationLoss with validation data
+     *     and values of metrics passed to train
+     */
+    onEpochEnd(epoch, logs) {}
+
+    /**
+     * Called after the last epoch, also when training throws
+     * @param {Object} logs - { epochs, loss, stopReason }, epochs is the number of completed epochs
+     */
+    onTrainEnd(logs) {}
+}
+
+/**
+ * Names of hooks called by Network.train
+ */
+const HOOKS = ['onTrainBegin', 'onEpochBegin', 'onBatchBegin', 'onBatchEnd', 'onEpochEnd', 'onTrainEnd'];
+
+/**
+ * Callback built from plain functions
+ * Every function receives hook arguments followed by the network
+ */
+export class LambdaCallback extends Callback {
+    /**
+     * @param {Object} hooks - functions by hook name, e.g. { onEpochEnd: (epoch, logs, network) => {} }
+     */
+    constructor(hooks = {}) {
+        super();
+
+        HOOKS.forEach(hook => {
+            if (hooks[hook] !== undefined && typeof hooks[hook] !== 'function') {
+                throw new Error(`Callback hook ${hook} must be a function`);
+            }
+
+            if (hooks[hook]) {
+                this[hook] = (...args) => hooks[hook](...args, this.network);
+            }
+        });
+    }
+}
+
+/**
+ * Logs training progress
+ */
+export class ProgressLogger extends Callback {
+    /**
+     * @param {Object} options - logger options
+     * @param {number|null} options.frequency - log every N epochs, a tenth of all epochs if null
+     * @param {Function} options.log - output function
+     */
+    constructor({ frequency = null, log = console.log } = {}) {
+        super();
+
+        if (frequency !== null && (!Number.isInteger(frequency) || frequency <= 0)) {
+            throw new Error('Logging frequency must be a positive integer');
+        }
+
+        this.frequency = frequency;
+        this.log = log;
+        this.epochs = 0;
+    }
+
+    onTrainBegin(logs) {
+        this.epochs = logs.epochs;
+    }
+
+    onEpochEnd(epoch, logs) {
+        const frequency = this.frequency ?? Math.max(1, Math.floor(this.epochs / 10));
+
+        if ((epoch + 1) % frequency !== 0) {
+            return;
+        }
+
+        let message = `Epoch ${epoch + 1}/${this.epochs}, Error: ${logs.loss.toFixed(6)}`;
+        if (logs.validationLoss !== undefined) {
+            message += `, Validation error: ${logs.validationLoss.toFixed(6)}`;
+        }
+
+        this.log(message);
+    }
+}
+
+/**
+ * Stops training when monitored value stops improving
+ */
+export class EarlyStopping extends Callback {
+    /**
+     * @param {Object} options - early stopping options
+     * @param {string} options.monitor - logs field to watch, e.g. 'validationLoss', 'loss' or 'validationAccuracy'
+     * @param {string} options.mode - 'min' when lower values are better, 'max' when higher values are better
+     * @param {number} options.minDelta - smallest change counted as improvement
+     * @param {number} options.patience - epochs without improvement before stopping
+     * @param {boolean} options.restoreBestWeights - restore weights of the best epoch when training ends
+     * @param {boolean} options.verbose - log the epoch where training stopped
+     */
+    constructor({
+        monitor = 'validationLoss',
+        mode = 'min',
+        minDelta = 0,
+        patience = 10,
+        restoreBestWeights = false,
+        verbose = false
+    } = {}) {
+        super();
+
+        if (!Number.isInteger(patience) || patience <= 0) {
+            throw new Error('Patience must be a positive integer');
+        }
+
+        validateMonitorMode('Early stopping', mode, minDelta);
+
+        this.monitor = monitor;
+        this.mode = mode;
+        this.minDelta = minDelta;
+        this.patience = patience;
+        this.restoreBestWeights = restoreBestWeights;
+        this.verbose = verbose;
+        this.reset();
+    }
+
+    /**
+     * Clears state of previous training
+     */
+    reset() {
+        this.best = this.mode === 'min' ? Infinity : -Infinity;
+        this.bestEpoch = null;
+        this.bestWeights = null;
+        this.bestActivationParameters = null;
+        this.wait = 0;
+        this.stoppedEpoch = null;
+    }
+
+    /**
+     * Checks whether value improves on the best one by more than minDelta
+     * @param {number} value - monitored value
+     * @returns {boolean} true for improvement
+     */
+    isImprovement(value) {
+        return isImprovement(value, this.best, this.mode, this.minDelta);
+    }
+
+    onTrainBegin() {
+        this.reset();
+    }
+
+    onEpochEnd(epoch, logs) {
+        const value = getMonitoredValue(logs, this.monitor);
+
+        if (this.isImprovement(value)) {
+            this.best = value;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+
+            // Snapshot of every layer, see Layer.getWeights and Layer.getActivationParameters
+            if (this.restoreBestWeights) {
+                this.bestWeights = this.network.getWeights();
+                this.bestActivationParameters = this.network.getActivationParameters();
+            }
+            return;
+        }
+
+        this.wait++;
+
+        if (this.wait >= this.patience) {
+            this.stoppedEpoch = epoch;
+            this.network.stop('earlyStopping', {
+                monitor: this.monitor,
+                best: this.best,
+                bestEpoch: this.bestEpoch,
+                restoredBestWeights: this.restoreBestWeights && this.bestWeights !== null
+            });
+
+            if (this.verbose) {
+                console.log(`Early stopping at epoch ${epoch + 1}`);
+            }
+        }
+    }
+
+    onTrainEnd() {
+        if (this.restoreBestWeights && this.bestWeights) {
+            this.network.setWeights(this.bestWeights);
+            this.network.setActivationParameters(this.bestActivationParameters);
+        }
+    }
+}
+
+/**
+ * Saves model snapshots with Network.exportModel
+ */
+export class ModelCheckpoint extends Callback {
+    /**
+     * @param {Object} options - checkpoint options
+     * @param {Function|null} options.onSave - receives (json, epoch, logs) for every saved snapshot
+     * @param {string} options.monitor - logs field compared when saveBestOnly is set
+     * @param {string} options.mode - 'min' when lower values are better, 'max' when higher values are better
+     * @param {number} options.minDelta - smallest change counted as improvement
+     * @param {boolean} options.saveBestOnly - save only when monitored value improves
+     * @param {number} options.frequency - consider saving every N epochs
+     */
+    constructor({
+        onSave = null,
+        monitor = 'loss',
+        mode = 'min',
+        minDelta = 0,
+        saveBestOnly = false,
+        frequency = 1
+    } = {}) {
+        super();
+
+        if (onSave !== null && typeof onSave !== 'function') {
+            throw new Error('Checkpoint onSave must be a function');
+        }
+
+        if (!Number.isInteger(frequency) || frequency <= 0) {
+            throw new Error('Checkpoint frequency must be a positive integer');
+        }
+
+        validateMonitorMode('Checkpoint', mode, minDelta);
+
+        this.onSave = onSave;
+        this.monitor = monitor;
+        this.mode = mode;
+        this.minDelta = minDelta;
+        this.saveBestOnly = saveBestOnly;
+        this.frequency = frequency;
+        this.best = mode === 'min' ? Infinity : -Infinity;
+        this.lastCheckpoint = null;
+        this.lastEpoch = null;
+    }
+
+    onTrainBegin() {
+        this.best = this.mode === 'min' ? Infinity : -Infinity;
+    }
+
+    onEpochEnd(epoch, logs) {
+        if ((epoch + 1) % this.frequency !== 0) {
+            return;
+        }
+
+        if (this.saveBestOnly) {
+            const value = getMonitoredValue(logs, this.monitor);
+
+            if (!isImprovement(value, this.best, this.mode, this.minDelta)) {
+                return;
+            }
+            this.best = value;
+        }
+
+        this.lastCheckpoint = this.network.exportModel();
+        this.lastEpoch = epoch;
+
+        if (this.onSave) {
+            this.onSave(this.lastCheckpoint, epoch, logs);
+        }
+    }
+}
+
+/**
+ * Sets learning rate before every epoch
+ */
+export class LearningRateScheduler extends Callback {
+    /**
+     * @param {Function} schedule - (epoch, learningRate) => new learning rate
+     */
+    constructor(schedule) {
+        super();
+
+        if (typeof schedule !== 'function') {
+            throw new Error('Learning rate schedule must be a function');
+        }
+
+        this.schedule = schedule;
+    }
+
+    onEpochBegin(epoch) {
+        this.network.setLearningRate(this.schedule(epoch, this.network.learningRate));
+    }
+}
+
+/**
+ * Dispatches hooks to a list of callbacks
+ */
+export class CallbackList {
+    /**
+     * @param {Array<Callback|Object>} callbacks - Callback instances or objects with hook functions
+     */
+    constructor(callbacks = []) {
+        if (!Array.isArray(callbacks)) {
+            throw new Error('Callbacks must be an array');
+        }
+
+        this.callbacks = callbacks.map(toCallback);
+    }
+
+    /**
+     * Attaches all callbacks to trained network
+     * @param {Network} network - trained network
+     */
+    setNetwork(network) {
+        this.callbacks.forEach(callback => callback.setNetwork(network));
+    }
+
+    onTrainBegin(logs) {
+        this.callbacks.forEach(callback => callback.onTrainBegin(logs));
+    }
+
+    onEpochBegin(epoch, logs) {
+        this.callbacks.forEach(callback => callback.onEpochBegin(epoch, logs));
+    }
+
+    onBatchBegin(batch, logs) {
+        this.callbacks.forEach(callback => callback.onBatchBegin(batch, logs));
+    }
+
+    onBatchEnd(batch, logs) {
+        this.callbacks.forEach(callback => callback.onBatchEnd(batch, logs));
+    }
+
+    onEpochEnd(epoch, logs) {
+        this.callbacks.forEach(callback => callback.onEpochEnd(epoch, logs));
+    }
+
+    onTrainEnd(logs) {
+        this.callbacks.forEach(callback => callback.onTrainEnd(logs));
+    }
+}
+
+/**
+ * Converts callback specification to Callback instance
+ * @param {Callback|Object} spec - Callback instance or object with hook functions
+ * @returns {Callback} callback
+ */
+function toCallback(spec) {
+    if (spec instanceof Callback) {
+        return spec;
+    }
+
+    if (spec && typeof spec === 'object' && HOOKS.some(hook => typeof spec[hook] === 'function')) {
+        return new LambdaCallback(spec);
+    }
+
+    throw new Error('Callback must be a Callback instance or an object with hook functions');
+}
+
+/**
+ * Reads monitored value from epoch logs
+ * @param {Object} logs - epoch logs
+ * @param {string} monitor - logs field name
+ * @returns {number} monitored value
+ */
+export function getMonitoredValue(logs, monitor) {
+    const value = logs[monitor];
+
+    if (typeof value !== 'number') {
+        throw new Error(
+            `Monitored value "${monitor}" is not available in training logs` +
+            (monitor === 'validationLoss' ? ', pass validationData to train' : '')
+        );
+    }
+
+    return value;
+}
+
+/**
+ * Validates mode and minDelta of a callback watching a logs field
+ * @param {string} name - callback name used in error messages
+ * @param {string} mode - 'min' or 'max'
+ * @param {number} minDelta - smallest change counted as improvement
+ */
+function validateMonitorMode(name, mode, minDelta) {
+    if (mode !== 'min' && mode !== 'max') {
+        throw new Error(`${name} mode must be 'min' or 'max'`);
+    }
+
+    if (typeof minDelta !== 'number' || minDelta < 0) {
+        throw new Error('Minimum delta must be a non-negative number');
+    }
+}
+
+/**
+ * Checks whether value improves on the best one by more than minDelta
+ * @param {number} value - monitored value
+ * @param {number} best - best value so far
+ * @param {string} mode - 'min' or 'max'
+ * @param {number} minDelta - smallest change counted as improvement
+ * @returns {boolean} true for improvement
+ */
+function isImprovement(value, best, mode, minDelta) {
+    return mode === 'min' ? value < best - minDelta : value > best + minDelta;
+}
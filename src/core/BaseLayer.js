@@ -0,0 +1,316 @@
+/**
+ * Base class of network layers
+ * Network uses layers only through this contract: forwardBatch computes outputs, backward turns
+ * loss gradients of outputs into loss gradients of inputs and accumulates gradients of parameters,
+ * parameters and gradients expose values updated by optimizers, toJSON and fromJSON save and
+ * restore the layer. Layers exchange flat vectors: inputSize is the input length, size the output length.
+ * Layers of spatial data also set inputShape and outputShape, see shapes.js
+ */
+export class BaseLayer {
+    /**
+     * Creates a layer
+     * @param {string} type - layer type used in exported models, see layerTypes
+     */
+    constructor(type) {
+        this.type = type;
+        this.lastBatch = null;
+        this.outputs = [];
+    }
+
+    /**
+     * Propagates one example through the layer
+     * @param {number[]} input - input values
+     * @param {Object|boolean} options - { training }, a boolean is read as training
+     * @returns {number[]} output values
+     */
+    forward(input, options = {}) {
+        return this.forwardBatch([input], options)[0];
+    }
+
+    /**
+     * Propagates a batch of examples through the layer and keeps what backward needs
+     * @param {number[][]} inputs - input vectors, one per example
+     * @param {Object|boolean} options - { training }, a boolean is read as training
+     * @returns {number[][]} output vectors, one per example
+     */
+    forwardBatch(inputs, options = {}) {
+        throw new Error(`Layer ${this.type} must implement forwardBatch`);
+    }
+
+    /**
+     * Backpropagation over the last forward batch
+     * Accumulates gradients of parameters without changing them, see applyGradients
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options
+     * @param {boolean} options.propagate - computes gradients of inputs, the first layer skips them
+     * @returns {number[][]|null} loss gradients of inputs, one vector per example, null without propagate
+     */
+    backward(gradOutputs, options = {}) {
+        throw new Error(`Layer ${this.type} must implement backward`);
+    }
+
+    /**
+     * Backpropagation of the loss when the layer is the output layer
+     * Layers using this default keep outputs of the last forward batch in lastBatch.outputs
+     * @param {number[][]} targets - target values, one vector per example
+     * @param {Object|null} loss - loss function object, 0.5 * squared error if null
+     * @param {Object} options - backward options, see backward
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backwardLoss(targets, loss = null, options = {}) {
+        this.validateLastBatch(targets.length);
+
+        const { outputs } = this.lastBatch;
+        const gradOutputs = targets.map((row, b) => {
+            if (!Array.isArray(row) || row.length !== this.size) {
+                throw new Error(`Target size (${row?.length}) does not match layer size (${this.size})`);
+            }
+
+            return loss ? loss.derivative(outputs[b], row) : row.map((target, j) => outputs[b][j] - target);
+        });
+
+        return this.backward(gradOutputs, options);
+    }
+
+    /**
+     * Returns shape of layer outputs, following layers infer their input shape from it
+     * @returns {number[]} outputShape of spatial layers, [size] for other layers
+     */
+    getOutputShape() {
+        return this.outputShape ? [...this.outputShape] : [this.size];
+    }
+
+    /**
+     * Returns trainable parameters
+     * @returns {Object} { name: Float64Array|Float32Array }, arrays are the layer storage
+     */
+    parameters() {
+        return {};
+    }
+
+    /**
+     * Tells whether optimizer weight decay (AdamW) applies to a parameter
+     * @param {string} name - parameter name, see parameters
+     * @returns {boolean} true only for kernel weights
+     */
+    isDecayed(name) {
+        return false;
+    }
+
+    /**
+     * Returns accumulated gradients of trainable parameters
+     * @returns {Object} { name: Float64Array } with the same names and lengths as parameters
+     */
+    gradients() {
+        return {};
+    }
+
+    /**
+     * Applies averaged accumulated gradients and clears them
+     * @param {number} learningRate - learning rate
+     * @param {Optimizer|null} optimizer - optimizer applying updates
+     * @param {string} key - parameter key prefix for optimizer state
+     * @param {number} batchSize - number of accumulated examples
+     */
+    applyGradients(learningRate, optimizer = null, key = 'layer', batchSize = 1) {
+        const parameters = this.parameters();
+        const gradients = this.gradients();
+
+        Object.entries(parameters).forEach(([name, values]) => {
+            const grads = gradients[name];
+
+            for (let k = 0; k < grads.length; k++) {
+                grads[k] /= batchSize;
+            }
+
+            if (optimizer) {
+                optimizer.update(`${key}.${name}`, values, grads, learningRate, { decay: this.isDecayed(name) });
+            } else {
+                for (let k = 0; k < values.length; k++) {
+                    values[k] -= learningRate * grads[k];
+                }
+            }
+        });
+
+        this.resetGradients();
+    }
+
+    /**
+     * Calculates penalty added to the loss
+     * @returns {number} regularization penalty, zero without regularization
+     */
+    regularizationLoss() {
+        return 0;
+    }
+
+    /**
+     * Clears accumulated gradients
+     */
+    resetGradients() {
+        Object.values(this.gradients()).forEach(grads => grads.fill(0));
+    }
+
+    /**
+     * Counts trainable parameters of the layer
+     * @returns {number} number of parameter values
+     */
+    countParameters() {
+        return Object.values(this.parameters()).reduce((total, values) => total + values.length, 0);
+    }
+
+    /**
+     * Returns values of trainable activation parameters
+     * @returns {Object|null} null, only dense layers have activations
+     */
+    getActivationParameters() {
+        return null;
+    }
+
+    /**
+     * Returns learned values of the layer
+     * @returns {Object} { name: number[] } by parameter
+     */
+    getWeights() {
+        return Object.fromEntries(Object.entries(this.parameters()).map(([name, values]) => {
+            return [name, Array.from(values)];
+        }));
+    }
+
+    /**
+     * Sets learned values of the layer
+     * @param {Object} weightsData - values as returned by getWeights
+     */
+    setWeights(weightsData) {
+        const parameters = this.parameters();
+
+        this.validateWeightsData(weightsData, Object.keys(parameters));
+        Object.entries(parameters).forEach(([name, values]) => values.set(weightsData[name]));
+    }
+
+    /**
+     * Validates arrays of learned values
+     * @param {Object} weightsData - values by name
+     * @param {string[]} names - required names
+     * @param {Object} lengths - expected length by name, parameter lengths by default
+     */
+    validateWeightsData(weightsData, names, lengths = this.parameters()) {
+        names.forEach(name => {
+            const values = weightsData?.[name];
+            const length = lengths[name].length;
+
+            if (!Array.isArray(values) || values.length !== length || !values.every(Number.isFinite)) {
+                throw new Error(`${name} must contain ${length} finite numbers`);
+            }
+        });
+    }
+
+    /**
+     * Reads training flag from forward options
+     * @param {Object|boolean} options - { training } or a boolean
+     * @returns {boolean} true in training
+     */
+    isTraining(options) {
+        return typeof options === 'boolean' ? options : Boolean(options?.training);
+    }
+
+    /**
+     * Validates batch of input vectors
+     * @param {number[][]} inputs - input vectors
+     */
+    validateBatch(inputs) {
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            throw new Error('Batch must be a non-empty array of input vectors');
+        }
+
+        inputs.forEach(row => this.validateInputs(row));
+    }
+
+    /**
+     * Validates input data
+     * @param {number[]} inputs - input values
+     */
+    validateInputs(inputs) {
+        if (!Array.isArray(inputs) || inputs.length !== this.inputSize) {
+            throw new Error(
+                `Input size (${inputs?.length}) does not match ` +
+                `expected size (${this.inputSize})`
+            );
+        }
+
+        if (inputs.some(input => typeof input !== 'number' || !isFinite(input))) {
+            throw new Error('All input values must be finite numbers');
+        }
+    }
+
+    /**
+     * Validates that backward pass matches the last forward batch
+     * @param {number} batchSize - number of examples in backward pass
+     */
+    validateLastBatch(batchSize) {
+        if (!this.lastBatch) {
+            throw new Error('Cannot compute gradients: no forward pass data available');
+        }
+
+        if (batchSize !== this.lastBatch.size) {
+            throw new Error(
+                `Backward batch size (${batchSize}) does not match ` +
+                `forward batch size (${this.lastBatch.size})`
+            );
+        }
+    }
+
+    /**
+     * Returns layer information
+     * @returns {Object} layer information
+     */
+    getInfo() {
+        return {
+            type: this.type,
+            neuronCount: this.size,
+            inputSize: this.inputSize,
+            parameters: this.countParameters(),
+            lastOutputs: [...this.outputs]
+        };
+    }
+
+    /**
+     * Returns options needed to create the same layer, saved by toJSON
+     * @returns {Object} layer options
+     */
+    getConfig() {
+        return {};
+    }
+
+    /**
+     * Returns serializable layer data, see Network.toJSON
+     * @returns {Object} { type, neuronCount, inputSize, ...config, weights }
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            neuronCount: this.size,
+            inputSize: this.inputSize,
+            ...this.getConfig(),
+            weights: this.getWeights()
+        };
+    }
+
+    /**
+     * Creates a layer from data returned by toJSON
+     * @param {Object} layerData - layer data
+     * @param {Object} options - restore options, see createLayer
+     * @returns {BaseLayer} restored layer
+     */
+    static fromJSON(layerData, options = {}) {
+        throw new Error(`Layer class ${this.name} must implement fromJSON`);
+    }
+
+    /**
+     * Resets layer state
+     */
+    reset() {
+        this.lastBatch = null;
+        this.outputs = [];
+        this.resetGradients();
+    }
+}
@@ -0,0 +1,311 @@
+import { BaseLayer } from './BaseLayer.js';
+import {
+    getActivation, getActivationName, getActivationConfig, getDerivativeForm
+} from '../activations/index.js';
+import { getInitializer } from '../initializers/index.js';
+import {
+    validateSpatialShape, readSpatialSize, readPadding, createWindowGeometry, createWindows,
+    shapeSize, validateRestoredSizes
+} from './shapes.js';
+
+/**
+ * Base class of convolution layers
+ * Every filter slides over the input and sums products of its kernel with all channels of
+ * the window: y[p, f] = activation(sum of x * kernel[f] over the window + bias[f]).
+ * Outputs have one channel per filter. The kernel of filter f is stored as
+ * [kernelHeight, kernelWidth, channels] starting at f * kernelHeight * kernelWidth * channels
+ */
+export class Convolution extends BaseLayer {
+    /**
+     * Creates a convolution layer
+     * @param {string} type - layer type
+     * @param {number} rank - number of spatial dimensions
+     * @param {number[]} inputShape - [length, channels] or [height, width, channels]
+     * @param {Object} options - layer options
+     * @param {number} options.filters - number of filters, channels of the output
+     * @param {number|number[]} options.kernelSize - window size, one value or a value per dimension
+     * @param {number|number[]} options.stride - window step, one value or a value per dimension
+     * @param {string|number|number[]} options.padding - 'valid', 'same' or zero padding per side
+     * @param {string|Object} options.activation - element-wise activation, its name or configuration
+     * @param {string|Object|Function} options.kernelInitializer - kernel initializer, see getInitializer,
+     *     called with shape [filters, kernelHeight * kernelWidth * channels] and fans
+     *     { fanIn: kernel area * channels, fanOut: kernel area * filters }
+     * @param {string|Object|Function} options.biasInitializer - bias initializer, see getInitializer
+     * @param {Function} options.random - source of random numbers for initialization
+     */
+    constructor(type, rank, inputShape, options = {}) {
+        super(type);
+
+        const {
+            filters, kernelSize, stride = 1, padding = 'valid', activation = 'linear',
+            kernelInitializer = 'glorotUniform', biasInitializer = 'zeros', random = Math.random
+        } = options;
+
+        validateSpatialShape(inputShape, [rank], this.constructor.name);
+
+        if (!Number.isInteger(filters) || filters <= 0) {
+            throw new Error('Number of filters must be a positive integer');
+        }
+
+        if (typeof random !== 'function') {
+            throw new Error('Random source must be a function');
+        }
+
+        this.inputShape = [...inputShape];
+        this.filters = filters;
+        this.kernelSize = readSpatialSize(kernelSize, rank, 'Kernel size');
+        this.stride = readSpatialSize(stride, rank, 'Stride');
+        this.padding = readPadding(padding, rank);
+        this.activationFunction = this.validateActivation(getActivation(activation));
+        this.geometry = createWindowGeometry(this.inputShape, {
+            kernelSize: this.kernelSize,
+            stride: this.stride,
+            padding: this.padding
+        });
+        this.windows = createWindows(this.geometry);
+        this.outputShape = [...this.geometry.outputSpatialShape, filters];
+        this.inputSize = shapeSize(this.inputShape);
+        this.size = shapeSize(this.outputShape);
+        this.windowSize = shapeSize(this.kernelSize) * this.geometry.channels;
+        this.kernel = new Float64Array(filters * this.windowSize);
+        this.biases = new Float64Array(filters);
+        this.kernelGradients = new Float64Array(this.kernel.length);
+        this.biasGradients = new Float64Array(filters);
+
+        // Every input feeds kernel area positions of every filter, as in the standard fan-out
+        const kernelArea = shapeSize(this.kernelSize);
+        const fans = { fanIn: this.windowSize, fanOut: kernelArea * filters };
+
+        this.setWeights({
+            kernel: getInitializer(kernelInitializer).func([filters, this.windowSize], random, fans).flat(),
+            biases: getInitializer(biasInitializer).func([filters], random)
+        });
+    }
+
+    /**
+     * Validates activation of the layer
+     * @param {Object} activation - activation function object
+     * @returns {Object} the activation
+     */
+    validateActivation(activation) {
+        getDerivativeForm(activation);
+
+        if (activation.vector || activation.parameters) {
+            throw new Error('Convolution activation must be element-wise without trainable parameters');
+        }
+
+        return activation;
+    }
+
+    /**
+     * Convolves a batch of examples
+     * @param {number[][]} inputs - flat input vectors in channels-last order, one per example
+     * @param {Object|boolean} options - { training }, the layer behaves the same in training
+     * @returns {number[][]} flat output vectors, one per example
+     */
+    forwardBatch(inputs, options = {}) {
+        this.validateBatch(inputs);
+
+        const packedInputs = inputs.map(row => Float64Array.from(row));
+        const weightedSums = packedInputs.map(row => this.convolve(row));
+        const outputs = weightedSums.map(sums => Array.from(sums, sum => this.activationFunction.func(sum)));
+
+        this.lastBatch = { size: inputs.length, inputs: packedInputs, weightedSums, outputs };
+        this.outputs = outputs[outputs.length - 1];
+
+        return outputs.map(row => [...row]);
+    }
+
+    /**
+     * Computes weighted sums of all filters at all output positions of one example
+     * @param {Float64Array} input - flat input vector
+     * @returns {Float64Array} weighted sums, flat in channels-last order
+     */
+    convolve(input) {
+        const { kernel, biases, filters, windowSize, windows } = this;
+        const { channels } = this.geometry;
+        const sums = new Float64Array(this.size);
+
+        windows.forEach(({ inputs, offsets }, position) => {
+            for (let f = 0; f < filters; f++) {
+                let sum = biases[f];
+
+                for (let w = 0; w < inputs.length; w++) {
+                    const inputOffset = inputs[w] * channels;
+                    const kernelOffset = f * windowSize + offsets[w] * channels;
+
+                    for (let c = 0; c < channels; c++) {
+                        sum += input[inputOffset + c] * kernel[kernelOffset + c];
+                    }
+                }
+
+                sums[position * filters + f] = sum;
+            }
+        });
+
+        return sums;
+    }
+
+    /**
+     * Backpropagation over the last forward batch, see BaseLayer.backward
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options
+     * @param {boolean} options.propagate - computes gradients of inputs
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backward(gradOutputs, { propagate = true } = {}) {
+        this.validateLastBatch(gradOutputs.length);
+
+        const { inputs, weightedSums, outputs } = this.lastBatch;
+        const values = getDerivativeForm(this.activationFunction) === 'input' ? weightedSums : outputs;
+        const gradInputs = gradOutputs.map((row, b) => {
+            const gradSums = row.map((gradient, k) => gradient * this.activationFunction.derivative(values[b][k]));
+            return this.backwardExample(inputs[b], gradSums, propagate);
+        });
+
+        return propagate ? gradInputs : null;
+    }
+
+    /**
+     * Accumulates gradients of kernel and biases for one example
+     * @param {Float64Array} input - flat input vector of the example
+     * @param {number[]} gradSums - loss gradients of weighted sums
+     * @param {boolean} propagate - computes gradients of inputs
+     * @returns {number[]|null} loss gradients of inputs
+     */
+    backwardExample(input, gradSums, propagate) {
+        const { kernel, kernelGradients, biasGradients, filters, windowSize, windows } = this;
+        const { channels } = this.geometry;
+        const gradInput = propagate ? new Float64Array(this.inputSize) : null;
+
+        windows.forEach(({ inputs, offsets }, position) => {
+            for (let f = 0; f < filters; f++) {
+                const gradient = gradSums[position * filters + f];
+
+                if (gradient === 0) {
+                    continue;
+                }
+
+                biasGradients[f] += gradient;
+
+                for (let w = 0; w < inputs.length; w++) {
+                    const inputOffset = inputs[w] * channels;
+                    const kernelOffset = f * windowSize + offsets[w] * channels;
+
+                    for (let c = 0; c < channels; c++) {
+                        kernelGradients[kernelOffset + c] += gradient * input[inputOffset + c];
+
+                        if (gradInput) {
+                            gradInput[inputOffset + c] += gradient * kernel[kernelOffset + c];
+                        }
+                    }
+                }
+            }
+        });
+
+        return gradInput && Array.from(gradInput);
+    }
+
+    /**
+     * Returns trainable parameters
+     * @returns {Object} { kernel, biases }
+     */
+    parameters() {
+        return { kernel: this.kernel, biases: this.biases };
+    }
+
+    /**
+     * Tells whether optimizer weight decay applies to a parameter, see BaseLayer.isDecayed
+     * @param {string} name - parameter name
+     * @returns {boolean} true for kernel
+     */
+    isDecayed(name) {
+        return name === 'kernel';
+    }
+
+    /**
+     * Returns accumulated gradients of trainable parameters
+     * @returns {Object} { kernel, biases }
+     */
+    gradients() {
+        return { kernel: this.kernelGradients, biases: this.biasGradients };
+    }
+
+    /**
+     * Returns options needed to create the same layer
+     * @returns {Object} { inputShape, filters, kernelSize, stride, padding, activationFunction, activationConfig }
+     */
+    getConfig() {
+        const activationConfig = getActivationConfig(this.activationFunction);
+
+        return {
+            inputShape: [...this.inputShape],
+            filters: this.filters,
+            kernelSize: [...this.kernelSize],
+            stride: [...this.stride],
+            padding: Array.isArray(this.padding) ? [...this.padding] : this.padding,
+            activationFunction: getActivationName(this.activationFunction),
+            ...(activationConfig ? { activationConfig } : {})
+        };
+    }
+
+    /**
+     * Returns layer information
+     * @returns {Object} layer information
+     */
+    getInfo() {
+        return { ...super.getInfo(), ...this.getConfig(), outputShape: this.getOutputShape() };
+    }
+
+    /**
+     * Creates a convolution layer from data returned by toJSON
+     * @param {Object} layerData - layer data
+     * @param {Object} options - restore options
+     * @param {Object} options.customActivations - activation functions by name, checked before built-in
+     *     and registered ones
+     * @returns {Convolution} restored layer
+     */
+    static fromJSON(layerData, options = {}) {
+        const { customActivations = {} } = options;
+        const {
+            type, neuronCount, inputSize, weights, inputShape, activationFunction: name, activationConfig,
+            ...layerOptions
+        } = layerData;
+        const activation = Object.prototype.hasOwnProperty.call(customActivations, name) ?
+            customActivations[name] : getActivation({ name, ...activationConfig });
+        const layer = new this(inputShape, { ...layerOptions, activation });
+
+        validateRestoredSizes(layer, layerData);
+        layer.setWeights(weights);
+
+        return layer;
+    }
+}
+
+/**
+ * 1D convolution over data of shape [length, channels], e.g. windows of sensor readings
+ */
+export class Conv1D extends Convolution {
+    /**
+     * Creates a 1D convolution layer
+     * @param {number[]} inputShape - [length, channels]
+     * @param {Object} options - layer options, see Convolution constructor
+     */
+    constructor(inputShape, options = {}) {
+        super('conv1D', 1, inputShape, options);
+    }
+}
+
+/**
+ * 2D convolution over data of shape [height, width, channels], e.g. images
+ */
+export class Conv2D extends Convolution {
+    /**
+     * Creates a 2D convolution layer
+     * @param {number[]} inputShape - [height, width, channels]
+     * @param {Object} options - layer options, see Convolution constructor
+     */
+    constructor(inputShape, options = {}) {
+        super('conv2D', 2, inputShape, options);
+    }
+}
@@ -0,0 +1,77 @@
+import { BaseLayer } from './BaseLayer.js';
+import { shapeSize, formatShape, validateRestoredSizes } from './shapes.js';
+
+/**
+ * Flattens spatial data into a vector
+ * Values already travel as flat vectors, so the layer passes them unchanged and only drops
+ * the shape: following layers see outputShape [size], as after a dense layer
+ */
+export class Flatten extends BaseLayer {
+    /**
+     * Creates a flatten layer
+     * @param {number[]} inputShape - shape of input data, e.g. [height, width, channels]
+     */
+    constructor(inputShape) {
+        super('flatten');
+
+        if (!Array.isArray(inputShape) || inputShape.length === 0 ||
+            !inputShape.every(dimension => Number.isInteger(dimension) && dimension > 0)) {
+            throw new Error(`Flatten input shape must be an array of positive integers, got ${formatShape(inputShape)}`);
+        }
+
+        this.inputShape = [...inputShape];
+        this.inputSize = shapeSize(inputShape);
+        this.size = this.inputSize;
+        this.outputShape = [this.size];
+    }
+
+    /**
+     * Passes a batch of examples
+     * @param {number[][]} inputs - flat input vectors, one per example
+     * @returns {number[][]} copies of the inputs
+     */
+    forwardBatch(inputs) {
+        this.validateBatch(inputs);
+
+        const outputs = inputs.map(row => [...row]);
+
+        this.lastBatch = { size: inputs.length, outputs };
+        this.outputs = outputs[outputs.length - 1];
+
+        return outputs.map(row => [...row]);
+    }
+
+    /**
+     * Backpropagation over the last forward batch, see BaseLayer.backward
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options
+     * @param {boolean} options.propagate - computes gradients of inputs
+     * @returns {number[][]|null} loss gradients of inputs, equal to gradients of outputs
+     */
+    backward(gradOutputs, { propagate = true } = {}) {
+        this.validateLastBatch(gradOutputs.length);
+
+        return propagate ? gradOutputs.map(row => [...row]) : null;
+    }
+
+    /**
+     * Returns options needed to create the same layer
+     * @returns {Object} { inputShape }
+     */
+    getConfig() {
+        return { inputShape: [...this.inputShape] };
+    }
+
+    /**
+     * Creates a flatten layer from data returned by toJSON
+     * @param {Object} layerData - { inputShape, neuronCount, inputSize }
+     * @returns {Flatten} restored layer
+     */
+    static fromJSON(layerData) {
+        const layer = new Flatten(layerData.inputShape);
+
+        validateRestoredSizes(layer, layerData);
+
+        return layer;
+    }
+}
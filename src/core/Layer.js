@@ -1,24 +1,74 @@
+import { BaseLayer } from './BaseLayer.js';
 import { Neuron } from './Neuron.js';
+import { getActivation, getActivationName, getActivationConfig, getDerivativeForm } from '../activations/index.js';
+import { getInitializer } from '../initializers/index.js';
 
 /**
- * Neural network layer class
+ * Typed array types for layer parameters by precision
+ */
+const PARAMETER_ARRAYS = {
+    float64: Float64Array,
+    float32: Float32Array
+};
+
+/**
+ * Fully connected layer, exported as Layer as well
  * Manages a group of neurons and their interactions
+ * Weights are stored as a contiguous matrix, row i holds input weights of neuron i,
+ * forward and backward passes are matrix products over a batch of examples.
+ * Besides the BaseLayer contract it keeps the delta form of backpropagation:
+ * delta = -dL/dz of the weighted sums, errors = -dL/dy of the outputs
  */
-export class Layer {
+export class Dense extends BaseLayer {
     /**
      * Creates a new layer
      * @param {number} neuronCount - number of neurons in layer
      * @param {number} inputSize - input vector size
      * @param {Object} activationFunction - object with activation function and its derivative
+     * @param {Object} options - layer options
+     * @param {number} options.dropout - fraction of outputs dropped during training
+     * @param {number} options.l1 - L1 penalty factor for weights
+     * @param {number} options.l2 - L2 penalty factor for weights
+     * @param {Function} options.random - source of random numbers for initialization and dropout
+     * @param {string|Object|Function} options.kernelInitializer - weight initializer, see getInitializer
+     * @param {string|Object|Function} options.biasInitializer - bias initializer, see getInitializer
+     * @param {string} options.precision - 'float64' or 'float32' storage of weights and biases
      */
-    constructor(neuronCount, inputSize, activationFunction) {
+    constructor(neuronCount, inputSize, activationFunction, options = {}) {
+        super('dense');
         this.validateParameters(neuronCount, inputSize, activationFunction);
+        this.validateOptions(options);
         
-        this.neurons = this.createNeurons(neuronCount, inputSize);
-        this.activationFunction = activationFunction;
-        this.outputs = [];
+        const {
+            dropout = 0, l1 = 0, l2 = 0, random = Math.random,
+            kernelInitializer = null, biasInitializer = null, precision = 'float64'
+        } = options;
+        const ParameterArray = PARAMETER_ARRAYS[precision];
+        
+        this.random = random;
         this.size = neuronCount;
         this.inputSize = inputSize;
+        this.precision = precision;
+        this.weights = new ParameterArray(neuronCount * inputSize);
+        this.biases = new ParameterArray(neuronCount);
+        // Gradients are accumulated in double precision for any storage type
+        this.weightGradients = new Float64Array(neuronCount * inputSize);
+        this.biasGradients = new Float64Array(neuronCount);
+        this.kernelInitializer = kernelInitializer === null ? null : getInitializer(kernelInitializer);
+        this.biasInitializer = biasInitializer === null ? null : getInitializer(biasInitializer);
+        this.neurons = this.createNeurons(neuronCount, inputSize);
+        this.activationFunction = activationFunction;
+        this.activationParameters = this.createActivationParameters(activationFunction);
+        this.activationParameterGradients = this.activationParameters &&
+            Object.fromEntries(Object.entries(this.activationParameters).map(([name, values]) => {
+                return [name, new Float64Array(values.length)];
+            }));
+        this.weightedSums = [];
+        this.rawOutputs = [];
+        this.dropoutMask = null;
+        this.dropout = dropout;
+        this.l1 = l1;
+        this.l2 = l2;
     }
 
     /**
@@ -40,80 +90,644 @@ export class Layer {
             typeof activationFunction.derivative !== 'function') {
             throw new Error('Activation function must contain func and derivative methods');
         }
+        
+        getDerivativeForm(activationFunction);
+        
+        if (activationFunction.parameters) {
+            const names = Object.keys(activationFunction.parameters);
+        
+            if (activationFunction.vector || getDerivativeForm(activationFunction) !== 'input' ||
+                typeof activationFunction.parameterGradients !== 'function') {
+                throw new Error(
+                    'Trainable activation must be element-wise with input derivative form and parameterGradients method'
+                );
+            }
+        
+            if (names.length === 0 || names.some(name => !Number.isFinite(activationFunction.parameters[name]))) {
+                throw new Error('Trainable activation parameters must be finite numbers');
+            }
+        }
     }
 
     /**
-     * Creates array of neurons
+     * Validates layer options
+     * @param {Object} options - layer options
+     */
+    validateOptions(options) {
+        const { dropout = 0, l1 = 0, l2 = 0, random = Math.random, precision = 'float64' } = options;
+        
+        if (typeof dropout !== 'number' || dropout < 0 || dropout >= 1) {
+            throw new Error('Dropout rate must be a number in range [0, 1)');
+        }
+        
+        if (typeof l1 !== 'number' || l1 < 0 || typeof l2 !== 'number' || l2 < 0) {
+            throw new Error('L1 and L2 factors must be non-negative numbers');
+        }
+        
+        if (typeof random !== 'function') {
+            throw new Error('Random source must be a function');
+        }
+        
+        if (!Object.prototype.hasOwnProperty.call(PARAMETER_ARRAYS, precision)) {
+            throw new Error(`Precision must be one of: ${Object.keys(PARAMETER_ARRAYS).join(', ')}`);
+        }
+    }
+
+    /**
+     * Creates array of neurons bound to rows of the layer weight matrix
+     * Neurons use their built-in initialization unless layer initializers are set
      * @param {number} neuronCount - number of neurons
      * @param {number} inputSize - input size
      * @returns {Neuron[]} array of neurons
      */
     createNeurons(neuronCount, inputSize) {
+        const kernel = this.kernelInitializer ?
+            this.initializeValues(this.kernelInitializer, [neuronCount, inputSize]) : null;
+        const biases = this.biasInitializer ?
+            this.initializeValues(this.biasInitializer, [neuronCount]) : null;
+        
         return Array(neuronCount)
             .fill(null)
-            .map(() => new Neuron(inputSize));
+            .map((_, i) => {
+                const neuron = new Neuron(inputSize, this.random, {
+                    weights: kernel ? kernel[i] : null,
+                    bias: biases ? biases[i] : null
+                });
+                neuron.bindStorage(this, i);
+                return neuron;
+            });
+    }
+
+    /**
+     * Creates storage of trainable activation parameters
+     * Every parameter holds one value per neuron or one value for the whole layer, see perNeuron
+     * @param {Object} activationFunction - activation function
+     * @returns {Object|null} { name: Float64Array } or null for activations without parameters
+     */
+    createActivationParameters(activationFunction) {
+        if (!activationFunction.parameters) {
+            return null;
+        }
+        
+        const length = activationFunction.perNeuron ? this.size : 1;
+        
+        return Object.fromEntries(Object.entries(activationFunction.parameters).map(([name, value]) => {
+            return [name, new Float64Array(length).fill(value)];
+        }));
     }
 
     /**
-     * Forward propagation through layer
-     * @param {number[]} inputs - input values
+     * Returns activation parameter values used by a neuron
+     * @param {number} neuronIndex - neuron index
+     * @returns {Object|undefined} { name: value }, undefined for activations without parameters
+     */
+    neuronActivationParameters(neuronIndex) {
+        if (!this.activationParameters) {
+            return undefined;
+        }
+        
+        return Object.fromEntries(Object.entries(this.activationParameters).map(([name, values]) => {
+            return [name, values[values.length === 1 ? 0 : neuronIndex]];
+        }));
+    }
+
+    /**
+     * Runs initializer and validates shape of returned values
+     * @param {Object} initializer - initializer object
+     * @param {number[]} shape - [neuronCount, inputSize] for weights, [neuronCount] for biases
+     * @returns {number[][]|number[]} initial values
+     */
+    initializeValues(initializer, shape) {
+        const values = initializer.func(shape, this.random);
+        const isValidRow = row => shape.length === 1 ?
+            Number.isFinite(row) :
+            Array.isArray(row) && row.length === shape[1] && row.every(Number.isFinite);
+        
+        if (!Array.isArray(values) || values.length !== shape[0] || !values.every(isValidRow)) {
+            throw new Error(
+                `Initializer ${initializer.name} must return finite values of shape [${shape.join(', ')}]`
+            );
+        }
+        
+        return values;
+    }
+
+    /**
+     * Forward propagation of a batch of examples
+     * weightedSums, outputs, rawOutputs and dropoutMask keep values of the last example
+     * @param {number[][]} inputs - input vectors, one per example
+     * @param {Object|boolean} options - { training }, dropout is applied in training
+     * @returns {number[][]} layer output values, one vector per example
+     */
+    forwardBatch(inputs, options = {}) {
+        this.validateBatch(inputs);
+        
+        const training = this.isTraining(options);
+        const batchSize = inputs.length;
+        const packedInputs = new Float64Array(batchSize * this.inputSize);
+        inputs.forEach((row, b) => packedInputs.set(row, b * this.inputSize));
+        
+        const weightedSums = this.computeWeightedSums(packedInputs, batchSize);
+        const rows = inputs.map((_, b) => {
+            const sums = weightedSums.subarray(b * this.size, (b + 1) * this.size);
+            const rawOutputs = this.activate(sums);
+            const { outputs, dropoutMask } = this.applyDropout(rawOutputs, training);
+            return { weightedSums: sums, rawOutputs, outputs, dropoutMask };
+        });
+        
+        this.rememberBatch(packedInputs, rows);
+        
+        return rows.map(row => [...row.outputs]);
+    }
+
+    /**
+     * Forward propagation of one example
+     * Gives the same outputs and state as forwardBatch([input]) with plain arrays: allocating
+     * typed arrays and their views costs more than the products of a small layer
+     * @param {number[]} input - input values
+     * @param {Object|boolean} options - { training }, dropout is applied in training
      * @returns {number[]} layer output values
      */
-    forward(inputs) {
-        this.validateInputs(inputs);
+    forward(input, options = {}) {
+        this.validateInputs(input);
+        
+        const { weights, biases, size, inputSize } = this;
+        const inputs = [...input];
+        const weightedSums = new Array(size);
+        
+        for (let i = 0; i < size; i++) {
+            const row = i * inputSize;
+            let sum = biases[i];
         
-        this.outputs = this.neurons.map(neuron => 
-            neuron.forward(inputs, this.activationFunction.func)
-        );
+            for (let j = 0; j < inputSize; j++) {
+                sum += inputs[j] * weights[row + j];
+            }
         
-        return [...this.outputs];
+            weightedSums[i] = sum;
+        }
+        
+        const rawOutputs = this.activate(weightedSums);
+        const { outputs, dropoutMask } = this.applyDropout(rawOutputs, this.isTraining(options));
+        
+        this.rememberBatch(inputs, [{ weightedSums, rawOutputs, outputs, dropoutMask }]);
+        
+        return [...outputs];
+    }
+
+    /**
+     * Keeps the last forward batch for backpropagation
+     * weightedSums, outputs, rawOutputs and dropoutMask keep values of the last example
+     * @param {Float64Array|number[]} inputs - input vectors packed one after another,
+     *     a plain array only for a single example
+     * @param {Object[]} rows - { weightedSums, rawOutputs, outputs, dropoutMask } by example
+     */
+    rememberBatch(inputs, rows) {
+        const batchSize = rows.length;
+        const last = rows[batchSize - 1];
+        const lastInputs = batchSize === 1 ? inputs : inputs.subarray((batchSize - 1) * this.inputSize);
+        
+        this.lastBatch = { inputs, size: batchSize, rows };
+        this.weightedSums = last.weightedSums;
+        this.rawOutputs = last.rawOutputs;
+        this.outputs = last.outputs;
+        this.dropoutMask = last.dropoutMask;
+        this.neurons.forEach((neuron, i) => {
+            neuron.lastInputs = lastInputs;
+            neuron.lastWeightedSum = last.weightedSums[i];
+            neuron.lastOutput = last.rawOutputs[i];
+        });
+    }
+
+    /**
+     * Multiplies packed inputs by transposed weight matrix and adds biases
+     * @param {Float64Array} inputs - input vectors packed one after another
+     * @param {number} batchSize - number of input vectors
+     * @returns {Float64Array} weighted sums packed one vector per example
+     */
+    computeWeightedSums(inputs, batchSize) {
+        const { weights, biases, size, inputSize } = this;
+        const weightedSums = new Float64Array(batchSize * size);
+        
+        for (let b = 0; b < batchSize; b++) {
+            const inputOffset = b * inputSize;
+        
+            for (let i = 0; i < size; i++) {
+                const row = i * inputSize;
+                let sum = biases[i];
+        
+                for (let j = 0; j < inputSize; j++) {
+                    sum += inputs[inputOffset + j] * weights[row + j];
+                }
+        
+                weightedSums[b * size + i] = sum;
+            }
+        }
+        
+        return weightedSums;
+    }
+
+    /**
+     * Applies activation function to weighted sums of one example
+     * @param {Float64Array} weightedSums - weighted sums of all neurons
+     * @returns {number[]} activated outputs
+     */
+    activate(weightedSums) {
+        const sums = Array.from(weightedSums);
+        
+        // Vector activations see weighted sums of the whole layer
+        if (this.activationFunction.vector) {
+            return this.activationFunction.func(sums);
+        }
+        
+        return sums.map((sum, i) => this.activationFunction.func(sum, this.neuronActivationParameters(i)));
+    }
+
+    /**
+     * Applies inverted dropout to activated outputs
+     * Kept outputs are scaled by 1 / (1 - rate), so inference needs no rescaling
+     * @param {number[]} rawOutputs - activated outputs
+     * @param {boolean} training - dropout is active only in training
+     * @returns {Object} { outputs, dropoutMask }, mask is null when dropout is inactive
+     */
+    applyDropout(rawOutputs, training) {
+        if (!training || this.dropout === 0) {
+            return { outputs: rawOutputs, dropoutMask: null };
+        }
+        
+        const scale = 1 / (1 - this.dropout);
+        const dropoutMask = rawOutputs.map(() => (this.random() < this.dropout ? 0 : scale));
+        
+        return {
+            outputs: rawOutputs.map((output, i) => output * dropoutMask[i]),
+            dropoutMask
+        };
     }
 
     /**
      * Backpropagation for output layer
+     * Accumulates gradients without changing weights, see applyGradients
      * @param {number[]} targets - target values
-     * @param {number} learningRate - learning rate
+     * @param {Object|null} loss - loss function object, error is target - output if null
      * @returns {number[]} error deltas
      */
-    backwardOutput(targets, learningRate) {
-        this.validateTargets(targets);
+    backwardOutput(targets, loss = null) {
+        return this.backwardOutputBatch([targets], loss)[0];
+    }
+
+    /**
+     * Backpropagation for output layer over the last forward batch
+     * @param {number[][]} targets - target values, one vector per example
+     * @param {Object|null} loss - loss function object, error is target - output if null
+     * @returns {number[][]} error deltas, one vector per example
+     */
+    backwardOutputBatch(targets, loss = null) {
+        targets.forEach(row => this.validateTargets(row));
+        this.validateLastBatch(targets.length);
         
-        const deltas = [];
+        const deltas = this.lastBatch.rows.map((row, b) => {
+            return this.calculateOutputDeltas(targets[b], loss, row);
+        });
         
-        for (let i = 0; i < this.neurons.length; i++) {
-            const error = targets[i] - this.outputs[i];
-            const delta = error * this.activationFunction.derivative(this.outputs[i]);
-            
-            deltas.push(delta);
-            this.neurons[i].updateWeights(delta, learningRate);
-        }
+        this.accumulateGradients(deltas);
         
         return deltas;
     }
 
+    /**
+     * Calculates output layer deltas from loss gradient
+     * @param {number[]} targets - target values
+     * @param {Object|null} loss - loss function object
+     * @param {Object} state - outputs, rawOutputs and dropoutMask of the example
+     * @returns {number[]} error deltas
+     */
+    calculateOutputDeltas(targets, loss, state = this) {
+        const simplifiedDeltas = loss?.outputDeltas?.[getActivationName(this.activationFunction)];
+        
+        // Simplified deltas assume outputs are not changed by dropout
+        if (simplifiedDeltas && !state.dropoutMask) {
+            return simplifiedDeltas(state.outputs, targets);
+        }
+        
+        const errors = loss ?
+            loss.derivative(state.outputs, targets).map(gradient => -gradient) :
+            targets.map((target, i) => target - state.outputs[i]);
+        
+        return this.calculateDeltas(errors, state);
+    }
+
+    /**
+     * Converts output errors into deltas using activation derivative
+     * The derivative receives activated outputs or weighted sums, see activation derivativeForm
+     * Gradients of trainable activation parameters are accumulated here as well
+     * @param {number[]} errors - errors of layer outputs
+     * @param {Object} state - weightedSums, rawOutputs and dropoutMask of the example
+     * @returns {number[]} error deltas
+     */
+    calculateDeltas(errors, state = this) {
+        const { dropoutMask } = state;
+        const rawErrors = dropoutMask ?
+            errors.map((error, i) => error * dropoutMask[i]) :
+            errors;
+        const values = getDerivativeForm(this.activationFunction) === 'input' ?
+            Array.from(state.weightedSums) :
+            state.rawOutputs;
+        
+        if (this.activationFunction.vector) {
+            const jacobian = this.activationFunction.derivative(values);
+            return values.map((_, j) => {
+                return rawErrors.reduce((sum, error, i) => sum + error * jacobian[i][j], 0);
+            });
+        }
+        
+        if (this.activationParameters) {
+            this.accumulateActivationGradients(rawErrors, values);
+        }
+        
+        return rawErrors.map((error, i) => {
+            return error * this.activationFunction.derivative(values[i], this.neuronActivationParameters(i));
+        });
+    }
+
+    /**
+     * Adds gradients of trainable activation parameters for one example
+     * Shared parameters sum contributions of all neurons
+     * @param {number[]} errors - errors of activated outputs
+     * @param {number[]} weightedSums - weighted sums of the example
+     */
+    accumulateActivationGradients(errors, weightedSums) {
+        errors.forEach((error, i) => {
+            const gradients = this.activationFunction.parameterGradients(
+                weightedSums[i], this.neuronActivationParameters(i)
+            );
+        
+            Object.entries(this.activationParameterGradients).forEach(([name, accumulated]) => {
+                // Errors point against the loss gradient like deltas
+                accumulated[accumulated.length === 1 ? 0 : i] -= error * gradients[name];
+            });
+        });
+    }
+
     /**
      * Backpropagation for hidden layer
+     * Accumulates gradients without changing weights, see applyGradients
      * @param {number[]} nextLayerDeltas - deltas from next layer
      * @param {number[][]} nextLayerWeights - weights from next layer
-     * @param {number} learningRate - learning rate
      * @returns {number[]} error deltas for current layer
      */
-    backwardHidden(nextLayerDeltas, nextLayerWeights, learningRate) {
+    backwardHidden(nextLayerDeltas, nextLayerWeights) {
         this.validateBackpropagationInputs(nextLayerDeltas, nextLayerWeights);
         
-        const deltas = [];
+        const errors = this.neurons.map((_, i) => {
+            return this.calculateNeuronError(i, nextLayerDeltas, nextLayerWeights);
+        });
         
-        for (let i = 0; i < this.neurons.length; i++) {
-            const error = this.calculateNeuronError(i, nextLayerDeltas, nextLayerWeights);
-            const delta = error * this.activationFunction.derivative(this.outputs[i]);
-            
-            deltas.push(delta);
-            this.neurons[i].updateWeights(delta, learningRate);
-        }
+        return this.backwardBatch([errors])[0];
+    }
+
+    /**
+     * Backpropagation over the last forward batch from errors of layer outputs
+     * Accumulates gradients without changing weights, see applyGradients
+     * @param {number[][]} errors - errors of layer outputs, one vector per example,
+     *     usually returned by propagateErrors of the next layer
+     * @returns {number[][]} error deltas, one vector per example
+     */
+    backwardBatch(errors) {
+        this.validateLastBatch(errors.length);
+        
+        const deltas = this.lastBatch.rows.map((row, b) => this.calculateDeltas(errors[b], row));
+        
+        this.accumulateGradients(deltas);
         
         return deltas;
     }
 
+    /**
+     * Backpropagation over the last forward batch, see BaseLayer.backward
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options
+     * @param {boolean} options.propagate - computes gradients of inputs
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backward(gradOutputs, { propagate = true } = {}) {
+        const deltas = this.backwardBatch(gradOutputs.map(row => row.map(gradient => -gradient)));
+        
+        return propagate ? this.inputGradients(deltas) : null;
+    }
+
+    /**
+     * Backpropagation of the loss for output layer, see BaseLayer.backwardLoss
+     * Uses simplified deltas of the loss and activation pair when available
+     * @param {number[][]} targets - target values, one vector per example
+     * @param {Object|null} loss - loss function object
+     * @param {Object} options - backward options, see backward
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backwardLoss(targets, loss = null, { propagate = true } = {}) {
+        const deltas = this.backwardOutputBatch(targets, loss);
+        
+        return propagate ? this.inputGradients(deltas) : null;
+    }
+
+    /**
+     * Converts deltas into loss gradients of layer inputs
+     * @param {number[][]} deltas - error deltas, one vector per example
+     * @returns {number[][]} loss gradients of inputs
+     */
+    inputGradients(deltas) {
+        return this.propagateErrors(deltas).map(row => row.map(error => -error));
+    }
+
+    /**
+     * Propagates deltas to layer inputs: errors = deltas · weights
+     * @param {number[][]} deltas - error deltas, one vector per example
+     * @returns {number[][]} errors of layer inputs, one vector per example
+     */
+    propagateErrors(deltas) {
+        const { weights, size, inputSize } = this;
+        
+        return deltas.map(rowDeltas => {
+            const errors = new Float64Array(inputSize);
+        
+            for (let i = 0; i < size; i++) {
+                const delta = rowDeltas[i];
+                const row = i * inputSize;
+        
+                for (let j = 0; j < inputSize; j++) {
+                    errors[j] += delta * weights[row + j];
+                }
+            }
+        
+            return Array.from(errors);
+        });
+    }
+
+    /**
+     * Adds gradients of the last forward batch to accumulated gradients
+     * @param {number[][]} deltas - error deltas, one vector per example
+     */
+    accumulateGradients(deltas) {
+        const { weightGradients, biasGradients, size, inputSize } = this;
+        const { inputs } = this.lastBatch;
+        
+        deltas.forEach((rowDeltas, b) => {
+            const inputOffset = b * inputSize;
+        
+            for (let i = 0; i < size; i++) {
+                // Delta points against the loss gradient
+                const delta = rowDeltas[i];
+                const row = i * inputSize;
+        
+                for (let j = 0; j < inputSize; j++) {
+                    weightGradients[row + j] -= delta * inputs[inputOffset + j];
+                }
+        
+                biasGradients[i] -= delta;
+            }
+        });
+    }
+
+    /**
+     * Returns trainable parameters
+     * Trainable activation parameters are named activation.<name>
+     * @returns {Object} { weights, biases, ...activation parameters }, arrays are the layer storage
+     */
+    parameters() {
+        return { weights: this.weights, biases: this.biases, ...this.prefixActivationNames(this.activationParameters) };
+    }
+
+    /**
+     * Tells whether optimizer weight decay applies to a parameter, see BaseLayer.isDecayed
+     * @param {string} name - parameter name
+     * @returns {boolean} true for weights
+     */
+    isDecayed(name) {
+        return name === 'weights';
+    }
+
+    /**
+     * Returns accumulated gradients of trainable parameters
+     * @returns {Object} gradients with the same names as parameters
+     */
+    gradients() {
+        return {
+            weights: this.weightGradients,
+            biases: this.biasGradients,
+            ...this.prefixActivationNames(this.activationParameterGradients)
+        };
+    }
+
+    /**
+     * Names arrays of activation parameters as activation.<name>
+     * @param {Object|null} arrays - arrays by parameter name
+     * @returns {Object} arrays by prefixed name, empty without trainable activation
+     */
+    prefixActivationNames(arrays) {
+        if (!arrays) {
+            return {};
+        }
+        
+        return Object.fromEntries(Object.entries(arrays).map(([name, values]) => [`activation.${name}`, values]));
+    }
+
+    /**
+     * Applies averaged accumulated gradients and clears them
+     * Optimizer state of weights and biases is kept per neuron
+     * @param {number} learningRate - learning rate
+     * @param {Optimizer|null} optimizer - optimizer applying weight updates
+     * @param {string} key - parameter key prefix for optimizer state
+     * @param {number} batchSize - number of accumulated examples
+     */
+    applyGradients(learningRate, optimizer = null, key = 'layer', batchSize = 1) {
+        const { weights, biases, weightGradients, biasGradients, l1, l2, size, inputSize } = this;
+        
+        for (let k = 0; k < weights.length; k++) {
+            const weight = weights[k];
+            weightGradients[k] = weightGradients[k] / batchSize + l1 * Math.sign(weight) + 2 * l2 * weight;
+        }
+        
+        for (let i = 0; i < size; i++) {
+            biasGradients[i] /= batchSize;
+        }
+        
+        if (optimizer) {
+            // Optimizer state is kept per neuron, rows are updated through views
+            for (let i = 0; i < size; i++) {
+                const start = i * inputSize;
+        
+                optimizer.update(`${key}.${i}.weights`, weights.subarray(start, start + inputSize),
+                    weightGradients.subarray(start, start + inputSize), learningRate, { decay: true });
+                optimizer.update(`${key}.${i}.bias`, biases.subarray(i, i + 1),
+                    biasGradients.subarray(i, i + 1), learningRate, { decay: false });
+            }
+        } else {
+            for (let k = 0; k < weights.length; k++) {
+                weights[k] -= learningRate * weightGradients[k];
+            }
+        
+            for (let i = 0; i < size; i++) {
+                biases[i] -= learningRate * biasGradients[i];
+            }
+        }
+        
+        if (this.activationParameters) {
+            this.applyActivationGradients(learningRate, optimizer, key, batchSize);
+        }
+        
+        this.resetGradients();
+    }
+
+    /**
+     * Applies averaged gradients of trainable activation parameters
+     * Parameters are not regularized
+     * @param {number} learningRate - learning rate
+     * @param {Optimizer|null} optimizer - optimizer applying updates
+     * @param {string} key - parameter key prefix for optimizer state
+     * @param {number} batchSize - number of accumulated examples
+     */
+    applyActivationGradients(learningRate, optimizer, key, batchSize) {
+        Object.entries(this.activationParameters).forEach(([name, values]) => {
+            const gradients = this.activationParameterGradients[name];
+        
+            for (let k = 0; k < gradients.length; k++) {
+                gradients[k] /= batchSize;
+            }
+        
+            if (optimizer) {
+                optimizer.update(`${key}.activation.${name}`, values, gradients, learningRate, { decay: false });
+            } else {
+                for (let k = 0; k < values.length; k++) {
+                    values[k] -= learningRate * gradients[k];
+                }
+            }
+        });
+    }
+
+    /**
+     * Calculates L1/L2 penalty of layer weights
+     * @returns {number} regularization penalty
+     */
+    regularizationLoss() {
+        if (this.l1 === 0 && this.l2 === 0) {
+            return 0;
+        }
+        
+        return this.weights.reduce((sum, weight) => {
+            return sum + this.l1 * Math.abs(weight) + this.l2 * weight * weight;
+        }, 0);
+    }
+
+    /**
+     * Clears accumulated gradients of all neurons
+     */
+    resetGradients() {
+        this.weightGradients.fill(0);
+        this.biasGradients.fill(0);
+        
+        if (this.activationParameterGradients) {
+            Object.values(this.activationParameterGradients).forEach(gradients => gradients.fill(0));
+        }
+    }
+
     /**
      * Calculates error for specific neuron
      * @param {number} neuronIndex - neuron index
@@ -127,19 +741,6 @@ export class Layer {
         }, 0);
     }
 
-    /**
-     * Validates input data
-     * @param {number[]} inputs - input values
-     */
-    validateInputs(inputs) {
-        if (!Array.isArray(inputs) || inputs.length !== this.inputSize) {
-            throw new Error(
-                `Input size (${inputs?.length}) does not match ` +
-                `expected size (${this.inputSize})`
-            );
-        }
-    }
-
     /**
      * Validates target values
      * @param {number[]} targets - target values
@@ -178,7 +779,7 @@ export class Layer {
 
     /**
      * Returns only connection weights
-     * @returns {number[][]} 2D array of weights
+     * @returns {Float64Array[]|Float32Array[]} rows of the weight matrix, views of layer storage
      */
     getConnectionWeights() {
         return this.neurons.map(neuron => neuron.weights);
@@ -198,28 +799,137 @@ export class Layer {
         });
     }
 
+    /**
+     * Returns values of trainable activation parameters
+     * @returns {Object|null} { name: number[] }, null for activations without parameters
+     */
+    getActivationParameters() {
+        if (!this.activationParameters) {
+            return null;
+        }
+        
+        return Object.fromEntries(Object.entries(this.activationParameters).map(([name, values]) => {
+            return [name, Array.from(values)];
+        }));
+    }
+
+    /**
+     * Sets values of trainable activation parameters
+     * @param {Object} parametersData - { name: number[] } as returned by getActivationParameters
+     */
+    setActivationParameters(parametersData) {
+        if (!this.activationParameters) {
+            throw new Error('Layer activation has no trainable parameters');
+        }
+        
+        Object.entries(this.activationParameters).forEach(([name, values]) => {
+            const data = parametersData?.[name];
+        
+            if (!Array.isArray(data) || data.length !== values.length || !data.every(Number.isFinite)) {
+                throw new Error(`Activation parameter ${name} must contain ${values.length} finite numbers`);
+            }
+        
+            values.set(data);
+        });
+    }
+
+    /**
+     * Counts trainable activation parameters
+     * @returns {number} number of activation parameter values
+     */
+    countActivationParameters() {
+        if (!this.activationParameters) {
+            return 0;
+        }
+        
+        return Object.values(this.activationParameters).reduce((total, values) => total + values.length, 0);
+    }
+
     /**
      * Returns layer information
      * @returns {Object} layer information
      */
     getInfo() {
         return {
+            type: this.type,
             neuronCount: this.size,
             inputSize: this.inputSize,
-            activationFunction: this.activationFunction.name || 'unknown',
+            activationFunction: getActivationName(this.activationFunction),
             totalWeights: this.neurons.length * this.inputSize,
+            activationParameters: this.countActivationParameters(),
+            dropout: this.dropout,
+            l1: this.l1,
+            l2: this.l2,
+            precision: this.precision,
             lastOutputs: [...this.outputs]
         };
     }
 
+    /**
+     * Returns serializable layer data, see Network.toJSON
+     * Entries without type describe dense layers
+     * @returns {Object} layer data
+     */
+    toJSON() {
+        const activationConfig = getActivationConfig(this.activationFunction);
+        
+        return {
+            neuronCount: this.size,
+            inputSize: this.inputSize,
+            activationFunction: getActivationName(this.activationFunction),
+            ...(activationConfig ? { activationConfig } : {}),
+            dropout: this.dropout,
+            l1: this.l1,
+            l2: this.l2,
+            precision: this.precision,
+            weights: this.getWeights(),
+            ...(this.activationParameters ? { activationParameters: this.getActivationParameters() } : {})
+        };
+    }
+
+    /**
+     * Creates a dense layer from data returned by toJSON
+     * @param {Object} layerData - layer data
+     * @param {Object} options - restore options
+     * @param {Object} options.customActivations - activation functions by name, checked before built-in
+     *     and registered ones
+     * @param {Function} options.random - source of random numbers for dropout
+     * @returns {Dense} restored layer
+     */
+    static fromJSON(layerData, options = {}) {
+        const { customActivations = {}, random = Math.random } = options;
+        const { activationFunction: name, dropout = 0, l1 = 0, l2 = 0, precision = 'float64' } = layerData;
+        const activationFunction = Object.prototype.hasOwnProperty.call(customActivations, name) ?
+            customActivations[name] : getActivation({ name, ...layerData.activationConfig });
+        const layer = new Dense(layerData.neuronCount, layerData.inputSize, activationFunction, {
+            dropout, l1, l2, precision, random
+        });
+        
+        layer.setWeights(layerData.weights);
+        
+        if (layerData.activationParameters) {
+            layer.setActivationParameters(layerData.activationParameters);
+        }
+        
+        return layer;
+    }
+
     /**
      * Resets layer state
      */
     reset() {
+        this.lastBatch = null;
+        this.weightedSums = [];
         this.outputs = [];
+        this.rawOutputs = [];
+        this.dropoutMask = null;
         this.neurons.forEach(neuron => {
             neuron.lastInputs = null;
+            neuron.lastWeightedSum = null;
             neuron.lastOutput = null;
         });
+        this.resetGradients();
     }
 }
+
+export { Dense as Layer };
@@ -1,4 +1,22 @@
-import { Layer } from './Layer.js';
+import { BaseLayer } from './BaseLayer.js';
+import { Dense } from './Layer.js';
+import { BatchNorm, LayerNorm } from './Normalization.js';
+import { Conv1D, Conv2D } from './Convolution.js';
+import { MaxPool, AvgPool } from './Pooling.js';
+import { Flatten } from './Flatten.js';
+import { formatShape } from './shapes.js';
+import { createLayer } from './layers.js';
+import { getActivation, getActivationName } from '../activations/index.js';
+import { createOptimizer } from '../optimizers/index.js';
+import { losses, getLoss, describeLoss } from '../losses/index.js';
+import { getMetric, validateMetrics } from '../metrics/index.js';
+import { SeededRandom, shuffleInPlace } from '../utils/random.js';
+import { CallbackList, EarlyStopping, ProgressLogger } from '../callbacks/index.js';
+import { createSchedule } from '../schedules/index.js';
+import { TrainingHistory } from './TrainingHistory.js';
+import { validateTrainingData } from './trainingData.js';
+import { createTransformer } from '../preprocessing/index.js';
+import { MODEL_FORMAT_VERSION, migrateModelData, validateModelData } from './modelFormat.js';
 
 /**
  * Neural network class
@@ -7,26 +25,112 @@ import { Layer } from './Layer.js';
 export class Network {
     /**
      * Creates a new neural network
+     * @param {Object} options - network options
+     * @param {number|null} options.seed - integer seed making initialization, shuffling
+     *     and dropout reproducible, Math.random is used if null
      */
-    constructor() {
+    constructor(options = {}) {
+        const { seed = null } = options;
+        
+        this.generator = seed === null ? null : new SeededRandom(seed);
+        this.random = this.generator ? () => this.generator.next() : Math.random;
         this.layers = [];
         this.learningRate = 0.1;
-        this.trainingHistory = [];
+        this.history = new TrainingHistory();
         this.isCompiled = false;
+        this.optimizer = null;
+        this.loss = losses.legacyMse;
+        this.stopTraining = false;
+        this.stopReason = null;
+        this.stopDetails = null;
+        this.preprocessing = { input: null, output: null };
+    }
+
+    /**
+     * Training loss by epochs of the last training
+     * Returns a new array on every access: changes such as push are lost unless the array
+     * is assigned back to trainingHistory
+     * @deprecated use getHistory().loss
+     * @returns {number[]} copy of loss values
+     */
+    get trainingHistory() {
+        return this.history.loss;
+    }
+
+    /**
+     * Replaces the training history with bare loss values, e.g. net.trainingHistory = []
+     * @deprecated the history keeps only loss, durations are 0
+     * @param {number[]} loss - loss values by epochs
+     */
+    set trainingHistory(loss) {
+        if (!Array.isArray(loss)) {
+            throw new Error('Training history must be an array of loss values');
+        }
+        
+        const history = new TrainingHistory();
+        loss.forEach((value, epoch) => history.record(epoch, { loss: value }, 0));
+        this.history = history;
     }
 
     /**
      * Adds a new layer to the network
-     * @param {number} neuronCount - number of neurons in layer
-     * @param {Object} activationFunction - activation function
-     * @param {number|null} inputSize - input size (only for first layer)
+     * A layer instance (any BaseLayer) is added as is, otherwise a dense layer is created
+     * @param {number|BaseLayer} neuronCount - number of neurons in layer, or a layer instance
+     * @param {Object|string} activationFunction - activation function, its name ('relu')
+     *     or configuration ({ name: 'leakyRelu', alpha: 0.2 })
+     * @param {number|Object|null} inputSize - input size (only for first layer), or options
+     * @param {Object} options - layer options, see Layer constructor
      * @returns {Network} returns this for method chaining
      */
-    addLayer(neuronCount, activationFunction, inputSize = null) {
+    addLayer(neuronCount, activationFunction, inputSize = null, options = {}) {
+        if (neuronCount instanceof BaseLayer) {
+            return this.pushLayer(neuronCount);
+        }
+        
+        if (inputSize !== null && typeof inputSize === 'object') {
+            options = inputSize;
+            inputSize = null;
+        }
+        
+        if (typeof activationFunction === 'string' ||
+            (activationFunction && !activationFunction.func && typeof activationFunction.name === 'string')) {
+            activationFunction = getActivation(activationFunction);
+        }
+        
         this.validateLayerParameters(neuronCount, activationFunction, inputSize);
         
         const layerInputSize = this.determineLayerInputSize(inputSize);
-        const layer = new Layer(neuronCount, layerInputSize, activationFunction);
+        const layer = new Dense(neuronCount, layerInputSize, activationFunction, {
+            ...options,
+            random: this.random
+        });
+        
+        return this.pushLayer(layer);
+    }
+
+    /**
+     * Appends a layer checking that it accepts outputs of the previous one
+     * @param {BaseLayer} layer - layer instance
+     * @returns {Network} returns this for method chaining
+     */
+    pushLayer(layer) {
+        const previous = this.layers.length > 0 ? this.layers[this.layers.length - 1] : null;
+        
+        if (previous && layer.inputSize !== previous.size) {
+            throw new Error(
+                `Layer input size (${layer.inputSize}) does not match ` +
+                `previous layer size (${previous.size})`
+            );
+        }
+        
+        // Layers reading spatial data need the exact shape, not only the same number of values
+        if (previous && layer.inputShape &&
+            formatShape(layer.inputShape) !== formatShape(previous.getOutputShape())) {
+            throw new Error(
+                `Layer input shape ${formatShape(layer.inputShape)} does not match ` +
+                `previous layer output shape ${formatShape(previous.getOutputShape())}`
+            );
+        }
         
         this.layers.push(layer);
         this.isCompiled = false;
@@ -34,6 +138,110 @@ export class Network {
         return this;
     }
 
+    /**
+     * Adds a batch normalization layer, its size equals the size of the previous layer
+     * @param {Object} options - layer options, see BatchNorm constructor
+     * @param {number} options.inputSize - number of features, only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addBatchNorm(options = {}) {
+        return this.addNormalization(BatchNorm, options);
+    }
+
+    /**
+     * Adds a layer normalization layer, its size equals the size of the previous layer
+     * @param {Object} options - layer options, see LayerNorm constructor
+     * @param {number} options.inputSize - number of features, only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addLayerNorm(options = {}) {
+        return this.addNormalization(LayerNorm, options);
+    }
+
+    /**
+     * Adds a normalization layer of the given class
+     * @param {Function} NormalizationLayer - BatchNorm or LayerNorm
+     * @param {Object} options - layer options with inputSize for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addNormalization(NormalizationLayer, options) {
+        const { inputSize = null, ...layerOptions } = options;
+        
+        if (this.layers.length === 0 && (inputSize === null || inputSize <= 0)) {
+            throw new Error('Input size must be specified for the first layer');
+        }
+        
+        return this.pushLayer(new NormalizationLayer(this.determineLayerInputSize(inputSize), layerOptions));
+    }
+
+    /**
+     * Adds a 1D convolution layer, its input shape is the output shape of the previous layer
+     * @param {Object} options - layer options, see Convolution constructor
+     * @param {number[]} options.inputShape - [length, channels], only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addConv1D(options = {}) {
+        return this.addSpatialLayer(Conv1D, options);
+    }
+
+    /**
+     * Adds a 2D convolution layer, its input shape is the output shape of the previous layer
+     * @param {Object} options - layer options, see Convolution constructor
+     * @param {number[]} options.inputShape - [height, width, channels], only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addConv2D(options = {}) {
+        return this.addSpatialLayer(Conv2D, options);
+    }
+
+    /**
+     * Adds a max pooling layer, its input shape is the output shape of the previous layer
+     * @param {Object} options - layer options, see Pooling constructor
+     * @param {number[]} options.inputShape - input shape, only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addMaxPool(options = {}) {
+        return this.addSpatialLayer(MaxPool, options);
+    }
+
+    /**
+     * Adds an average pooling layer, its input shape is the output shape of the previous layer
+     * @param {Object} options - layer options, see Pooling constructor
+     * @param {number[]} options.inputShape - input shape, only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addAvgPool(options = {}) {
+        return this.addSpatialLayer(AvgPool, options);
+    }
+
+    /**
+     * Adds a flatten layer, following dense layers see a vector of the same values
+     * @param {Object} options - layer options
+     * @param {number[]} options.inputShape - input shape, only for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addFlatten(options = {}) {
+        return this.addSpatialLayer(Flatten, options);
+    }
+
+    /**
+     * Adds a layer of spatial data created from its input shape
+     * @param {Function} SpatialLayer - layer class constructed with (inputShape, options)
+     * @param {Object} options - layer options with inputShape for the first layer
+     * @returns {Network} returns this for method chaining
+     */
+    addSpatialLayer(SpatialLayer, options) {
+        const { inputShape = null, ...layerOptions } = options;
+        
+        if (this.layers.length === 0 && inputShape === null) {
+            throw new Error('Input shape must be specified for the first layer');
+        }
+        
+        const shape = this.layers.length === 0 ? inputShape : this.layers[this.layers.length - 1].getOutputShape();
+        
+        return this.pushLayer(new SpatialLayer(shape, { ...layerOptions, random: this.random }));
+    }
+
     /**
      * Validates layer parameters
      * @param {number} neuronCount - number of neurons
@@ -69,104 +277,574 @@ export class Network {
 
     /**
      * Compiles the network for training
+     * @param {Object} options - compilation options
+     * @param {string|Object|Optimizer} options.optimizer - optimizer name, configuration or instance,
+     *     keeps the current optimizer (plain SGD by default) when omitted
+     * @param {string|Object} options.loss - loss name, configuration or loss object,
+     *     keeps the current loss (legacyMse by default) when omitted
+     * @returns {Network} returns this for method chaining
      */
-    compile() {
+    compile(options = {}) {
         if (this.layers.length === 0) {
             throw new Error('Network must contain at least one layer');
         }
         
+        const { optimizer = this.optimizer || 'sgd', loss = this.loss } = options;
+        
+        this.optimizer = createOptimizer(optimizer);
+        this.loss = getLoss(loss);
         this.isCompiled = true;
+        
+        return this;
+    }
+
+    /**
+     * Sets transformers applied to inputs and targets around the network
+     * Input transformer prepares inputs of training, evaluation and predictions, output transformer
+     * prepares targets for training and converts predictions back. Unfitted transformers are fitted
+     * on training data by train. Both are saved with the model.
+     * @param {Object} preprocessing - transformers, see preprocessing module
+     * @param {string|Object|Array|Transformer|null} preprocessing.input - input transformer,
+     *     an array creates a Pipeline
+     * @param {string|Object|Array|Transformer|null} preprocessing.output - target transformer
+     * @returns {Network} returns this for method chaining
+     */
+    setPreprocessing({ input = null, output = null } = {}) {
+        this.preprocessing = {
+            input: input === null ? null : createTransformer(input),
+            output: output === null ? null : createTransformer(output)
+        };
+        
+        return this;
+    }
+
+    /**
+     * Fits unfitted preprocessing transformers on data
+     * @param {Object[]} data - examples with input and target fields
+     */
+    fitPreprocessing(data) {
+        const { input, output } = this.preprocessing;
+        
+        if (input && !input.fitted) {
+            input.fit(data.map(example => example.input));
+        }
+        
+        if (output && !output.fitted) {
+            output.fit(data.map(example => example.target));
+        }
+    }
+
+    /**
+     * Applies preprocessing to examples
+     * @param {Object[]} data - examples with input and target fields
+     * @returns {Object[]} examples in network representation, data itself without preprocessing
+     */
+    transformData(data) {
+        const { input, output } = this.preprocessing;
+        
+        if (!input && !output) {
+            return data;
+        }
+        
+        const inputs = this.transformInputs(data.map(example => example.input));
+        const targets = data.map(example => example.target);
+        const transformedTargets = output ? output.transform(targets) : targets;
+        
+        return data.map((example, i) => ({ ...example, input: inputs[i], target: transformedTargets[i] }));
+    }
+
+    /**
+     * Applies input preprocessing
+     * @param {Array[]} inputs - input vectors
+     * @returns {number[][]} network inputs
+     */
+    transformInputs(inputs) {
+        return this.preprocessing.input ? this.preprocessing.input.transform(inputs) : inputs;
+    }
+
+    /**
+     * Converts network outputs back with output preprocessing
+     * @param {number[][]} outputs - network outputs
+     * @returns {Array[]} predictions in target representation
+     */
+    inverseTransformOutputs(outputs) {
+        return this.preprocessing.output ? this.preprocessing.output.inverseTransform(outputs) : outputs;
     }
 
     /**
      * Makes predictions for input data
-     * @param {number[]} inputs - input data
-     * @returns {number[]} prediction result
+     * Preprocessing is applied to inputs and reverted on outputs
+     * @param {Array} inputs - input data
+     * @returns {Array} prediction result
      */
     predict(inputs) {
+        return this.inverseTransformOutputs([this.predictOutputs(inputs)])[0];
+    }
+
+    /**
+     * Returns raw network outputs for input data, input preprocessing is applied
+     * @param {Array} inputs - input data
+     * @returns {number[]} output of last layer
+     */
+    predictOutputs(inputs) {
+        // Size is checked by forward, input preprocessing may change it
+        this.validateInputArray(inputs);
+        
+        return this.forward(this.transformInputs([inputs])[0], false);
+    }
+
+    /**
+     * Propagates input data through all layers
+     * @param {number[]} inputs - input data
+     * @param {boolean} training - enables training-only behavior such as dropout
+     * @returns {number[]} output of last layer
+     */
+    forward(inputs, training = false) {
         this.validatePredictionInputs(inputs);
         
-        let currentInputs = [...inputs];
+        // Layers copy what they keep, so inputs are passed without copying
+        let currentInputs = inputs;
+        
+        for (const layer of this.layers) {
+            currentInputs = layer.forward(currentInputs, { training });
+        }
+        
+        return currentInputs;
+    }
+
+    /**
+     * Makes predictions for a batch of inputs in one pass through every layer
+     * Preprocessing is applied to inputs and reverted on outputs
+     * @param {Array[]} inputs - input vectors
+     * @returns {Array[]} prediction results, one per input vector
+     */
+    predictBatch(inputs) {
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            throw new Error('Batch must be a non-empty array of input vectors');
+        }
+        
+        // Sizes are checked by forwardBatch, input preprocessing may change them
+        inputs.forEach(row => this.validateInputArray(row));
+        
+        return this.inverseTransformOutputs(this.forwardBatch(this.transformInputs(inputs), false));
+    }
+
+    /**
+     * Propagates a batch of inputs through all layers as matrix products
+     * @param {number[][]} inputs - input vectors
+     * @param {boolean} training - enables training-only behavior such as dropout
+     * @returns {number[][]} outputs of last layer, one per input vector
+     */
+    forwardBatch(inputs, training = false) {
+        if (!Array.isArray(inputs) || inputs.length === 0) {
+            throw new Error('Batch must be a non-empty array of input vectors');
+        }
+        
+        inputs.forEach(row => this.validatePredictionInputs(row));
+        
+        let currentInputs = inputs;
         
         for (const layer of this.layers) {
-            currentInputs = layer.forward(currentInputs);
+            currentInputs = layer.forwardBatch(currentInputs, { training });
         }
         
         return currentInputs;
     }
 
+    /**
+     * Returns class probabilities for input data
+     * Softmax outputs are returned as is, log-softmax outputs are exponentiated,
+     * a single output is treated as probability of class 1.
+     * Input preprocessing is applied, output preprocessing is not
+     * @param {Array} inputs - input data
+     * @returns {number[]} class probabilities
+     */
+    predictProba(inputs) {
+        const outputs = this.predictOutputs(inputs);
+        const outputLayer = this.layers[this.layers.length - 1];
+        
+        switch (outputLayer.activationFunction && getActivationName(outputLayer.activationFunction)) {
+            case 'softmax':
+                return outputs;
+            case 'logSoftmax':
+                return outputs.map(output => Math.exp(output));
+        }
+        
+        if (outputs.length === 1) {
+            return [1 - outputs[0], outputs[0]];
+        }
+        
+        return outputs;
+    }
+
+    /**
+     * Returns index of the most probable class
+     * @param {number[]} inputs - input data
+     * @returns {number} predicted class index
+     */
+    predictClass(inputs) {
+        const probabilities = this.predictProba(inputs);
+        
+        return probabilities.reduce((bestIndex, probability, index) => {
+            return probability > probabilities[bestIndex] ? index : bestIndex;
+        }, 0);
+    }
+
     /**
      * Trains the network on provided data
-     * @param {Object[]} trainingData - training data
+     * @param {Object[]} data - training data, validationSplit holds out a part of it
      * @param {number} epochs - number of training epochs
      * @param {Object} options - additional training parameters
-     * @returns {Network} returns this for method chaining
+     * @param {number} options.batchSize - number of examples per weight update
+     * @param {Object[]|null} options.validationData - examples evaluated after every epoch
+     * @param {number|null} options.validationSplit - share of shuffled training data held out
+     *     as validation data, alternative to validationData
+     * @param {Array<string|Function|Object>} options.metrics - metrics added to epoch logs for training
+     *     data and, with validation prefix, for validation data, see metrics module
+     * @param {Array<Callback|Object>} options.callbacks - training callbacks, see callbacks module
+     * @param {string|Object|LearningRateSchedule|null} options.learningRateSchedule - schedule
+     *     changing the learning rate during training, see schedules module
+     * @param {boolean} options.verbose - log progress, shortcut for ProgressLogger
+     * @param {Object|EarlyStopping|null} options.earlyStopping - EarlyStopping options or instance
+     * @param {number|null} options.earlyStoppingPatience - shortcut for EarlyStopping on validation error
+     * @returns {Network} returns this for method chaining, epoch logs are kept in getHistory()
+     */
+    train(data, epochs = 2000, options = {}) {
+        this.validateTrainingData(data);
+        
+        const { validationSplit = null, batchSize = 1, metrics = [] } = options;
+        
+        this.validateBatchSize(batchSize);
+        this.validateMetrics(metrics);
+        
+        const { trainingData, validationData } = this.splitValidationData(
+            data, options.validationData ?? null, validationSplit
+        );
+        
+        // Validation data and metrics go through evaluate, which applies preprocessing itself
+        this.fitPreprocessing(trainingData);
+        const networkData = this.transformData(trainingData);
+        this.prepareForTraining(networkData);
+        
+        const callbackList = this.createTrainingCallbacks(options, validationData !== null);
+        callbackList.onTrainBegin({ epochs, batchSize, samples: trainingData.length });
+        
+        // Callbacks get onTrainEnd on errors too, e.g. to restore learning rate and best weights
+        try {
+            for (let epoch = 0; epoch < epochs && !this.stopTraining; epoch++) {
+                const start = performance.now();
+                callbackList.onEpochBegin(epoch, { learningRate: this.learningRate });
+        
+                const logs = {
+                    loss: this.trainEpoch(networkData, batchSize, callbackList),
+                    learningRate: this.learningRate,
+                    ...this.evaluateEpochMetrics(trainingData, validationData, metrics)
+                };
+                this.history.record(epoch, logs, performance.now() - start);
+        
+                callbackList.onEpochEnd(epoch, logs);
+            }
+        } catch (error) {
+            this.stop('error', { message: error.message });
+            throw error;
+        } finally {
+            this.finishTraining(callbackList);
+        }
+        
+        return this;
+    }
+
+    /**
+     * Trains the network on examples from an iterable source without holding them in memory
+     * Examples are used in source order, the event loop gets control after every batch.
+     * Preprocessing must be fitted beforehand, training metrics are not available.
+     * @param {AsyncIterable|Iterable|Function} source - examples, arrays of examples or datasets
+     *     { data } such as streamCSV chunks; a function returning a new iterable is called every
+     *     epoch, which is needed for generators when epochs > 1
+     * @param {Object} options - training options, see train; validationSplit is not supported
+     * @param {number} options.epochs - number of passes over the source
+     * @param {number|null} options.samples - number of examples per epoch if known,
+     *     required by learning rate schedules with batch unit
+     * @returns {Promise<TrainingHistory>} copy of the training history
+     */
+    async trainAsync(source, options = {}) {
+        const { epochs = 1, batchSize = 1, metrics = [], validationData = null, samples = null } = options;
+        
+        if (typeof source !== 'function' && !isIterable(source)) {
+            throw new Error('Training source must be an iterable, an async iterable or a function returning one');
+        }
+        
+        if (!Number.isInteger(epochs) || epochs < 0) {
+            throw new Error('Number of epochs must be a non-negative integer');
+        }
+        
+        if (options.validationSplit !== undefined && options.validationSplit !== null) {
+            throw new Error('Validation split is not supported for streamed training, pass validationData');
+        }
+        
+        this.validateBatchSize(batchSize);
+        this.validateMetrics(metrics);
+        this.prepareForTraining();
+        
+        const callbackList = this.createTrainingCallbacks(options, validationData !== null);
+        callbackList.onTrainBegin({ epochs, batchSize, samples });
+        
+        try {
+            for (let epoch = 0; epoch < epochs && !this.stopTraining; epoch++) {
+                const start = performance.now();
+                callbackList.onEpochBegin(epoch, { learningRate: this.learningRate });
+        
+                const iterable = typeof source === 'function' ? source(epoch) : source;
+                const logs = {
+                    loss: await this.trainStreamEpoch(iterable, epoch, batchSize, callbackList),
+                    learningRate: this.learningRate,
+                    ...this.evaluateEpochMetrics(null, validationData, metrics)
+                };
+                this.history.record(epoch, logs, performance.now() - start);
+        
+                callbackList.onEpochEnd(epoch, logs);
+            }
+        } catch (error) {
+            this.stop('error', { message: error.message });
+            throw error;
+        } finally {
+            this.finishTraining(callbackList);
+        }
+        
+        return this.getHistory();
+    }
+
+    /**
+     * Trains on one pass over an iterable source
+     * @param {AsyncIterable|Iterable} iterable - examples, arrays of examples or datasets { data }
+     * @param {number} epoch - zero-based epoch index, used in error messages
+     * @param {number} batchSize - number of examples per weight update
+     * @param {CallbackList} callbacks - callbacks notified about every batch
+     * @returns {Promise<number>} average error for epoch
+     */
+    async trainStreamEpoch(iterable, epoch, batchSize, callbacks) {
+        if (!isIterable(iterable)) {
+            throw new Error('Training source function must return an iterable or an async iterable');
+        }
+        
+        let totalError = 0;
+        let count = 0;
+        let batchIndex = 0;
+        let batch = [];
+        
+        const runBatch = async () => {
+            callbacks.onBatchBegin(batchIndex, { size: batch.length });
+        
+            const batchError = this.trainBatch(this.prepareBatch(batch));
+            totalError += batchError;
+            count += batch.length;
+        
+            callbacks.onBatchEnd(batchIndex, { size: batch.length, loss: batchError / batch.length });
+            batchIndex++;
+            batch = [];
+        
+            await yieldToEventLoop();
+        };
+        
+        for await (const item of iterable) {
+            for (const example of toExamples(item)) {
+                batch.push(example);
+                if (batch.length === batchSize) {
+                    await runBatch();
+                }
+            }
+        }
+        
+        if (batch.length > 0) {
+            await runBatch();
+        }
+        
+        if (count === 0) {
+            throw new Error(
+                `Training source produced no examples in epoch ${epoch}, ` +
+                'pass a function returning a new iterable to train for several epochs'
+            );
+        }
+        
+        return totalError / count + this.regularizationLoss();
+    }
+
+    /**
+     * Performs one weight update on a batch, for online learning
+     * Fitted preprocessing is applied, training history is not changed
+     * @param {Object[]} batch - examples with input and target fields
+     * @returns {number} average error of the batch before the update
+     */
+    trainOnBatch(batch) {
+        if (!this.isCompiled) {
+            this.compile();
+        }
+        
+        const networkData = this.prepareBatch(batch);
+        this.validateBatchSize(networkData.length);
+        
+        return this.trainBatch(networkData) / batch.length;
+    }
+
+    /**
+     * Validates examples of a batch and converts them to network representation
+     * @param {Object[]} batch - examples with input and target fields
+     * @returns {Object[]} examples after preprocessing
      */
-    train(trainingData, epochs = 2000, options = {}) {
-        this.validateTrainingData(trainingData);
-        this.prepareForTraining(trainingData);
+    prepareBatch(batch) {
+        this.validateTrainingData(batch);
+        
+        const networkData = this.transformData(batch);
+        this.validateDataShape(networkData);
         
+        return networkData;
+    }
+
+    /**
+     * Creates callbacks of a training run and resets stop state
+     * @param {Object} options - train options
+     * @param {boolean} hasValidationData - whether validation error is available
+     * @returns {CallbackList} callbacks attached to the network
+     */
+    createTrainingCallbacks(options, hasValidationData) {
         const {
             verbose = false,
-            validationData = null,
-            earlyStoppingPatience = null
+            earlyStopping = null,
+            earlyStoppingPatience = null,
+            callbacks = [],
+            learningRateSchedule = null
         } = options;
         
-        let bestValidationError = Infinity;
-        let patienceCounter = 0;
-        
-        for (let epoch = 0; epoch < epochs; epoch++) {
-            const epochError = this.trainEpoch(trainingData);
-            this.trainingHistory.push(epochError);
-            
-            // Validation and early stopping
-            if (validationData && earlyStoppingPatience) {
-                const validationError = this.evaluateValidation(validationData);
-                
-                if (validationError < bestValidationError) {
-                    bestValidationError = validationError;
-                    patienceCounter = 0;
-                } else {
-                    patienceCounter++;
-                    
-                    if (patienceCounter >= earlyStoppingPatience) {
-                        if (verbose) {
-                            console.log(`Early stopping at epoch ${epoch + 1}`);
-                        }
-                        break;
-                    }
-                }
-            }
-            
-            // Progress output
-            if (verbose && (epoch + 1) % Math.max(1, Math.floor(epochs / 10)) === 0) {
-                console.log(`Epoch ${epoch + 1}/${epochs}, Error: ${epochError.toFixed(6)}`);
-            }
+        this.validateCallbacks(callbacks);
+        
+        const callbackList = new CallbackList([
+            ...(learningRateSchedule ? [createSchedule(learningRateSchedule)] : []),
+            ...(earlyStopping ? [earlyStopping instanceof EarlyStopping ?
+                earlyStopping : new EarlyStopping({ verbose, ...earlyStopping })] : []),
+            ...(hasValidationData && earlyStoppingPatience && !earlyStopping ?
+                [new EarlyStopping({ patience: earlyStoppingPatience, verbose })] : []),
+            ...(verbose ? [new ProgressLogger()] : []),
+            ...callbacks
+        ]);
+        
+        callbackList.setNetwork(this);
+        this.stopTraining = false;
+        this.stopReason = null;
+        this.stopDetails = null;
+        
+        return callbackList;
+    }
+
+    /**
+     * Records how training ended and notifies callbacks
+     * A stop requested in the last epoch is recorded too, though all epochs ran
+     * @param {CallbackList} callbackList - callbacks of the training run
+     */
+    finishTraining(callbackList) {
+        const completed = this.history.length;
+        if (this.stopTraining) {
+            this.history.finish(this.stopReason ?? 'callback', completed > 0 ? completed - 1 : null, this.stopDetails);
+        } else {
+            this.history.finish('completed');
         }
         
-        return this;
+        callbackList.onTrainEnd({
+            epochs: completed,
+            loss: this.history.last()?.loss,
+            stopReason: this.history.stopReason
+        });
+    }
+
+    /**
+     * Holds out a shuffled share of data for validation
+     * @param {Object[]} data - training data
+     * @param {Object[]|null} validationData - explicit validation data
+     * @param {number|null} validationSplit - share of data held out, nothing is held out if null
+     * @returns {Object} { trainingData, validationData }
+     */
+    splitValidationData(data, validationData, validationSplit) {
+        if (validationSplit === null) {
+            return { trainingData: data, validationData };
+        }
+        
+        if (validationData) {
+            throw new Error('Pass either validationData or validationSplit, not both');
+        }
+        
+        if (typeof validationSplit !== 'number' || validationSplit <= 0 || validationSplit >= 1) {
+            throw new Error('Validation split must be a number in range (0, 1)');
+        }
+        
+        const validationSize = Math.round(data.length * validationSplit);
+        if (validationSize === 0 || validationSize === data.length) {
+            throw new Error(
+                `Validation split ${validationSplit} leaves no examples for ` +
+                `${validationSize === 0 ? 'validation' : 'training'} in ${data.length} examples`
+            );
+        }
+        
+        const shuffled = this.shuffleArray([...data]);
+        
+        return {
+            trainingData: shuffled.slice(validationSize),
+            validationData: shuffled.slice(0, validationSize)
+        };
+    }
+
+    /**
+     * Stops training after the current epoch, called by callbacks
+     * @param {string} reason - stop reason recorded in training history
+     * @param {Object|null} details - additional information recorded with the reason
+     */
+    stop(reason = 'callback', details = null) {
+        this.stopTraining = true;
+        this.stopReason = reason;
+        this.stopDetails = details;
     }
 
     /**
      * Trains the network for one epoch
      * @param {Object[]} trainingData - training data
+     * @param {number} batchSize - number of examples per weight update
+     * @param {CallbackList|null} callbacks - callbacks notified about every batch
      * @returns {number} average error for epoch
      */
-    trainEpoch(trainingData) {
+    trainEpoch(trainingData, batchSize = 1, callbacks = null) {
         let totalError = 0;
         
         // Shuffle data for better training
         const shuffledData = this.shuffleArray([...trainingData]);
         
-        for (const example of shuffledData) {
-            const output = this.predict(example.input);
-            const error = this.calculateError(output, example.target);
-            
-            totalError += error;
-            this.backpropagate(example.target);
+        for (let start = 0; start < shuffledData.length; start += batchSize) {
+            const batch = shuffledData.slice(start, start + batchSize);
+            const batchIndex = start / batchSize;
+        
+            callbacks?.onBatchBegin(batchIndex, { size: batch.length });
+        
+            const batchError = this.trainBatch(batch);
+            totalError += batchError;
+        
+            callbacks?.onBatchEnd(batchIndex, { size: batch.length, loss: batchError / batch.length });
         }
         
-        return totalError / trainingData.length;
+        return totalError / trainingData.length + this.regularizationLoss();
+    }
+
+    /**
+     * Accumulates gradients over a batch and applies them once
+     * @param {Object[]} batch - training examples
+     * @returns {number} summed error over the batch
+     */
+    trainBatch(batch) {
+        const outputs = this.forwardBatch(batch.map(example => example.input), true);
+        const totalError = outputs.reduce((sum, output, i) => {
+            return sum + this.calculateError(output, batch[i].target);
+        }, 0);
+        
+        this.backpropagateBatch(batch.map(example => example.target));
+        this.applyGradients(batch.length);
+        
+        return totalError;
     }
 
     /**
@@ -175,36 +853,53 @@ export class Network {
      * @returns {Array} shuffled array
      */
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+        return shuffleInPlace(array, this.random);
     }
 
     /**
      * Performs backpropagation
+     * Accumulates gradients for the last prediction, weights change only in applyGradients
      * @param {number[]} targets - target values
      */
     backpropagate(targets) {
-        let deltas = [];
+        this.backpropagateBatch([targets]);
+    }
+
+    /**
+     * Performs backpropagation for the last forward batch
+     * @param {number[][]} targets - target values, one vector per example
+     */
+    backpropagateBatch(targets) {
+        const lastIndex = this.layers.length - 1;
         
-        // Backpropagation for output layer
-        const outputLayer = this.layers[this.layers.length - 1];
-        deltas = outputLayer.backwardOutput(targets, this.learningRate);
+        // Loss gradients flow from the output layer to the first one, which needs no input gradients
+        let gradients = this.layers[lastIndex].backwardLoss(targets, this.loss, { propagate: lastIndex > 0 });
         
-        // Backpropagation for hidden layers
-        for (let i = this.layers.length - 2; i >= 0; i--) {
-            const currentLayer = this.layers[i];
-            const nextLayer = this.layers[i + 1];
-            const nextLayerWeights = nextLayer.getConnectionWeights();
-            
-            deltas = currentLayer.backwardHidden(deltas, nextLayerWeights, this.learningRate);
+        for (let i = lastIndex - 1; i >= 0; i--) {
+            gradients = this.layers[i].backward(gradients, { propagate: i > 0 });
         }
     }
 
     /**
-     * Calculates mean squared error
+     * Applies gradients accumulated by backpropagate
+     * @param {number} batchSize - number of accumulated examples
+     */
+    applyGradients(batchSize = 1) {
+        this.layers.forEach((layer, index) => {
+            layer.applyGradients(this.learningRate, this.optimizer, String(index), batchSize);
+        });
+    }
+
+    /**
+     * Calculates L1/L2 penalty of all layers
+     * @returns {number} regularization penalty
+     */
+    regularizationLoss() {
+        return this.layers.reduce((total, layer) => total + layer.regularizationLoss(), 0);
+    }
+
+    /**
+     * Calculates error with the configured loss function
      * @param {number[]} predicted - predicted values
      * @param {number[]} actual - actual values
      * @returns {number} error value
@@ -214,23 +909,19 @@ export class Network {
             throw new Error('Predicted and actual values must have the same length');
         }
         
-        const sumSquaredError = predicted.reduce((sum, pred, index) => {
-            return sum + Math.pow(pred - actual[index], 2);
-        }, 0);
-        
-        return sumSquaredError / predicted.length;
+        return this.loss.func(predicted, actual);
     }
 
     /**
      * Evaluates performance on validation data
-     * @param {Object[]} validationData - validation data
+     * @param {Object[]} validationData - validation data, preprocessing is applied
      * @returns {number} average validation error
      */
     evaluateValidation(validationData) {
         let totalError = 0;
         
-        for (const example of validationData) {
-            const output = this.predict(example.input);
+        for (const example of this.transformData(validationData)) {
+            const output = this.forward(example.input, false);
             const error = this.calculateError(output, example.target);
             totalError += error;
         }
@@ -239,13 +930,77 @@ export class Network {
     }
 
     /**
-     * Validates prediction input data
-     * @param {number[]} inputs - input data
+     * Evaluates average error and metrics on data in inference mode
+     * Preprocessing is applied, so loss and metrics compare network outputs with transformed targets
+     * @param {Object[]} data - examples with input and target fields
+     * @param {Object} options - evaluation options
+     * @param {Array<string|Function|Object>} options.metrics - metric names, functions or metric objects
+     * @returns {Object} { loss, ...metric values by metric name }
      */
-    validatePredictionInputs(inputs) {
+    evaluate(data, options = {}) {
+        const { metrics = [] } = options;
+        
+        this.validateTrainingData(data);
+        this.validateMetrics(metrics);
+        
+        const networkData = this.transformData(data);
+        const outputs = this.forwardBatch(networkData.map(example => example.input), false);
+        const targets = networkData.map(example => example.target);
+        const totalError = outputs.reduce((sum, output, i) => sum + this.calculateError(output, targets[i]), 0);
+        const results = { loss: totalError / data.length };
+        
+        metrics.map(getMetric).forEach(metric => {
+            results[metric.name] = metric.func(outputs, targets);
+        });
+        
+        return results;
+    }
+
+    /**
+     * Calculates metrics and validation error logged after an epoch
+     * Training metrics are evaluated after the epoch with final weights and without dropout
+     * @param {Object[]|null} trainingData - training data, training metrics are skipped if null
+     * @param {Object[]|null} validationData - validation data
+     * @param {Array<string|Function|Object>} metrics - tracked metrics
+     * @returns {Object} training metric values, validationLoss and validation metric values
+     */
+    evaluateEpochMetrics(trainingData, validationData, metrics) {
+        const logs = {};
+        
+        if (trainingData && metrics.length > 0) {
+            const { loss, ...values } = this.evaluate(trainingData, { metrics });
+            Object.assign(logs, values);
+        }
+        
+        if (validationData && metrics.length === 0) {
+            logs.validationLoss = this.evaluateValidation(validationData);
+        } else if (validationData) {
+            const { loss, ...values } = this.evaluate(validationData, { metrics });
+            logs.validationLoss = loss;
+            Object.entries(values).forEach(([name, value]) => {
+                logs[`validation${name[0].toUpperCase()}${name.slice(1)}`] = value;
+            });
+        }
+        
+        return logs;
+    }
+
+    /**
+     * Validates that input data is an array, before preprocessing
+     * @param {Array} inputs - input data
+     */
+    validateInputArray(inputs) {
         if (!Array.isArray(inputs)) {
             throw new Error('Input data must be an array');
         }
+    }
+
+    /**
+     * Validates prediction input data
+     * @param {number[]} inputs - input data
+     */
+    validatePredictionInputs(inputs) {
+        this.validateInputArray(inputs);
         
         if (this.layers.length === 0) {
             throw new Error('Network contains no layers');
@@ -261,48 +1016,73 @@ export class Network {
     }
 
     /**
-     * Validates training data
-     * @param {Object[]} trainingData - training data
+     * Validates batch size
+     * Batch normalization learns nothing from single examples, so it needs batches above one
+     * @param {number} batchSize - number of examples per weight update
      */
-    validateTrainingData(trainingData) {
-        if (!Array.isArray(trainingData) || trainingData.length === 0) {
-            throw new Error('Training data must be a non-empty array');
+    validateBatchSize(batchSize) {
+        if (!Number.isInteger(batchSize) || batchSize <= 0) {
+            throw new Error('Batch size must be a positive integer');
         }
         
-        const firstExample = trainingData[0];
-        if (!firstExample.input || !firstExample.target) {
-            throw new Error('Each example must contain input and target fields');
+        if (batchSize === 1 && this.layers.some(layer => layer instanceof BatchNorm)) {
+            throw new Error(
+                'BatchNorm layers need batchSize above 1 in training, ' +
+                'single examples do not update running statistics'
+            );
         }
-        
-        // Check size consistency
-        const inputSize = firstExample.input.length;
-        const outputSize = firstExample.target.length;
-        
-        for (const example of trainingData) {
-            if (example.input.length !== inputSize) {
-                throw new Error('All input vectors must have the same size');
-            }
-            
-            if (example.target.length !== outputSize) {
-                throw new Error('All target vectors must have the same size');
-            }
+    }
+
+    /**
+     * Validates callbacks option
+     * @param {Array} callbacks - training callbacks
+     */
+    validateCallbacks(callbacks) {
+        if (!Array.isArray(callbacks)) {
+            throw new Error('Callbacks must be an array');
         }
     }
 
     /**
-     * Prepares network for training
+     * Validates metrics list
+     * @param {Array} metrics - metric specifications
+     */
+    validateMetrics(metrics) {
+        validateMetrics(metrics);
+    }
+
+    /**
+     * Validates training data, see trainingData.validateTrainingData
      * @param {Object[]} trainingData - training data
      */
-    prepareForTraining(trainingData) {
+    validateTrainingData(trainingData) {
+        validateTrainingData(trainingData);
+    }
+
+    /**
+     * Prepares network for training
+     * @param {Object[]|null} trainingData - training data, shapes are checked later if null
+     */
+    prepareForTraining(trainingData = null) {
         if (!this.isCompiled) {
             this.compile();
         }
         
-        this.trainingHistory = [];
+        this.history = new TrainingHistory();
+        this.layers.forEach(layer => layer.resetGradients());
         
-        // Check architecture compatibility with data
-        const inputSize = trainingData[0].input.length;
-        const outputSize = trainingData[0].target.length;
+        if (trainingData) {
+            this.validateDataShape(trainingData);
+        }
+    }
+
+    /**
+     * Checks that input and target sizes match the network architecture
+     * @param {Object[]} data - examples in network representation
+     */
+    validateDataShape(data) {
+        const inputSize = data[0].input.length;
+        const outputSize = data[0].target.length;
         
         if (this.layers[0].inputSize !== inputSize) {
             throw new Error(
@@ -339,21 +1119,95 @@ export class Network {
      * @returns {Object} network information
      */
     getInfo() {
-        const totalParameters = this.layers.reduce((total, layer) => {
-            return total + (layer.size * layer.inputSize) + layer.size; // weights + biases
-        }, 0);
+        // Weights, biases and trainable activation parameters
+        const totalParameters = this.layers.reduce((total, layer) => total + layer.countParameters(), 0);
         
         return {
             layers: this.layers.length,
             architecture: this.layers.map(layer => layer.size),
+            layerTypes: this.layers.map(layer => layer.type),
+            outputShapes: this.layers.map(layer => layer.getOutputShape()),
             inputSize: this.layers.length > 0 ? this.layers[0].inputSize : 0,
             outputSize: this.layers.length > 0 ? this.layers[this.layers.length - 1].size : 0,
             totalParameters,
             learningRate: this.learningRate,
+            optimizer: this.optimizer ? this.optimizer.name : null,
+            loss: this.loss.name || 'unknown',
+            seed: this.generator ? this.generator.seed : null,
             isCompiled: this.isCompiled,
-            trainedEpochs: this.trainingHistory.length,
-            lastError: this.trainingHistory.length > 0 ? 
-                this.trainingHistory[this.trainingHistory.length - 1] : null
+            trainedEpochs: this.history.length,
+            lastError: this.history.length > 0 ? this.history.last().loss : null
+        };
+    }
+
+    /**
+     * Returns weights of all layers
+     * @returns {Object[][]} weights and biases by layer, see Layer.getWeights
+     */
+    getWeights() {
+        return this.layers.map(layer => layer.getWeights());
+    }
+
+    /**
+     * Sets weights of all layers
+     * @param {Object[][]} weights - weights and biases by layer, as returned by getWeights
+     * @returns {Network} returns this for method chaining
+     */
+    setWeights(weights) {
+        if (!Array.isArray(weights) || weights.length !== this.layers.length) {
+            throw new Error('Weights must contain data for every layer');
+        }
+        
+        this.layers.forEach((layer, index) => layer.setWeights(weights[index]));
+        
+        return this;
+    }
+
+    /**
+     * Returns trainable activation parameters of all layers
+     * @returns {Array<Object|null>} parameters by layer, see Layer.getActivationParameters
+     */
+    getActivationParameters() {
+        return this.layers.map(layer => layer.getActivationParameters());
+    }
+
+    /**
+     * Sets trainable activation parameters of all layers
+     * @param {Array<Object|null>} parameters - parameters by layer, as returned by getActivationParameters
+     * @returns {Network} returns this for method chaining
+     */
+    setActivationParameters(parameters) {
+        if (!Array.isArray(parameters) || parameters.length !== this.layers.length) {
+            throw new Error('Activation parameters must contain data for every layer');
+        }
+        
+        this.layers.forEach((layer, index) => {
+            if (parameters[index] !== null) {
+                layer.setActivationParameters(parameters[index]);
+            }
+        });
+        
+        return this;
+    }
+
+    /**
+     * Returns serializable model data
+     * @returns {Object} model data
+     */
+    toJSON() {
+        return {
+            version: MODEL_FORMAT_VERSION,
+            architecture: this.layers.map(layer => layer.toJSON()),
+            learningRate: this.learningRate,
+            random: this.generator ?
+                { seed: this.generator.seed, state: this.generator.state } : null,
+            optimizer: this.optimizer ? this.optimizer.toJSON() : null,
+            loss: describeLoss(this.loss),
+            history: this.history.toJSON(),
+            preprocessing: {
+                input: this.preprocessing.input ? this.preprocessing.input.toJSON() : null,
+                output: this.preprocessing.output ? this.preprocessing.output.toJSON() : null
+            }
         };
     }
 
@@ -362,18 +1216,70 @@ export class Network {
      * @returns {string} JSON representation of model
      */
     exportModel() {
-        const modelData = {
-            architecture: this.layers.map(layer => ({
-                neuronCount: layer.size,
-                inputSize: layer.inputSize,
-                activationFunction: layer.activationFunction.name || 'unknown',
-                weights: layer.getWeights()
-            })),
-            learningRate: this.learningRate,
-            trainingHistory: this.trainingHistory
-        };
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    /**
+     * Creates a network from exported model data
+     * @param {string|Object} json - JSON string or parsed model data
+     * @param {Object} options - import options
+     * @param {Object} options.customActivations - activation functions by name, checked before built-in
+     *     and registered ones
+     * @param {Object} options.customLosses - loss functions by name, checked before built-in ones
+     * @param {Object} options.customLayers - layer classes by type, checked before built-in ones
+     * @returns {Network} restored network
+     */
+    static fromJSON(json, options = {}) {
+        const { customActivations = {}, customLosses = {}, customLayers = {} } = options;
+        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        const modelData = migrateModelData(parsed);
+        
+        validateModelData(modelData);
+        
+        const network = new Network({ seed: modelData.random ? modelData.random.seed : null });
+        
+        for (const layerData of modelData.architecture) {
+            network.addLayer(createLayer(layerData, { customLayers, customActivations, random: network.random }));
+        }
+        
+        if (modelData.learningRate !== undefined) {
+            network.setLearningRate(modelData.learningRate);
+        }
+        
+        // Continue the random sequence where the exported network stopped
+        if (modelData.random) {
+            network.generator.state = modelData.random.state;
+        }
+        
+        if (modelData.loss) {
+            const { name } = modelData.loss;
+            network.loss = Object.prototype.hasOwnProperty.call(customLosses, name) ?
+                customLosses[name] : getLoss(modelData.loss);
+        }
+        
+        if (modelData.optimizer) {
+            network.compile({ optimizer: createOptimizer(modelData.optimizer) });
+        }
+        
+        if (modelData.history) {
+            network.history = TrainingHistory.fromJSON(modelData.history);
+        }
         
-        return JSON.stringify(modelData, null, 2);
+        if (modelData.preprocessing) {
+            network.setPreprocessing(modelData.preprocessing);
+        }
+        
+        return network;
+    }
+
+    /**
+     * Imports model from JSON, counterpart of exportModel
+     * @param {string|Object} json - JSON string or parsed model data
+     * @param {Object} options - import options, see fromJSON
+     * @returns {Network} restored network
+     */
+    static importModel(json, options = {}) {
+        return Network.fromJSON(json, options);
     }
 
     /**
@@ -381,7 +1287,7 @@ export class Network {
      */
     reset() {
         this.layers.forEach(layer => layer.reset());
-        this.trainingHistory = [];
+        this.history = new TrainingHistory();
     }
 
     /**
@@ -389,6 +1295,71 @@ export class Network {
      * @returns {number[]} array of error values by epochs
      */
     getTrainingHistory() {
-        return [...this.trainingHistory];
+        return this.history.loss;
+    }
+
+    /**
+     * Returns full record of the last training
+     * @returns {TrainingHistory} copy of epoch logs, durations and stop reason
+     */
+    getHistory() {
+        return this.history.clone();
+    }
+
+    /**
+     * Returns learning rates used in every epoch of the last training
+     * @returns {number[]} learning rates by epochs, aligned with training history
+     */
+    getLearningRateHistory() {
+        return this.history.learningRate;
+    }
+
+    /**
+     * Returns metrics and validation error logged in every epoch of the last training
+     * @returns {Object[]} metric values by epochs, aligned with training history
+     */
+    getMetricsHistory() {
+        return this.history.epochs.map(({ epoch, loss, learningRate, duration, ...epochMetrics }) => epochMetrics);
+    }
+}
+
+/**
+ * Checks whether value can be used in for await
+ * @param {*} value - value to check
+ * @returns {boolean} true for iterables and async iterables
+ */
+function isIterable(value) {
+    return value !== null && value !== undefined &&
+        (typeof value[Symbol.asyncIterator] === 'function' || typeof value[Symbol.iterator] === 'function');
+}
+
+/**
+ * Converts an item of a training source to examples
+ * @param {Object|Object[]} item - example, array of examples or dataset { data }
+ * @returns {Object[]} examples
+ */
+function toExamples(item) {
+    if (Array.isArray(item)) {
+        return item;
+    }
+
+    if (item && Array.isArray(item.data)) {
+        return item.data;
     }
+
+    return [item];
+}
+
+/**
+ * Lets pending timers and I/O run between batches
+ * @returns {Promise<void>} resolves on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => {
+        if (typeof setImmediate === 'function') {
+            setImmediate(resolve);
+        } else {
+            setTimeout(resolve, 0);
+        }
+    });
 }
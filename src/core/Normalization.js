@@ -0,0 +1,332 @@
+import { BaseLayer } from './BaseLayer.js';
+
+/**
+ * Base class of normalization layers
+ * Normalizes every input, then scales it by gamma and shifts it by beta: y = gamma * x̂ + beta.
+ * Input and output sizes are equal
+ */
+export class Normalization extends BaseLayer {
+    /**
+     * Creates a normalization layer
+     * @param {string} type - layer type
+     * @param {number} size - number of normalized features
+     * @param {Object} options - layer options
+     * @param {number} options.epsilon - small value added to variance before the square root
+     */
+    constructor(type, size, options = {}) {
+        super(type);
+
+        const { epsilon = 1e-5 } = options;
+
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new Error('Number of features must be a positive integer');
+        }
+
+        if (typeof epsilon !== 'number' || epsilon <= 0) {
+            throw new Error('Epsilon must be a positive number');
+        }
+
+        this.size = size;
+        this.inputSize = size;
+        this.epsilon = epsilon;
+        this.gamma = new Float64Array(size).fill(1);
+        this.beta = new Float64Array(size);
+        this.gammaGradients = new Float64Array(size);
+        this.betaGradients = new Float64Array(size);
+    }
+
+    /**
+     * Normalizes a batch of examples
+     * @param {number[][]} inputs - input vectors, one per example
+     * @param {Object|boolean} options - { training }, see BaseLayer.forward
+     * @returns {number[][]} output vectors, one per example
+     */
+    forwardBatch(inputs, options = {}) {
+        this.validateBatch(inputs);
+
+        const { normalized, inverseStd, batchStatistics } = this.normalize(inputs, this.isTraining(options));
+        const outputs = normalized.map(row => row.map((value, j) => this.gamma[j] * value + this.beta[j]));
+
+        this.lastBatch = { size: inputs.length, normalized, inverseStd, batchStatistics, outputs };
+        this.outputs = outputs[outputs.length - 1];
+
+        return outputs.map(row => [...row]);
+    }
+
+    /**
+     * Computes normalized values of a batch
+     * @param {number[][]} inputs - input vectors
+     * @param {boolean} training - uses training behavior of the layer when true
+     * @returns {Object} { normalized, inverseStd, batchStatistics }
+     */
+    normalize(inputs, training) {
+        throw new Error(`Layer ${this.type} must implement normalize`);
+    }
+
+    /**
+     * Converts gradients of normalized values into gradients of inputs
+     * @param {number[][]} gradients - loss gradients of normalized values, one vector per example
+     * @returns {number[][]} loss gradients of inputs
+     */
+    propagateNormalization(gradients) {
+        throw new Error(`Layer ${this.type} must implement propagateNormalization`);
+    }
+
+    /**
+     * Backpropagation over the last forward batch
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options, see BaseLayer.backward
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backward(gradOutputs, { propagate = true } = {}) {
+        this.validateLastBatch(gradOutputs.length);
+
+        const { normalized } = this.lastBatch;
+
+        gradOutputs.forEach((row, b) => {
+            for (let j = 0; j < this.size; j++) {
+                this.gammaGradients[j] += row[j] * normalized[b][j];
+                this.betaGradients[j] += row[j];
+            }
+        });
+
+        if (!propagate) {
+            return null;
+        }
+
+        return this.propagateNormalization(gradOutputs.map(row => row.map((gradient, j) => gradient * this.gamma[j])));
+    }
+
+    /**
+     * Returns trainable parameters
+     * @returns {Object} { gamma, beta }
+     */
+    parameters() {
+        return { gamma: this.gamma, beta: this.beta };
+    }
+
+    /**
+     * Returns accumulated gradients of trainable parameters
+     * @returns {Object} { gamma, beta }
+     */
+    gradients() {
+        return { gamma: this.gammaGradients, beta: this.betaGradients };
+    }
+
+    /**
+     * Returns options needed to create the same layer
+     * @returns {Object} { epsilon }
+     */
+    getConfig() {
+        return { epsilon: this.epsilon };
+    }
+
+    /**
+     * Returns layer information
+     * @returns {Object} layer information
+     */
+    getInfo() {
+        return { ...super.getInfo(), ...this.getConfig() };
+    }
+
+    /**
+     * Creates a normalization layer from data returned by toJSON
+     * @param {Object} layerData - { neuronCount, inputSize, weights, ...options }
+     * @returns {Normalization} restored layer
+     */
+    static fromJSON(layerData) {
+        const { type, neuronCount, inputSize, weights, ...options } = layerData;
+
+        if (inputSize !== neuronCount) {
+            throw new Error(`Normalization input size (${inputSize}) must equal its size (${neuronCount})`);
+        }
+
+        const layer = new this(neuronCount, options);
+        layer.setWeights(weights);
+
+        return layer;
+    }
+}
+
+/**
+ * Batch normalization
+ * In training every feature is normalized with mean and variance of the batch, running
+ * averages of them are used in inference. A training batch of one example has no
+ * variance, it is normalized with running statistics that are left unchanged
+ */
+export class BatchNorm extends Normalization {
+    /**
+     * Creates a batch normalization layer
+     * @param {number} size - number of normalized features
+     * @param {Object} options - layer options
+     * @param {number} options.momentum - share of the previous running statistics kept after a batch
+     * @param {number} options.epsilon - small value added to variance before the square root
+     */
+    constructor(size, options = {}) {
+        super('batchNorm', size, options);
+
+        const { momentum = 0.9 } = options;
+
+        if (typeof momentum !== 'number' || momentum < 0 || momentum >= 1) {
+            throw new Error('Momentum must be a number in range [0, 1)');
+        }
+
+        this.momentum = momentum;
+        this.runningMean = new Float64Array(size);
+        this.runningVariance = new Float64Array(size).fill(1);
+    }
+
+    /**
+     * Normalizes features with batch or running statistics
+     * @param {number[][]} inputs - input vectors
+     * @param {boolean} training - uses and updates batch statistics when true
+     * @returns {Object} { normalized, inverseStd, batchStatistics }
+     */
+    normalize(inputs, training) {
+        const batchStatistics = training && inputs.length > 1;
+        const mean = batchStatistics ? new Float64Array(this.size) : this.runningMean;
+        const variance = batchStatistics ? new Float64Array(this.size) : this.runningVariance;
+
+        if (batchStatistics) {
+            inputs.forEach(row => row.forEach((value, j) => {
+                mean[j] += value / inputs.length;
+            }));
+            inputs.forEach(row => row.forEach((value, j) => {
+                variance[j] += (value - mean[j]) ** 2 / inputs.length;
+            }));
+
+            for (let j = 0; j < this.size; j++) {
+                this.runningMean[j] = this.momentum * this.runningMean[j] + (1 - this.momentum) * mean[j];
+                this.runningVariance[j] = this.momentum * this.runningVariance[j] + (1 - this.momentum) * variance[j];
+            }
+        }
+
+        const inverseStd = Array.from(variance, value => 1 / Math.sqrt(value + this.epsilon));
+        const normalized = inputs.map(row => row.map((value, j) => (value - mean[j]) * inverseStd[j]));
+
+        return { normalized, inverseStd, batchStatistics };
+    }
+
+    /**
+     * Converts gradients of normalized values into gradients of inputs
+     * With batch statistics every input also changes mean and variance of its feature:
+     * dx = inverseStd / n * (n * dx̂ - sum(dx̂) - x̂ * sum(dx̂ * x̂)) over the batch
+     * @param {number[][]} gradients - loss gradients of normalized values, one vector per example
+     * @returns {number[][]} loss gradients of inputs
+     */
+    propagateNormalization(gradients) {
+        const { normalized, inverseStd, batchStatistics } = this.lastBatch;
+
+        if (!batchStatistics) {
+            return gradients.map(row => row.map((gradient, j) => gradient * inverseStd[j]));
+        }
+
+        const count = gradients.length;
+        const gradientSums = new Float64Array(this.size);
+        const projectionSums = new Float64Array(this.size);
+
+        gradients.forEach((row, b) => row.forEach((gradient, j) => {
+            gradientSums[j] += gradient;
+            projectionSums[j] += gradient * normalized[b][j];
+        }));
+
+        return gradients.map((row, b) => row.map((gradient, j) => {
+            return inverseStd[j] / count * (count * gradient - gradientSums[j] - normalized[b][j] * projectionSums[j]);
+        }));
+    }
+
+    /**
+     * Returns learned values and running statistics of the layer
+     * @returns {Object} { gamma, beta, runningMean, runningVariance }
+     */
+    getWeights() {
+        return {
+            ...super.getWeights(),
+            runningMean: Array.from(this.runningMean),
+            runningVariance: Array.from(this.runningVariance)
+        };
+    }
+
+    /**
+     * Sets learned values and running statistics of the layer
+     * @param {Object} weightsData - values as returned by getWeights
+     */
+    setWeights(weightsData) {
+        this.validateWeightsData(weightsData, ['runningMean', 'runningVariance'], {
+            runningMean: this.runningMean,
+            runningVariance: this.runningVariance
+        });
+
+        if (weightsData.runningVariance.some(value => value < 0)) {
+            throw new Error('runningVariance must not contain negative values');
+        }
+
+        super.setWeights(weightsData);
+        this.runningMean.set(weightsData.runningMean);
+        this.runningVariance.set(weightsData.runningVariance);
+    }
+
+    /**
+     * Returns options needed to create the same layer
+     * @returns {Object} { epsilon, momentum }
+     */
+    getConfig() {
+        return { ...super.getConfig(), momentum: this.momentum };
+    }
+}
+
+/**
+ * Layer normalization
+ * Every example is normalized with mean and variance of its own features,
+ * training and inference behave the same and do not depend on the batch
+ */
+export class LayerNorm extends Normalization {
+    /**
+     * Creates a layer normalization layer
+     * @param {number} size - number of normalized features
+     * @param {Object} options - layer options
+     * @param {number} options.epsilon - small value added to variance before the square root
+     */
+    constructor(size, options = {}) {
+        super('layerNorm', size, options);
+    }
+
+    /**
+     * Normalizes features of every example
+     * @param {number[][]} inputs - input vectors
+     * @returns {Object} { normalized, inverseStd, batchStatistics }, inverseStd holds one value per example
+     */
+    normalize(inputs) {
+        const inverseStd = [];
+        const normalized = inputs.map(row => {
+            const mean = row.reduce((sum, value) => sum + value, 0) / row.length;
+            const variance = row.reduce((sum, value) => sum + (value - mean) ** 2, 0) / row.length;
+            const scale = 1 / Math.sqrt(variance + this.epsilon);
+
+            inverseStd.push(scale);
+            return row.map(value => (value - mean) * scale);
+        });
+
+        return { normalized, inverseStd, batchStatistics: false };
+    }
+
+    /**
+     * Converts gradients of normalized values into gradients of inputs
+     * dx = inverseStd / n * (n * dx̂ - sum(dx̂) - x̂ * sum(dx̂ * x̂)) over features of the example
+     * @param {number[][]} gradients - loss gradients of normalized values, one vector per example
+     * @returns {number[][]} loss gradients of inputs
+     */
+    propagateNormalization(gradients) {
+        const { normalized, inverseStd } = this.lastBatch;
+
+        return gradients.map((row, b) => {
+            const count = row.length;
+            const gradientSum = row.reduce((sum, gradient) => sum + gradient, 0);
+            const projectionSum = row.reduce((sum, gradient, j) => sum + gradient * normalized[b][j], 0);
+
+            return row.map((gradient, j) => {
+                return inverseStd[b] / count * (count * gradient - gradientSum - normalized[b][j] * projectionSum);
+            });
+        });
+    }
+}
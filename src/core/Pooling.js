@@ -0,0 +1,262 @@
+import { BaseLayer } from './BaseLayer.js';
+import {
+    validateSpatialShape, readSpatialSize, readPadding, createWindowGeometry, createWindows,
+    shapeSize, validateRestoredSizes
+} from './shapes.js';
+
+/**
+ * Base class of pooling layers
+ * Reduces every window of every channel to one value, channels are kept.
+ * Works on [length, channels] and [height, width, channels] data, pooling layers have no parameters
+ */
+export class Pooling extends BaseLayer {
+    /**
+     * Creates a pooling layer
+     * @param {string} type - layer type
+     * @param {number[]} inputShape - [length, channels] or [height, width, channels]
+     * @param {Object} options - layer options
+     * @param {number|number[]} options.poolSize - window size, one value or a value per dimension
+     * @param {number|number[]|null} options.stride - window step, equals poolSize if null
+     * @param {string|number|number[]} options.padding - 'valid', 'same' or padding per side,
+     *     padded positions are not pooled
+     */
+    constructor(type, inputShape, options = {}) {
+        super(type);
+
+        const { poolSize = 2, stride = null, padding = 'valid' } = options;
+
+        validateSpatialShape(inputShape, [1, 2], this.constructor.name);
+
+        const rank = inputShape.length - 1;
+
+        this.inputShape = [...inputShape];
+        this.poolSize = readSpatialSize(poolSize, rank, 'Pool size');
+        this.stride = stride === null ? [...this.poolSize] : readSpatialSize(stride, rank, 'Stride');
+        this.padding = readPadding(padding, rank);
+        this.geometry = createWindowGeometry(this.inputShape, {
+            kernelSize: this.poolSize,
+            stride: this.stride,
+            padding: this.padding
+        });
+        this.windows = createWindows(this.geometry);
+
+        if (this.windows.some(window => window.inputs.length === 0)) {
+            throw new Error('Padding must leave at least one input in every pooling window');
+        }
+
+        this.outputShape = [...this.geometry.outputSpatialShape, this.geometry.channels];
+        this.inputSize = shapeSize(this.inputShape);
+        this.size = shapeSize(this.outputShape);
+    }
+
+    /**
+     * Pools a batch of examples
+     * @param {number[][]} inputs - flat input vectors in channels-last order, one per example
+     * @param {Object|boolean} options - { training }, the layer behaves the same in training
+     * @returns {number[][]} flat output vectors, one per example
+     */
+    forwardBatch(inputs, options = {}) {
+        this.validateBatch(inputs);
+
+        const states = inputs.map(row => this.pool(row));
+        const outputs = states.map(state => Array.from(state.outputs));
+
+        this.lastBatch = { size: inputs.length, states, outputs };
+        this.outputs = outputs[outputs.length - 1];
+
+        return outputs.map(row => [...row]);
+    }
+
+    /**
+     * Pools one example
+     * @param {number[]} input - flat input vector
+     * @returns {Object} { outputs, ... } outputs and values unpool needs
+     */
+    pool(input) {
+        throw new Error(`Layer ${this.type} must implement pool`);
+    }
+
+    /**
+     * Distributes gradients of outputs of one example over its inputs
+     * @param {number[]} gradOutputs - loss gradients of outputs
+     * @param {Object} state - value returned by pool for the example
+     * @returns {Float64Array} loss gradients of inputs
+     */
+    unpool(gradOutputs, state) {
+        throw new Error(`Layer ${this.type} must implement unpool`);
+    }
+
+    /**
+     * Backpropagation over the last forward batch, see BaseLayer.backward
+     * @param {number[][]} gradOutputs - loss gradients of outputs, one vector per example
+     * @param {Object} options - backward options
+     * @param {boolean} options.propagate - computes gradients of inputs
+     * @returns {number[][]|null} loss gradients of inputs
+     */
+    backward(gradOutputs, { propagate = true } = {}) {
+        this.validateLastBatch(gradOutputs.length);
+
+        if (!propagate) {
+            return null;
+        }
+
+        return gradOutputs.map((row, b) => Array.from(this.unpool(row, this.lastBatch.states[b])));
+    }
+
+    /**
+     * Returns options needed to create the same layer
+     * @returns {Object} { inputShape, poolSize, stride, padding }
+     */
+    getConfig() {
+        return {
+            inputShape: [...this.inputShape],
+            poolSize: [...this.poolSize],
+            stride: [...this.stride],
+            padding: Array.isArray(this.padding) ? [...this.padding] : this.padding
+        };
+    }
+
+    /**
+     * Returns layer information
+     * @returns {Object} layer information
+     */
+    getInfo() {
+        return { ...super.getInfo(), ...this.getConfig(), outputShape: this.getOutputShape() };
+    }
+
+    /**
+     * Creates a pooling layer from data returned by toJSON
+     * @param {Object} layerData - { inputShape, poolSize, stride, padding, neuronCount, inputSize }
+     * @returns {Pooling} restored layer
+     */
+    static fromJSON(layerData) {
+        const { type, neuronCount, inputSize, weights, inputShape, ...options } = layerData;
+        const layer = new this(inputShape, options);
+
+        validateRestoredSizes(layer, layerData);
+
+        return layer;
+    }
+}
+
+/**
+ * Max pooling
+ * Keeps the largest value of every window, gradients flow only to that input
+ */
+export class MaxPool extends Pooling {
+    /**
+     * Creates a max pooling layer
+     * @param {number[]} inputShape - [length, channels] or [height, width, channels]
+     * @param {Object} options - layer options, see Pooling constructor
+     */
+    constructor(inputShape, options = {}) {
+        super('maxPool', inputShape, options);
+    }
+
+    /**
+     * Takes maximum of every window
+     * @param {number[]} input - flat input vector
+     * @returns {Object} { outputs, sources }, sources hold input indices of the maxima
+     */
+    pool(input) {
+        const { channels } = this.geometry;
+        const outputs = new Float64Array(this.size);
+        const sources = new Int32Array(this.size);
+
+        this.windows.forEach(({ inputs }, position) => {
+            for (let c = 0; c < channels; c++) {
+                let source = inputs[0] * channels + c;
+
+                for (let w = 1; w < inputs.length; w++) {
+                    const index = inputs[w] * channels + c;
+
+                    if (input[index] > input[source]) {
+                        source = index;
+                    }
+                }
+
+                outputs[position * channels + c] = input[source];
+                sources[position * channels + c] = source;
+            }
+        });
+
+        return { outputs, sources };
+    }
+
+    /**
+     * Routes every gradient to the input that was the window maximum
+     * @param {number[]} gradOutputs - loss gradients of outputs
+     * @param {Object} state - { sources } returned by pool
+     * @returns {Float64Array} loss gradients of inputs
+     */
+    unpool(gradOutputs, { sources }) {
+        const gradInput = new Float64Array(this.inputSize);
+
+        gradOutputs.forEach((gradient, k) => {
+            gradInput[sources[k]] += gradient;
+        });
+
+        return gradInput;
+    }
+}
+
+/**
+ * Average pooling
+ * Takes the mean of every window, windows cut by padding average only their inputs
+ */
+export class AvgPool extends Pooling {
+    /**
+     * Creates an average pooling layer
+     * @param {number[]} inputShape - [length, channels] or [height, width, channels]
+     * @param {Object} options - layer options, see Pooling constructor
+     */
+    constructor(inputShape, options = {}) {
+        super('avgPool', inputShape, options);
+    }
+
+    /**
+     * Takes mean of every window
+     * @param {number[]} input - flat input vector
+     * @returns {Object} { outputs }
+     */
+    pool(input) {
+        const { channels } = this.geometry;
+        const outputs = new Float64Array(this.size);
+
+        this.windows.forEach(({ inputs }, position) => {
+            for (let c = 0; c < channels; c++) {
+                let sum = 0;
+
+                for (let w = 0; w < inputs.length; w++) {
+                    sum += input[inputs[w] * channels + c];
+                }
+
+                outputs[position * channels + c] = sum / inputs.length;
+            }
+        });
+
+        return { outputs };
+    }
+
+    /**
+     * Shares every gradient equally among inputs of its window
+     * @param {number[]} gradOutputs - loss gradients of outputs
+     * @returns {Float64Array} loss gradients of inputs
+     */
+    unpool(gradOutputs) {
+        const { channels } = this.geometry;
+        const gradInput = new Float64Array(this.inputSize);
+
+        this.windows.forEach(({ inputs }, position) => {
+            for (let c = 0; c < channels; c++) {
+                const share = gradOutputs[position * channels + c] / inputs.length;
+
+                for (let w = 0; w < inputs.length; w++) {
+                    gradInput[inputs[w] * channels + c] += share;
+                }
+            }
+        });
+
+        return gradInput;
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Record of a training run
+ * Keeps epoch logs (loss, learning rate, validation loss, metrics) with epoch duration,
+ * and how the run ended. Serializable to JSON and CSV.
+ */
+export class TrainingHistory {
+    constructor() {
+        this.epochs = [];
+        this.stopReason = null;
+        this.stoppedEpoch = null;
+        this.stopDetails = null;
+        this.duration = 0;
+    }
+
+    /**
+     * Number of recorded epochs
+     * @returns {number} epoch count
+     */
+    get length() {
+        return this.epochs.length;
+    }
+
+    /**
+     * Training loss by epochs
+     * @returns {number[]} loss values
+     */
+    get loss() {
+        return this.get('loss');
+    }
+
+    /**
+     * Validation loss by epochs
+     * @returns {Array<number|undefined>} validation loss values, undefined without validation data
+     */
+    get validationLoss() {
+        return this.get('validationLoss');
+    }
+
+    /**
+     * Learning rate by epochs
+     * @returns {number[]} learning rates
+     */
+    get learningRate() {
+        return this.get('learningRate');
+    }
+
+    /**
+     * Returns values of one logs field by epochs
+     * @param {string} name - logs field, e.g. 'loss', 'validationAccuracy' or 'duration'
+     * @returns {Array} values, undefined for epochs without the field
+     */
+    get(name) {
+        return this.epochs.map(entry => entry[name]);
+    }
+
+    /**
+     * Adds logs of a finished epoch
+     * @param {number} epoch - zero-based epoch index
+     * @param {Object} logs - epoch logs
+     * @param {number} duration - epoch wall-clock duration in milliseconds
+     */
+    record(epoch, logs, duration) {
+        this.epochs.push({ epoch, ...logs, duration });
+        this.duration += duration;
+    }
+
+    /**
+     * Marks how training ended
+     * @param {string} stopReason - 'completed' when nothing stopped training, otherwise reason of the stop,
+     *     'error' when training threw
+     * @param {number|null} stoppedEpoch - last recorded epoch of a stopped training, null when completed
+     * @param {Object|null} stopDetails - information from the callback that stopped training,
+     *     e.g. { monitor, best, bestEpoch, restoredBestWeights } for early stopping, { message } for errors
+     */
+    finish(stopReason, stoppedEpoch = null, stopDetails = null) {
+        this.stopReason = stopReason;
+        this.stoppedEpoch = stoppedEpoch;
+        this.stopDetails = stopDetails;
+    }
+
+    /**
+     * Returns logs of the last epoch
+     * @returns {Object|null} epoch logs or null before training
+     */
+    last() {
+        return this.epochs.length > 0 ? { ...this.epochs[this.epochs.length - 1] } : null;
+    }
+
+    /**
+     * Returns deep copy of the history
+     * @returns {TrainingHistory} copy
+     */
+    clone() {
+        return TrainingHistory.fromJSON(JSON.parse(JSON.stringify(this)));
+    }
+
+    /**
+     * Returns serializable representation
+     * @returns {Object} { epochs, stopReason, stoppedEpoch, stopDetails, duration }
+     */
+    toJSON() {
+        return {
+            epochs: this.epochs,
+            stopReason: this.stopReason,
+            stoppedEpoch: this.stoppedEpoch,
+            stopDetails: this.stopDetails,
+            duration: this.duration
+        };
+    }
+
+    /**
+     * Formats epoch logs as CSV, one row per epoch
+     * Columns are all logs fields in order of appearance, array values are written as JSON
+     * @returns {string} CSV text with header row
+     */
+    toCSV() {
+        const columns = [];
+        this.epochs.forEach(entry => {
+            Object.keys(entry).forEach(key => {
+                if (!columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+
+        const rows = this.epochs.map(entry => columns.map(column => formatCSVValue(entry[column])).join(','));
+
+        return [columns.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Restores history from serialized data
+     * @param {Object} data - output of toJSON
+     * @returns {TrainingHistory} restored history
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.epochs)) {
+            throw new Error('Training history must contain epochs array');
+        }
+
+        const history = new TrainingHistory();
+        history.epochs = data.epochs.map(entry => ({ ...entry }));
+        history.stopReason = data.stopReason ?? null;
+        history.stoppedEpoch = data.stoppedEpoch ?? null;
+        history.stopDetails = data.stopDetails ?? null;
+        history.duration = data.duration ?? 0;
+
+        return history;
+    }
+}
+
+/**
+ * Formats one CSV cell
+ * @param {*} value - logs value
+ * @returns {string} cell text, empty for missing values
+ */
+function formatCSVValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (typeof value === 'object') {
+        return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
+    }
+
+    return String(value);
+}
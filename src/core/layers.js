@@ -0,0 +1,45 @@
+import { Dense } from './Layer.js';
+import { BatchNorm, LayerNorm } from './Normalization.js';
+import { Conv1D, Conv2D } from './Convolution.js';
+import { MaxPool, AvgPool } from './Pooling.js';
+import { Flatten } from './Flatten.js';
+
+/**
+ * Layer classes by type, used to restore exported models
+ * Every class extends BaseLayer and implements static fromJSON
+ */
+export const layerTypes = {
+    dense: Dense,
+    batchNorm: BatchNorm,
+    layerNorm: LayerNorm,
+    conv1D: Conv1D,
+    conv2D: Conv2D,
+    maxPool: MaxPool,
+    avgPool: AvgPool,
+    flatten: Flatten
+};
+
+/**
+ * Creates a layer from exported data
+ * Entries without type are dense layers, the format of models exported before other layer types
+ * @param {Object} layerData - layer data returned by toJSON of the layer
+ * @param {Object} options - restore options
+ * @param {Object} options.customLayers - layer classes by type, checked before built-in ones
+ * @param {Object} options.customActivations - activation functions by name for dense layers
+ * @param {Function} options.random - source of random numbers for dropout
+ * @returns {BaseLayer} restored layer
+ */
+export function createLayer(layerData, options = {}) {
+    const { customLayers = {} } = options;
+    const { type = 'dense' } = layerData;
+
+    if (Object.prototype.hasOwnProperty.call(customLayers, type)) {
+        return customLayers[type].fromJSON(layerData, options);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(layerTypes, type)) {
+        throw new Error(`Unknown layer type: ${type}`);
+    }
+
+    return layerTypes[type].fromJSON(layerData, options);
+}
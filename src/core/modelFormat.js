@@ -0,0 +1,118 @@
+/**
+ * Current version of the model format written by Network.exportModel
+ */
+export const MODEL_FORMAT_VERSION = 2;
+
+/**
+ * Migrations between format versions
+ * Entry N upgrades a model of version N to version N + 1
+ */
+const migrations = [
+    // Version 0: files exported before the version field existed
+    modelData => ({ ...modelData, version: 1 }),
+
+    // Version 1: loss and learning rate arrays instead of training history object
+    ({ trainingHistory = [], learningRateHistory = [], ...modelData }) => ({
+        ...modelData,
+        version: 2,
+        history: {
+            epochs: trainingHistory.map((loss, epoch) => (learningRateHistory[epoch] === undefined ?
+                { epoch, loss } : { epoch, loss, learningRate: learningRateHistory[epoch] })),
+            stopReason: null,
+            stoppedEpoch: null,
+            stopDetails: null,
+            duration: 0
+        }
+    })
+];
+
+/**
+ * Upgrades model data to the current format version
+ * @param {Object} modelData - parsed model data
+ * @returns {Object} model data in the current format
+ */
+export function migrateModelData(modelData) {
+    if (!modelData || typeof modelData !== 'object' || Array.isArray(modelData)) {
+        throw new Error('Model data must be an object');
+    }
+
+    let version = modelData.version ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Invalid model format version: ${modelData.version}`);
+    }
+
+    if (version > MODEL_FORMAT_VERSION) {
+        throw new Error(
+            `Model format version (${version}) is newer than ` +
+            `supported version (${MODEL_FORMAT_VERSION})`
+        );
+    }
+
+    let migrated = modelData;
+    while (version < MODEL_FORMAT_VERSION) {
+        migrated = migrations[version](migrated);
+        version++;
+    }
+
+    return migrated;
+}
+
+/**
+ * Validates shapes and values of model data
+ * @param {Object} modelData - model data in the current format
+ */
+export function validateModelData(modelData) {
+    const { architecture } = modelData;
+
+    if (!Array.isArray(architecture) || architecture.length === 0) {
+        throw new Error('Model must contain at least one layer');
+    }
+
+    architecture.forEach((layerData, layerIndex) => {
+        const { neuronCount, inputSize, weights } = layerData;
+
+        if (!Number.isInteger(neuronCount) || neuronCount <= 0) {
+            throw new Error(`Layer ${layerIndex}: number of neurons must be a positive integer`);
+        }
+
+        if (!Number.isInteger(inputSize) || inputSize <= 0) {
+            throw new Error(`Layer ${layerIndex}: input size must be a positive integer`);
+        }
+
+        if (layerIndex > 0 && inputSize !== architecture[layerIndex - 1].neuronCount) {
+            throw new Error(
+                `Layer ${layerIndex}: input size (${inputSize}) does not match ` +
+                `previous layer size (${architecture[layerIndex - 1].neuronCount})`
+            );
+        }
+
+        // Layers of other types validate their data when restored, see createLayer
+        if (layerData.type !== undefined && layerData.type !== 'dense') {
+            return;
+        }
+
+        if (!Array.isArray(weights) || weights.length !== neuronCount) {
+            throw new Error(`Layer ${layerIndex}: expected weights for ${neuronCount} neurons`);
+        }
+
+        weights.forEach((neuronData, neuronIndex) => {
+            if (!neuronData || !Array.isArray(neuronData.weights) ||
+                neuronData.weights.length !== inputSize) {
+                throw new Error(
+                    `Layer ${layerIndex}, neuron ${neuronIndex}: expected ${inputSize} weights`
+                );
+            }
+
+            if (!neuronData.weights.every(Number.isFinite) || !Number.isFinite(neuronData.bias)) {
+                throw new Error(
+                    `Layer ${layerIndex}, neuron ${neuronIndex}: weights and bias must be finite numbers`
+                );
+            }
+        });
+    });
+
+    if (modelData.learningRate !== undefined &&
+        (typeof modelData.learningRate !== 'number' || modelData.learningRate <= 0)) {
+        throw new Error('Learning rate must be a positive number');
+    }
+}
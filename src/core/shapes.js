@@ -0,0 +1,194 @@
+/**
+ * Shapes and sliding windows of spatial layers
+ * Spatial data is passed between layers as flat vectors in channels-last order:
+ * [length, channels] for 1D and [height, width, channels] for 2D data, value (y, x, c)
+ * of a 2D input lies at (y * width + x) * channels + c. 1D data is handled as 2D data of height 1
+ */
+
+/**
+ * Validates shape of spatial data
+ * @param {number[]} shape - [length, channels] or [height, width, channels]
+ * @param {number[]} ranks - accepted numbers of spatial dimensions
+ * @param {string} layerName - layer name used in error messages
+ */
+export function validateSpatialShape(shape, ranks, layerName) {
+    const expected = ranks.map(rank => (rank === 1 ? '[length, channels]' : '[height, width, channels]'));
+
+    if (!Array.isArray(shape) || !ranks.includes(shape.length - 1) ||
+        !shape.every(dimension => Number.isInteger(dimension) && dimension > 0)) {
+        throw new Error(`${layerName} input shape must be ${expected.join(' or ')} of positive integers, ` +
+            `got ${formatShape(shape)}`);
+    }
+}
+
+/**
+ * Formats shape for error messages
+ * @param {*} shape - shape array
+ * @returns {string} shape as [a, b, c]
+ */
+export function formatShape(shape) {
+    return Array.isArray(shape) ? `[${shape.join(', ')}]` : String(shape);
+}
+
+/**
+ * Counts values of data with the given shape
+ * @param {number[]} shape - data shape
+ * @returns {number} product of dimensions
+ */
+export function shapeSize(shape) {
+    return shape.reduce((size, dimension) => size * dimension, 1);
+}
+
+/**
+ * Reads a size given for every spatial dimension
+ * @param {number|number[]} value - one value for all dimensions or a value per dimension
+ * @param {number} rank - number of spatial dimensions
+ * @param {string} name - option name used in error messages
+ * @param {number} minimum - smallest accepted value
+ * @returns {number[]} value per spatial dimension
+ */
+export function readSpatialSize(value, rank, name, minimum = 1) {
+    const values = Array.isArray(value) ? value : Array(rank).fill(value);
+
+    if (values.length !== rank || !values.every(item => Number.isInteger(item) && item >= minimum)) {
+        throw new Error(`${name} must be an integer >= ${minimum} or an array of ${rank} such integers`);
+    }
+
+    return [...values];
+}
+
+/**
+ * Reads padding option of a sliding window
+ * @param {string|number|number[]} padding - 'valid', 'same', padding per side for all dimensions
+ *     or padding per spatial dimension
+ * @param {number} rank - number of spatial dimensions
+ * @returns {string|number[]} 'valid', 'same' or padding per spatial dimension
+ */
+export function readPadding(padding, rank) {
+    if (padding === 'valid' || padding === 'same') {
+        return padding;
+    }
+
+    const values = Array.isArray(padding) ? padding : Array(rank).fill(padding);
+
+    if (values.length !== rank || !values.every(item => Number.isInteger(item) && item >= 0)) {
+        throw new Error(`Padding must be 'valid', 'same', a non-negative integer or an array of ${rank} such integers`);
+    }
+
+    return [...values];
+}
+
+/**
+ * Computes geometry of a sliding window over spatial data
+ * Padding is 'valid' (none), 'same' (output size is ceil(input / stride), extra padding goes
+ * after the data) or explicit padding per side: a number or a number per spatial dimension
+ * @param {number[]} inputShape - [length, channels] or [height, width, channels]
+ * @param {Object} window - window settings
+ * @param {number[]} window.kernelSize - window size per spatial dimension
+ * @param {number[]} window.stride - window step per spatial dimension
+ * @param {string|number[]} window.padding - 'valid', 'same' or padding per spatial dimension
+ * @returns {Object} { inputHeight, inputWidth, channels, kernelHeight, kernelWidth, strideHeight,
+ *     strideWidth, padTop, padLeft, outputHeight, outputWidth, outputSpatialShape }
+ */
+export function createWindowGeometry(inputShape, { kernelSize, stride, padding }) {
+    const rank = inputShape.length - 1;
+    const spatialShape = inputShape.slice(0, rank);
+    const pads = spatialShape.map((size, d) => {
+        if (padding === 'valid') {
+            return [0, 0];
+        }
+
+        if (padding === 'same') {
+            const total = Math.max((Math.ceil(size / stride[d]) - 1) * stride[d] + kernelSize[d] - size, 0);
+            return [Math.floor(total / 2), total - Math.floor(total / 2)];
+        }
+
+        return [padding[d], padding[d]];
+    });
+    const outputSpatialShape = spatialShape.map((size, d) => {
+        return Math.floor((size + pads[d][0] + pads[d][1] - kernelSize[d]) / stride[d]) + 1;
+    });
+
+    if (outputSpatialShape.some(size => size < 1)) {
+        throw new Error(
+            `Window ${formatShape(kernelSize)} does not fit input shape ${formatShape(inputShape)} ` +
+            'with the given padding'
+        );
+    }
+
+    // 1D data is a single row of 2D data
+    const asRows = (values, first) => (rank === 1 ? [first, values[0]] : values);
+    const [inputHeight, inputWidth] = asRows(spatialShape, 1);
+    const [kernelHeight, kernelWidth] = asRows(kernelSize, 1);
+    const [strideHeight, strideWidth] = asRows(stride, 1);
+    const [[padTop], [padLeft]] = asRows(pads, [0, 0]);
+    const [outputHeight, outputWidth] = asRows(outputSpatialShape, 1);
+
+    return {
+        inputHeight,
+        inputWidth,
+        channels: inputShape[rank],
+        kernelHeight,
+        kernelWidth,
+        strideHeight,
+        strideWidth,
+        padTop,
+        padLeft,
+        outputHeight,
+        outputWidth,
+        outputSpatialShape
+    };
+}
+
+/**
+ * Lists input positions covered by the window at every output position
+ * Positions in the padding are skipped
+ * @param {Object} geometry - geometry returned by createWindowGeometry
+ * @returns {Object[]} { inputs, offsets } by output position y * outputWidth + x: inputs are spatial
+ *     input positions y * inputWidth + x, offsets are positions ky * kernelWidth + kx inside the window
+ */
+export function createWindows(geometry) {
+    const {
+        inputHeight, inputWidth, kernelHeight, kernelWidth, strideHeight, strideWidth,
+        padTop, padLeft, outputHeight, outputWidth
+    } = geometry;
+    const windows = [];
+
+    for (let oy = 0; oy < outputHeight; oy++) {
+        for (let ox = 0; ox < outputWidth; ox++) {
+            const inputs = [];
+            const offsets = [];
+
+            for (let ky = 0; ky < kernelHeight; ky++) {
+                const y = oy * strideHeight - padTop + ky;
+
+                for (let kx = 0; kx < kernelWidth; kx++) {
+                    const x = ox * strideWidth - padLeft + kx;
+
+                    if (y >= 0 && y < inputHeight && x >= 0 && x < inputWidth) {
+                        inputs.push(y * inputWidth + x);
+                        offsets.push(ky * kernelWidth + kx);
+                    }
+                }
+            }
+
+            windows.push({ inputs: Int32Array.from(inputs), offsets: Int32Array.from(offsets) });
+        }
+    }
+
+    return windows;
+}
+
+/**
+ * Checks that a restored layer has the sizes saved with it
+ * @param {BaseLayer} layer - layer created from the saved shape and options
+ * @param {Object} layerData - { type, neuronCount, inputSize }
+ */
+export function validateRestoredSizes(layer, layerData) {
+    if (layer.inputSize !== layerData.inputSize || layer.size !== layerData.neuronCount) {
+        throw new Error(
+            `Layer ${layerData.type} sizes (${layerData.inputSize} -> ${layerData.neuronCount}) ` +
+            `do not match its input shape ${formatShape(layer.inputShape)}`
+        );
+    }
+}
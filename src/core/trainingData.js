@@ -0,0 +1,49 @@
+/**
+ * Validates training data
+ * Every example needs input and target arrays of the same sizes in all examples.
+ * Targets are arrays even with an output encoder, a label is passed as ['cat']
+ * @param {Object[]} trainingData - training data
+ */
+export function validateTrainingData(trainingData) {
+    if (!Array.isArray(trainingData) || trainingData.length === 0) {
+        throw new Error('Training data must be a non-empty array');
+    }
+
+    const firstExample = trainingData[0];
+    if (!firstExample.input || !firstExample.target) {
+        throw new Error('Each example must contain input and target fields');
+    }
+
+    for (const example of trainingData) {
+        if (!isVector(example.input)) {
+            throw new Error('Example input must be an array, wrap a single value as [value]');
+        }
+
+        if (!isVector(example.target)) {
+            throw new Error('Example target must be an array, wrap a single value or label as [value]');
+        }
+    }
+
+    // Check size consistency
+    const inputSize = firstExample.input.length;
+    const outputSize = firstExample.target.length;
+
+    for (const example of trainingData) {
+        if (example.input.length !== inputSize) {
+            throw new Error('All input vectors must have the same size');
+        }
+
+        if (example.target.length !== outputSize) {
+            throw new Error('All target vectors must have the same size');
+        }
+    }
+}
+
+/**
+ * Checks that value is an array or a typed array
+ * @param {*} value - input or target of an example
+ * @returns {boolean} true for vectors
+ */
+function isVector(value) {
+    return Array.isArray(value) || ArrayBuffer.isView(value);
+}
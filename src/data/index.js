@@ -0,0 +1,602 @@
+import { OneHotEncoder, createTransformer } from '../preprocessing/index.js';
+
+/**
+ * Dataset loading
+ * Parsers return tables { columns, rows }, buildDataset turns a table into examples
+ * { input, target } for Network.train. Loaders read files, streams yield datasets in chunks.
+ */
+
+/**
+ * Values treated as missing by default
+ */
+const DEFAULT_MISSING_VALUES = ['', 'NA', 'N/A', 'NaN', 'null'];
+
+/**
+ * Incremental CSV parser
+ * Text may arrive in pieces of any size, quoted fields can contain delimiters, quotes ("")
+ * and line breaks. Empty lines are skipped.
+ */
+export class CSVParser {
+    /**
+     * @param {Object} options - parser options
+     * @param {string} options.delimiter - field delimiter
+     * @param {string} options.quote - quote character
+     */
+    constructor({ delimiter = ',', quote = '"' } = {}) {
+        if (typeof delimiter !== 'string' || delimiter.length !== 1) {
+            throw new Error('Delimiter must be a single character');
+        }
+
+        if (typeof quote !== 'string' || quote.length !== 1 || quote === delimiter) {
+            throw new Error('Quote must be a single character different from delimiter');
+        }
+
+        this.delimiter = delimiter;
+        this.quote = quote;
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.quoteSeen = false;
+        this.quoted = false;
+    }
+
+    /**
+     * Parses next piece of text
+     * @param {string} text - piece of CSV text
+     * @returns {string[][]} records completed by this piece
+     */
+    push(text) {
+        const records = [];
+
+        for (const char of text) {
+            if (this.inQuotes) {
+                if (this.quoteSeen) {
+                    // A quote inside quotes is either escaped ("") or closes the field
+                    this.quoteSeen = false;
+                    if (char === this.quote) {
+                        this.field += char;
+                        continue;
+                    }
+                    this.inQuotes = false;
+                } else {
+                    if (char === this.quote) {
+                        this.quoteSeen = true;
+                    } else {
+                        this.field += char;
+                    }
+                    continue;
+                }
+            }
+
+            if (char === this.quote && this.field === '' && !this.quoted) {
+                this.inQuotes = true;
+                this.quoted = true;
+            } else if (char === this.delimiter) {
+                this.endField();
+            } else if (char === '\n') {
+                this.endField();
+                this.endRecord(records);
+            } else if (char !== '\r') {
+                this.field += char;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Finishes parsing
+     * @returns {string[][]} last record if text did not end with a line break
+     */
+    end() {
+        if (this.inQuotes && !this.quoteSeen) {
+            throw new Error('Unterminated quoted field at the end of CSV');
+        }
+
+        this.inQuotes = false;
+        this.quoteSeen = false;
+
+        const records = [];
+        if (this.field !== '' || this.quoted || this.record.length > 0) {
+            this.endField();
+            this.endRecord(records);
+        }
+
+        return records;
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.quoted = false;
+    }
+
+    endRecord(records) {
+        if (this.record.length > 1 || this.record[0] !== '') {
+            records.push(this.record);
+        }
+        this.record = [];
+    }
+}
+
+/**
+ * Parses CSV text into a table
+ * @param {string} text - CSV text
+ * @param {Object} options - parsing options
+ * @param {string} options.delimiter - field delimiter
+ * @param {string} options.quote - quote character
+ * @param {boolean|string} options.header - true, false or 'auto': the first row is a header
+ *     when all its fields are non-empty and not numbers
+ * @returns {Object} { columns, rows }, rows are arrays of field strings, columns are header
+ *     names or '0', '1', ... without header
+ */
+export function parseCSV(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('CSV text must be a string');
+    }
+
+    const { header = 'auto', ...parserOptions } = options;
+    const parser = new CSVParser(parserOptions);
+    const records = [...parser.push(text), ...parser.end()];
+
+    return splitHeader(records, header);
+}
+
+/**
+ * Parses JSON Lines text into a table
+ * @param {string} text - one JSON object per line, empty lines are skipped
+ * @returns {Object} { columns, rows }, columns are keys in order of appearance,
+ *     absent keys give undefined values
+ */
+export function parseJSONL(text) {
+    if (typeof text !== 'string') {
+        throw new Error('JSONL text must be a string');
+    }
+
+    const objects = parseJSONLines(text.split('\n'), 1);
+    const columns = collectKeys(objects, []);
+
+    return { columns, rows: objects.map(object => columns.map(column => object[column])) };
+}
+
+/**
+ * Builds training examples from a table
+ * @param {Object} table - { columns, rows } from parseCSV or parseJSONL
+ * @param {Object} options - column mapping options
+ * @param {Array<string|number>|null} options.features - input columns by name or index,
+ *     all columns except labels if null
+ * @param {Array<string|number>|string|number|null} options.labels - target columns,
+ *     the last column if null
+ * @param {Array<string|number>|Object} options.categorical - columns encoded one-hot, categories
+ *     are collected from data, or an object { column: categories } with fixed categories
+ * @param {Object} options.encoders - fitted OneHotEncoder by column name, e.g. from a training set
+ * @param {string|number} options.missing - 'skip' drops rows with missing values, 'error' throws,
+ *     a number fills missing numeric values (categorical ones are encoded as zeros)
+ * @param {Array} options.missingValues - field values treated as missing besides null and undefined
+ * @returns {Object} { data, features, labels, encoders, missing }, features and labels are column
+ *     names, missing is { rows, columns } with row count and counts by column
+ */
+export function buildDataset(table, options = {}) {
+    return buildExamples(table, resolveOptions(table.columns, options), 0);
+}
+
+/**
+ * Reads CSV file and builds training examples
+ * @param {string} path - file path
+ * @param {Object} options - parseCSV and buildDataset options
+ * @returns {Promise<Object>} buildDataset result
+ */
+export async function loadCSV(path, options = {}) {
+    const { delimiter, quote, header, ...datasetOptions } = options;
+    const text = await readText(path);
+
+    return buildDataset(parseCSV(text, { delimiter, quote, header }), datasetOptions);
+}
+
+/**
+ * Reads JSON Lines file and builds training examples
+ * @param {string} path - file path
+ * @param {Object} options - buildDataset options
+ * @returns {Promise<Object>} buildDataset result
+ */
+export async function loadJSONL(path, options = {}) {
+    return buildDataset(parseJSONL(await readText(path)), options);
+}
+
+/**
+ * Reads CSV file piece by piece and yields datasets of chunkSize rows
+ * Only the current chunk is kept in memory. Categorical columns need fixed categories
+ * or fitted encoders, so that every chunk is encoded the same way.
+ * @param {string} path - file path
+ * @param {Object} options - parseCSV and buildDataset options plus chunkSize
+ * @returns {AsyncGenerator<Object>} buildDataset results, missing counts are per chunk
+ */
+export async function* streamCSV(path, options = {}) {
+    const { delimiter, quote, header = 'auto', chunkSize = 1000, ...datasetOptions } = options;
+    validateChunkSize(chunkSize);
+
+    const parser = new CSVParser({ delimiter, quote });
+    const chunker = createChunker(chunkSize, datasetOptions);
+
+    const consume = function* (records) {
+        if (!chunker.columns && records.length > 0) {
+            const { columns, rows } = splitHeader(records, header);
+            chunker.setColumns(columns);
+            records = rows;
+        }
+        yield* chunker.add(records);
+    };
+
+    for await (const text of await openTextStream(path)) {
+        yield* consume(parser.push(text));
+    }
+
+    yield* consume(parser.end());
+    yield* chunker.flush();
+}
+
+/**
+ * Reads JSON Lines file piece by piece and yields datasets of chunkSize rows
+ * Columns are taken from keys of the first object. See streamCSV.
+ * @param {string} path - file path
+ * @param {Object} options - buildDataset options plus chunkSize
+ * @returns {AsyncGenerator<Object>} buildDataset results, missing counts are per chunk
+ */
+export async function* streamJSONL(path, options = {}) {
+    const { chunkSize = 1000, ...datasetOptions } = options;
+    validateChunkSize(chunkSize);
+
+    const chunker = createChunker(chunkSize, datasetOptions);
+    let rest = '';
+    let lineNumber = 1;
+
+    const consume = function* (lines) {
+        const objects = parseJSONLines(lines, lineNumber);
+        lineNumber += lines.length;
+
+        if (objects.length === 0) {
+            return;
+        }
+
+        if (!chunker.columns) {
+            chunker.setColumns(Object.keys(objects[0]));
+        }
+        yield* chunker.add(objects.map(object => chunker.columns.map(column => object[column])));
+    };
+
+    for await (const text of await openTextStream(path)) {
+        const lines = (rest + text).split('\n');
+        rest = lines.pop();
+        yield* consume(lines);
+    }
+
+    yield* consume([rest]);
+    yield* chunker.flush();
+}
+
+/**
+ * Groups streamed rows into datasets of fixed size
+ * @param {number} chunkSize - rows per dataset
+ * @param {Object} datasetOptions - buildDataset options
+ * @returns {Object} chunker with setColumns, add and flush
+ */
+function createChunker(chunkSize, datasetOptions) {
+    let resolved = null;
+    let buffer = [];
+    let rowOffset = 0;
+
+    const build = rows => {
+        const dataset = buildExamples({ columns: chunker.columns, rows }, resolved, rowOffset);
+        rowOffset += rows.length;
+        return dataset;
+    };
+
+    const chunker = {
+        columns: null,
+
+        setColumns(columns) {
+            chunker.columns = columns;
+            resolved = resolveOptions(columns, datasetOptions);
+
+            resolved.categorical.forEach((categories, index) => {
+                const name = columns[index];
+                if (categories === null && !resolved.encoders[name]) {
+                    throw new Error(
+                        `Streaming needs categories of column "${name}": ` +
+                        'pass categorical as { column: categories } or fitted encoders'
+                    );
+                }
+            });
+        },
+
+        *add(rows) {
+            buffer.push(...rows);
+            while (buffer.length >= chunkSize) {
+                yield build(buffer.slice(0, chunkSize));
+                buffer = buffer.slice(chunkSize);
+            }
+        },
+
+        *flush() {
+            if (buffer.length > 0) {
+                yield build(buffer);
+                buffer = [];
+            }
+        }
+    };
+
+    return chunker;
+}
+
+/**
+ * Resolves column mapping options against table columns
+ * @param {string[]} columns - table columns
+ * @param {Object} options - buildDataset options
+ * @returns {Object} { featureIndices, labelIndices, categorical, encoders, missing, missingValues },
+ *     categorical maps column index to fixed categories or null
+ */
+function resolveOptions(columns, options) {
+    const {
+        features = null,
+        labels = null,
+        categorical = [],
+        encoders = {},
+        missing = 'skip',
+        missingValues = DEFAULT_MISSING_VALUES
+    } = options;
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new Error('Table must contain at least one column');
+    }
+
+    if (missing !== 'skip' && missing !== 'error' && !Number.isFinite(missing)) {
+        throw new Error("Missing value policy must be 'skip', 'error' or a number");
+    }
+
+    const labelIndices = labels === null ? [columns.length - 1] : toList(labels).map(column => resolveColumn(columns, column));
+    const featureIndices = features === null ?
+        columns.map((_, index) => index).filter(index => !labelIndices.includes(index)) :
+        toList(features).map(column => resolveColumn(columns, column));
+
+    if (featureIndices.length === 0 || labelIndices.length === 0) {
+        throw new Error('Dataset needs at least one feature column and one label column');
+    }
+
+    const categoricalEntries = Array.isArray(categorical) ?
+        categorical.map(column => [column, null]) : Object.entries(categorical);
+
+    return {
+        featureIndices,
+        labelIndices,
+        categorical: new Map(categoricalEntries.map(([column, categories]) => {
+            if (categories !== null && (!Array.isArray(categories) || categories.length === 0)) {
+                throw new Error(`Categories of column "${column}" must be a non-empty array`);
+            }
+            return [resolveColumn(columns, column), categories];
+        })),
+        encoders: { ...encoders },
+        missing,
+        missingValues
+    };
+}
+
+/**
+ * Converts table rows to examples
+ * @param {Object} table - { columns, rows }
+ * @param {Object} resolved - resolveOptions result
+ * @param {number} rowOffset - number of rows before this table, used in error messages
+ * @returns {Object} buildDataset result
+ */
+function buildExamples({ columns, rows }, resolved, rowOffset) {
+    const { featureIndices, labelIndices, categorical, missing, missingValues } = resolved;
+    const selected = [...new Set([...featureIndices, ...labelIndices])];
+    const isMissing = value => value === null || value === undefined ||
+        (typeof value === 'string' ? missingValues.includes(value.trim()) : Number.isNaN(value));
+    const report = { rows: 0, columns: {} };
+    const kept = [];
+
+    rows.forEach((row, r) => {
+        const rowNumber = rowOffset + r + 1;
+        if (row.length !== columns.length) {
+            throw new Error(`Row ${rowNumber} has ${row.length} fields, expected ${columns.length}`);
+        }
+
+        const missingIndices = selected.filter(index => isMissing(row[index]));
+        if (missingIndices.length > 0) {
+            report.rows++;
+            missingIndices.forEach(index => {
+                report.columns[columns[index]] = (report.columns[columns[index]] || 0) + 1;
+            });
+
+            if (missing === 'error') {
+                throw new Error(`Missing value in column "${columns[missingIndices[0]]}" of row ${rowNumber}`);
+            }
+
+            if (missing === 'skip') {
+                return;
+            }
+        }
+
+        kept.push({ row, rowNumber });
+    });
+
+    const encoders = resolved.encoders;
+    categorical.forEach((categories, index) => {
+        const name = columns[index];
+        if (encoders[name]) {
+            return;
+        }
+
+        encoders[name] = categories === null ?
+            new OneHotEncoder().fit(rows.map(row => row[index]).filter(value => !isMissing(value))) :
+            createTransformer({ name: 'oneHotEncoder', state: { categories: [[...categories]] } });
+    });
+
+    const encodeColumns = (row, rowNumber, indices) => indices.flatMap(index => {
+        const name = columns[index];
+        const value = row[index];
+
+        if (categorical.has(index)) {
+            return isMissing(value) ?
+                encoders[name].state.categories[0].map(() => 0) : encoders[name].transform([[value]])[0];
+        }
+
+        if (isMissing(value)) {
+            return [missing];
+        }
+
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            throw new Error(
+                `Column "${name}" has non-numeric value "${value}" in row ${rowNumber}, ` +
+                'list it in categorical columns'
+            );
+        }
+        return [number];
+    });
+
+    return {
+        data: kept.map(({ row, rowNumber }) => ({
+            input: encodeColumns(row, rowNumber, featureIndices),
+            target: encodeColumns(row, rowNumber, labelIndices)
+        })),
+        features: featureIndices.map(index => columns[index]),
+        labels: labelIndices.map(index => columns[index]),
+        encoders,
+        missing: report
+    };
+}
+
+/**
+ * Separates header from CSV records
+ * @param {string[][]} records - parsed records
+ * @param {boolean|string} header - true, false or 'auto'
+ * @returns {Object} { columns, rows }
+ */
+function splitHeader(records, header) {
+    if (header !== true && header !== false && header !== 'auto') {
+        throw new Error("Header option must be true, false or 'auto'");
+    }
+
+    if (records.length === 0) {
+        throw new Error('CSV contains no rows');
+    }
+
+    const first = records[0];
+    const hasHeader = header === 'auto' ?
+        first.every(field => field.trim() !== '' && !Number.isFinite(Number(field))) : header;
+
+    return {
+        columns: hasHeader ? first.map(field => field.trim()) : first.map((_, index) => String(index)),
+        rows: hasHeader ? records.slice(1) : records
+    };
+}
+
+/**
+ * Parses JSON Lines
+ * @param {string[]} lines - text lines
+ * @param {number} firstLineNumber - number of the first line, used in error messages
+ * @returns {Object[]} parsed objects
+ */
+function parseJSONLines(lines, firstLineNumber) {
+    const objects = [];
+
+    lines.forEach((line, i) => {
+        if (line.trim() === '') {
+            return;
+        }
+
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${firstLineNumber + i}: ${error.message}`);
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Line ${firstLineNumber + i} must contain a JSON object`);
+        }
+        objects.push(value);
+    });
+
+    return objects;
+}
+
+/**
+ * Collects object keys in order of appearance
+ * @param {Object[]} objects - parsed objects
+ * @param {string[]} keys - already known keys
+ * @returns {string[]} keys
+ */
+function collectKeys(objects, keys) {
+    const known = new Set(keys);
+
+    objects.forEach(object => {
+        Object.keys(object).forEach(key => {
+            if (!known.has(key)) {
+                known.add(key);
+                keys.push(key);
+            }
+        });
+    });
+
+    return keys;
+}
+
+/**
+ * Finds column index by name or index
+ * @param {string[]} columns - table columns
+ * @param {string|number} column - column name or index
+ * @returns {number} column index
+ */
+function resolveColumn(columns, column) {
+    if (Number.isInteger(column) && column >= 0 && column < columns.length) {
+        return column;
+    }
+
+    const index = columns.indexOf(String(column));
+    if (index === -1) {
+        throw new Error(`Unknown column: ${column}`);
+    }
+
+    return index;
+}
+
+/**
+ * Wraps a single column into a list
+ * @param {Array|string|number} value - column or columns
+ * @returns {Array} columns
+ */
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validates chunk size of streams
+ * @param {number} chunkSize - rows per chunk
+ */
+function validateChunkSize(chunkSize) {
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+        throw new Error('Chunk size must be a positive integer');
+    }
+}
+
+/**
+ * Reads whole text file
+ * @param {string} path - file path
+ * @returns {Promise<string>} file contents
+ */
+async function readText(path) {
+    const { readFile } = await import('node:fs/promises');
+    return readFile(path, 'utf8');
+}
+
+/**
+ * Opens text file as a stream of string pieces
+ * @param {string} path - file path
+ * @returns {Promise<AsyncIterable<string>>} file stream
+ */
+async function openTextStream(path) {
+    const { createReadStream } = await import('node:fs');
+    return createReadStream(path, { encoding: 'utf8' });
+}
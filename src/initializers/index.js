@@ -0,0 +1,245 @@
+/**
+ * Computes fan-in and fan-out of parameter shape
+ * @param {number[]} shape - [units, inputs] for kernels, [units] for biases
+ * @returns {Object} { fanIn, fanOut }
+ */
+export function computeFans(shape) {
+    if (shape.length === 1) {
+        return { fanIn: shape[0], fanOut: shape[0] };
+    }
+
+    return { fanIn: shape[1], fanOut: shape[0] };
+}
+
+/**
+ * Creates array of given shape filled by sampling function
+ * @param {number[]} shape - [units, inputs] or [units]
+ * @param {Function} sample - returns next value
+ * @returns {number[][]|number[]} initialized values
+ */
+function fill(shape, sample) {
+    if (shape.length === 1) {
+        return Array.from({ length: shape[0] }, sample);
+    }
+
+    return Array.from({ length: shape[0] }, () => Array.from({ length: shape[1] }, sample));
+}
+
+/**
+ * Draws value from uniform distribution on [-limit, limit)
+ * @param {Function} random - source of random numbers in [0, 1)
+ * @param {number} limit - distribution bound
+ * @returns {number} sampled value
+ */
+function sampleUniform(random, limit) {
+    return (random() * 2 - 1) * limit;
+}
+
+/**
+ * Draws value from normal distribution using Box-Muller transform
+ * @param {Function} random - source of random numbers in [0, 1)
+ * @param {number} stddev - standard deviation
+ * @returns {number} sampled value
+ */
+function sampleNormal(random, stddev) {
+    // 1 - random() lies in (0, 1], so the logarithm stays finite
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    return radius * Math.cos(2 * Math.PI * random()) * stddev;
+}
+
+/**
+ * Creates variance scaling initializer used by Glorot, He and LeCun schemes
+ * @param {string} name - initializer name
+ * @param {number} scale - variance scale
+ * @param {string} mode - 'fanIn' or 'fanAvg'
+ * @param {string} distribution - 'uniform' or 'normal'
+ * @returns {Object} initializer object
+ */
+function createVarianceScaling(name, scale, mode, distribution) {
+    return {
+        name,
+        func: (shape, random, fans = computeFans(shape)) => {
+            const { fanIn, fanOut } = fans;
+            const variance = scale / (mode === 'fanIn' ? fanIn : (fanIn + fanOut) / 2);
+
+            // Uniform distribution on [-a, a) has variance a² / 3
+            return distribution === 'uniform' ?
+                fill(shape, () => sampleUniform(random, Math.sqrt(3 * variance))) :
+                fill(shape, () => sampleNormal(random, Math.sqrt(variance)));
+        }
+    };
+}
+
+/**
+ * Creates initializer filling parameters with a constant
+ * @param {number} value - constant value
+ * @returns {Object} initializer object
+ */
+export function createConstant(value = 0) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error('Constant initializer value must be a finite number');
+    }
+
+    return {
+        name: 'constant',
+        config: { value },
+        func: shape => fill(shape, () => value)
+    };
+}
+
+/**
+ * Creates uniform initializer on [-limit, limit)
+ * @param {number} limit - distribution bound
+ * @returns {Object} initializer object
+ */
+export function createRandomUniform(limit = 0.05) {
+    if (typeof limit !== 'number' || limit <= 0) {
+        throw new Error('Uniform initializer limit must be a positive number');
+    }
+
+    return {
+        name: 'randomUniform',
+        config: { limit },
+        func: (shape, random) => fill(shape, () => sampleUniform(random, limit))
+    };
+}
+
+/**
+ * Creates normal initializer with zero mean
+ * @param {number} stddev - standard deviation
+ * @returns {Object} initializer object
+ */
+export function createRandomNormal(stddev = 0.05) {
+    if (typeof stddev !== 'number' || stddev <= 0) {
+        throw new Error('Normal initializer stddev must be a positive number');
+    }
+
+    return {
+        name: 'randomNormal',
+        config: { stddev },
+        func: (shape, random) => fill(shape, () => sampleNormal(random, stddev))
+    };
+}
+
+/**
+ * Creates orthogonal initializer
+ * Rows (or columns, whichever are fewer) of the kernel form an orthonormal set
+ * @param {number} gain - multiplier applied to orthogonal matrix
+ * @returns {Object} initializer object
+ */
+export function createOrthogonal(gain = 1) {
+    if (typeof gain !== 'number' || gain <= 0) {
+        throw new Error('Orthogonal initializer gain must be a positive number');
+    }
+
+    return {
+        name: 'orthogonal',
+        config: { gain },
+        func: (shape, random) => {
+            if (shape.length !== 2) {
+                throw new Error('Orthogonal initializer requires a 2D shape');
+            }
+
+            const [rows, cols] = shape;
+            const size = Math.max(rows, cols);
+            const count = Math.min(rows, cols);
+            const vectors = [];
+
+            // Modified Gram-Schmidt over random normal vectors
+            while (vectors.length < count) {
+                const vector = Array.from({ length: size }, () => sampleNormal(random, 1));
+
+                vectors.forEach(basis => {
+                    const projection = basis.reduce((sum, value, i) => sum + value * vector[i], 0);
+                    basis.forEach((value, i) => {
+                        vector[i] -= projection * value;
+                    });
+                });
+
+                const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+                if (norm > 1e-10) {
+                    vectors.push(vector.map(value => value / norm));
+                }
+            }
+
+            return rows <= cols ?
+                vectors.map(vector => vector.map(value => value * gain)) :
+                Array.from({ length: rows }, (_, i) => vectors.map(vector => vector[i] * gain));
+        }
+    };
+}
+
+/**
+ * Weight initializers
+ * func(shape, random, fans) returns initial values for parameter of given shape:
+ * number[][] for kernel shape [units, inputs], number[] for bias shape [units].
+ * Optional fans { fanIn, fanOut } replace computeFans(shape) for kernels whose rows
+ * are not the whole fan-out, such as convolution kernels.
+ */
+export const initializers = {
+    zeros: { name: 'zeros', func: shape => fill(shape, () => 0) },
+
+    ones: { name: 'ones', func: shape => fill(shape, () => 1) },
+
+    // Constant 0, see createConstant for other values
+    constant: createConstant(0),
+
+    randomUniform: createRandomUniform(),
+
+    randomNormal: createRandomNormal(),
+
+    // Glorot/Xavier: keeps variance for sigmoid and tanh layers
+    glorotUniform: createVarianceScaling('glorotUniform', 1, 'fanAvg', 'uniform'),
+    glorotNormal: createVarianceScaling('glorotNormal', 1, 'fanAvg', 'normal'),
+
+    // He/Kaiming: compensates for ReLU family zeroing half of the inputs
+    heUniform: createVarianceScaling('heUniform', 2, 'fanIn', 'uniform'),
+    heNormal: createVarianceScaling('heNormal', 2, 'fanIn', 'normal'),
+
+    // LeCun: for SELU and linear layers
+    lecunUniform: createVarianceScaling('lecunUniform', 1, 'fanIn', 'uniform'),
+    lecunNormal: createVarianceScaling('lecunNormal', 1, 'fanIn', 'normal'),
+
+    orthogonal: createOrthogonal(1)
+};
+
+/**
+ * Parametric initializer factories by name
+ */
+const initializerFactories = {
+    constant: config => createConstant(config.value),
+    randomUniform: config => createRandomUniform(config.limit),
+    randomNormal: config => createRandomNormal(config.stddev),
+    orthogonal: config => createOrthogonal(config.gain)
+};
+
+/**
+ * Resolves initializer from name, configuration, function or initializer object
+ * @param {string|Object|Function} spec - 'heNormal', { name: 'constant', value: 0.1 },
+ *     function (shape, random) => values or object with func method
+ * @returns {Object} initializer object
+ */
+export function getInitializer(spec) {
+    if (typeof spec === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(initializers, spec)) {
+            throw new Error(`Unknown initializer: ${spec}`);
+        }
+        return initializers[spec];
+    }
+
+    if (typeof spec === 'function') {
+        return { name: spec.name || 'custom', func: spec };
+    }
+
+    if (spec && typeof spec.func === 'function') {
+        return spec;
+    }
+
+    if (spec && typeof spec.name === 'string') {
+        const { name, ...config } = spec;
+        return Object.prototype.hasOwnProperty.call(initializerFactories, name) ?
+            initializerFactories[name](config) : getInitializer(name);
+    }
+
+    throw new Error('Initializer must be a name, a function or an object with func method');
+}
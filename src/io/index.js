@@ -0,0 +1,77 @@
+import { Network } from '../core/Network.js';
+
+/**
+ * Prefix of destinations stored in browser localStorage
+ */
+const LOCAL_STORAGE_PREFIX = 'localstorage://';
+
+/**
+ * Saves model to a file (Node) or to browser storage
+ * @param {Network} network - network to save
+ * @param {string} destination - file path or 'localstorage://<key>'
+ * @returns {Promise<void>} resolves when model is written
+ */
+export async function saveModel(network, destination) {
+    if (!(network instanceof Network)) {
+        throw new Error('Only Network instances can be saved');
+    }
+
+    const json = network.exportModel();
+
+    if (isLocalStorageKey(destination)) {
+        getLocalStorage().setItem(destination.slice(LOCAL_STORAGE_PREFIX.length), json);
+        return;
+    }
+
+    const { writeFile } = await import('node:fs/promises');
+    await writeFile(destination, json, 'utf8');
+}
+
+/**
+ * Loads model from a file (Node) or from browser storage
+ * @param {string} source - file path or 'localstorage://<key>'
+ * @param {Object} options - import options passed to Network.fromJSON
+ * @returns {Promise<Network>} restored network
+ */
+export async function loadModel(source, options = {}) {
+    if (isLocalStorageKey(source)) {
+        const key = source.slice(LOCAL_STORAGE_PREFIX.length);
+        const json = getLocalStorage().getItem(key);
+
+        if (json === null) {
+            throw new Error(`No model stored under key "${key}"`);
+        }
+
+        return Network.fromJSON(json, options);
+    }
+
+    const { readFile } = await import('node:fs/promises');
+    const json = await readFile(source, 'utf8');
+
+    return Network.fromJSON(json, options);
+}
+
+/**
+ * Checks whether location points to browser storage
+ * @param {string} location - file path or storage key
+ * @returns {boolean} true for localStorage locations
+ */
+function isLocalStorageKey(location) {
+    if (typeof location !== 'string' || location.length === 0) {
+        throw new Error('Model location must be a non-empty string');
+    }
+
+    return location.startsWith(LOCAL_STORAGE_PREFIX);
+}
+
+/**
+ * Returns browser localStorage
+ * @returns {Storage} localStorage object
+ */
+function getLocalStorage() {
+    if (typeof globalThis.localStorage === 'undefined') {
+        throw new Error('localStorage is not available in this environment');
+    }
+
+    return globalThis.localStorage;
+}
@@ -0,0 +1,178 @@
+/**
+ * Smallest probability used inside logarithms
+ */
+const EPSILON = 1e-12;
+
+/**
+ * Clamps probability away from 0 and 1
+ * @param {number} value - probability
+ * @returns {number} clamped probability
+ */
+function clampProbability(value) {
+    return Math.min(1 - EPSILON, Math.max(EPSILON, value));
+}
+
+/**
+ * Creates Huber loss: quadratic for small errors, linear for large ones
+ * @param {number} delta - error size where loss switches from quadratic to linear
+ * @returns {Object} loss function object
+ */
+export function createHuber(delta = 1) {
+    if (typeof delta !== 'number' || delta <= 0) {
+        throw new Error('Huber delta must be a positive number');
+    }
+
+    return {
+        name: 'huber',
+        config: { delta },
+        func: (predicted, actual) => predicted.reduce((sum, pred, i) => {
+            const error = Math.abs(pred - actual[i]);
+            return sum + (error <= delta ? 0.5 * error * error : delta * (error - 0.5 * delta));
+        }, 0) / predicted.length,
+        derivative: (predicted, actual) => predicted.map((pred, i) => {
+            const error = pred - actual[i];
+            return Math.max(-delta, Math.min(delta, error)) / predicted.length;
+        })
+    };
+}
+
+/**
+ * Loss functions
+ * func(predicted, actual) returns loss value for one example,
+ * derivative(predicted, actual) returns gradient with respect to predicted values.
+ * outputDeltas contains simplified output deltas for activations the loss pairs with.
+ * objective(predicted, actual), when present, is the function derivative differentiates
+ * if it differs from the reported func, see legacyMse.
+ */
+export const losses = {
+    // Mean squared error: regression
+    mse: {
+        name: 'mse',
+        func: (predicted, actual) => predicted.reduce((sum, pred, i) => {
+            return sum + Math.pow(pred - actual[i], 2);
+        }, 0) / predicted.length,
+        derivative: (predicted, actual) => predicted.map((pred, i) => {
+            return 2 * (pred - actual[i]) / predicted.length;
+        })
+    },
+
+    // Default loss of networks without a selected loss: reports mean squared error, but trains
+    // with delta = target - output like networks did before losses were selectable, so tuned
+    // learning rates keep working. The step is n / 2 times the step of mse for n outputs
+    legacyMse: {
+        name: 'legacyMse',
+        func: (predicted, actual) => predicted.reduce((sum, pred, i) => {
+            return sum + Math.pow(pred - actual[i], 2);
+        }, 0) / predicted.length,
+        objective: (predicted, actual) => predicted.reduce((sum, pred, i) => {
+            return sum + 0.5 * Math.pow(pred - actual[i], 2);
+        }, 0),
+        derivative: (predicted, actual) => predicted.map((pred, i) => pred - actual[i])
+    },
+
+    // Mean absolute error: regression robust to outliers
+    mae: {
+        name: 'mae',
+        func: (predicted, actual) => predicted.reduce((sum, pred, i) => {
+            return sum + Math.abs(pred - actual[i]);
+        }, 0) / predicted.length,
+        derivative: (predicted, actual) => predicted.map((pred, i) => {
+            return Math.sign(pred - actual[i]) / predicted.length;
+        })
+    },
+
+    // Huber with delta = 1, see createHuber for other values
+    huber: createHuber(1),
+
+    // Binary cross-entropy: independent probabilities, pairs with sigmoid
+    binaryCrossEntropy: {
+        name: 'binaryCrossEntropy',
+        func: (predicted, actual) => -predicted.reduce((sum, pred, i) => {
+            const p = clampProbability(pred);
+            return sum + actual[i] * Math.log(p) + (1 - actual[i]) * Math.log(1 - p);
+        }, 0) / predicted.length,
+        derivative: (predicted, actual) => predicted.map((pred, i) => {
+            const p = clampProbability(pred);
+            return (p - actual[i]) / (p * (1 - p)) / predicted.length;
+        }),
+        outputDeltas: {
+            // Sigmoid derivative cancels the denominator of the gradient
+            sigmoid: (predicted, actual) => predicted.map((pred, i) => {
+                return (actual[i] - pred) / predicted.length;
+            })
+        }
+    },
+
+    // Categorical cross-entropy: one-hot targets and probability distribution outputs
+    crossEntropy: {
+        name: 'crossEntropy',
+        func: (predicted, actual) => -predicted.reduce((sum, pred, i) => {
+            return sum + actual[i] * Math.log(clampProbability(pred));
+        }, 0),
+        derivative: (predicted, actual) => predicted.map((pred, i) => {
+            return -actual[i] / clampProbability(pred);
+        }),
+        outputDeltas: {
+            // Softmax Jacobian reduces the gradient to target - output
+            softmax: (predicted, actual) => {
+                const targetSum = actual.reduce((sum, value) => sum + value, 0);
+                return predicted.map((pred, i) => actual[i] - pred * targetSum);
+            }
+        }
+    },
+
+    // Negative log-likelihood: cross-entropy for log-probability outputs, pairs with logSoftmax
+    nll: {
+        name: 'nll',
+        func: (predicted, actual) => -predicted.reduce((sum, pred, i) => sum + actual[i] * pred, 0),
+        derivative: (predicted, actual) => actual.map(value => -value),
+        outputDeltas: {
+            logSoftmax: (predicted, actual) => {
+                const targetSum = actual.reduce((sum, value) => sum + value, 0);
+                return predicted.map((pred, i) => actual[i] - Math.exp(pred) * targetSum);
+            }
+        }
+    }
+};
+
+/**
+ * Parametric loss factories by name
+ */
+const lossFactories = {
+    huber: config => createHuber(config.delta)
+};
+
+/**
+ * Resolves loss from name, configuration or loss object
+ * @param {string|Object} spec - 'mse', { name: 'huber', delta: 0.5 } or object with func and derivative
+ * @returns {Object} loss function object
+ */
+export function getLoss(spec) {
+    if (typeof spec === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(losses, spec)) {
+            throw new Error(`Unknown loss function: ${spec}`);
+        }
+        return losses[spec];
+    }
+
+    if (spec && typeof spec.func === 'function' && typeof spec.derivative === 'function') {
+        return spec;
+    }
+
+    if (spec && typeof spec.name === 'string') {
+        const { name, ...config } = spec;
+        return Object.prototype.hasOwnProperty.call(lossFactories, name) ?
+            lossFactories[name](config) : getLoss(name);
+    }
+
+    throw new Error('Loss function must be a name or an object with func and derivative methods');
+}
+
+/**
+ * Returns serializable description of loss
+ * @param {Object} loss - loss function object
+ * @returns {Object} loss name and configuration
+ */
+export function describeLoss(loss) {
+    return { name: loss.name || 'unknown', ...(loss.config || {}) };
+}
@@ -0,0 +1,235 @@
+/**
+ * Evaluation metrics
+ * func(outputs, targets) receives network outputs and targets of a whole data set,
+ * one vector per example, and returns metric value.
+ * Classification metrics read classes from vectors: a single value is class 1 when >= 0.5,
+ * a longer vector is one-hot (targets) or class scores (outputs) and gives the index of the maximum.
+ */
+
+/**
+ * Converts output or target vector to class index
+ * @param {number[]} vector - network output or target
+ * @returns {number} class index
+ */
+export function toClassIndex(vector) {
+    if (vector.length === 1) {
+        return vector[0] >= 0.5 ? 1 : 0;
+    }
+
+    return vector.reduce((bestIndex, value, index) => (value > vector[bestIndex] ? index : bestIndex), 0);
+}
+
+/**
+ * Builds confusion matrix
+ * @param {number[][]} outputs - network outputs
+ * @param {number[][]} targets - target vectors
+ * @returns {number[][]} counts, rows are actual classes and columns are predicted classes
+ */
+export function confusionMatrix(outputs, targets) {
+    const classCount = Math.max(2, targets[0].length);
+    const matrix = Array.from({ length: classCount }, () => Array(classCount).fill(0));
+
+    targets.forEach((target, i) => {
+        matrix[toClassIndex(target)][toClassIndex(outputs[i])]++;
+    });
+
+    return matrix;
+}
+
+/**
+ * Calculates precision, recall and F1 of every class from confusion matrix
+ * @param {number[][]} matrix - confusion matrix
+ * @returns {Object} { precision, recall, f1 }, arrays indexed by class, 0 for classes without predictions
+ */
+function classScores(matrix) {
+    const scores = matrix.map((row, k) => {
+        const truePositives = row[k];
+        const predicted = matrix.reduce((sum, actualRow) => sum + actualRow[k], 0);
+        const actual = row.reduce((sum, count) => sum + count, 0);
+        const precision = predicted === 0 ? 0 : truePositives / predicted;
+        const recall = actual === 0 ? 0 : truePositives / actual;
+        const f1 = precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall);
+
+        return { precision, recall, f1 };
+    });
+
+    return {
+        precision: scores.map(score => score.precision),
+        recall: scores.map(score => score.recall),
+        f1: scores.map(score => score.f1)
+    };
+}
+
+/**
+ * Area under ROC curve for binary classification
+ * Equals probability that a random positive example is scored above a random negative one, ties count half
+ * @param {number[][]} outputs - network outputs, a single probability or scores of two classes
+ * @param {number[][]} targets - target vectors
+ * @returns {number} ROC-AUC, NaN when targets contain only one class
+ */
+export function rocAuc(outputs, targets) {
+    if (targets[0].length > 2) {
+        throw new Error('ROC-AUC is available only for binary classification');
+    }
+
+    const examples = outputs
+        .map((output, i) => ({ score: output[output.length - 1], positive: toClassIndex(targets[i]) === 1 }))
+        .sort((a, b) => a.score - b.score);
+    const positives = examples.filter(example => example.positive).length;
+    const negatives = examples.length - positives;
+
+    if (positives === 0 || negatives === 0) {
+        return NaN;
+    }
+
+    // Sum of positive ranks, tied scores share their average rank
+    let rankSum = 0;
+    for (let start = 0; start < examples.length;) {
+        let end = start;
+        while (end < examples.length && examples[end].score === examples[start].score) {
+            end++;
+        }
+
+        const averageRank = (start + end + 1) / 2;
+        for (let i = start; i < end; i++) {
+            if (examples[i].positive) {
+                rankSum += averageRank;
+            }
+        }
+        start = end;
+    }
+
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Coefficient of determination averaged over output components
+ * @param {number[][]} outputs - network outputs
+ * @param {number[][]} targets - target vectors
+ * @returns {number} R², 1 for perfect predictions
+ */
+export function r2(outputs, targets) {
+    const componentScores = targets[0].map((_, j) => {
+        const mean = targets.reduce((sum, target) => sum + target[j], 0) / targets.length;
+        const residual = targets.reduce((sum, target, i) => sum + Math.pow(target[j] - outputs[i][j], 2), 0);
+        const total = targets.reduce((sum, target) => sum + Math.pow(target[j] - mean, 2), 0);
+
+        // Constant targets: only exact predictions are explained
+        if (total === 0) {
+            return residual === 0 ? 1 : 0;
+        }
+
+        return 1 - residual / total;
+    });
+
+    return componentScores.reduce((sum, score) => sum + score, 0) / componentScores.length;
+}
+
+/**
+ * Averages function of error over all output components
+ * @param {number[][]} outputs - network outputs
+ * @param {number[][]} targets - target vectors
+ * @param {Function} transform - error => value
+ * @returns {number} mean value
+ */
+function meanError(outputs, targets, transform) {
+    let sum = 0;
+    let count = 0;
+
+    targets.forEach((target, i) => {
+        target.forEach((value, j) => {
+            sum += transform(outputs[i][j] - value);
+            count++;
+        });
+    });
+
+    return sum / count;
+}
+
+/**
+ * Built-in metrics by name
+ */
+export const metrics = {
+    // Share of examples with correctly predicted class
+    accuracy: {
+        name: 'accuracy',
+        func: (outputs, targets) => {
+            const correct = targets.filter((target, i) => toClassIndex(target) === toClassIndex(outputs[i]));
+            return correct.length / targets.length;
+        }
+    },
+
+    // Per-class precision, recall and F1
+    precision: {
+        name: 'precision',
+        func: (outputs, targets) => classScores(confusionMatrix(outputs, targets)).precision
+    },
+    recall: {
+        name: 'recall',
+        func: (outputs, targets) => classScores(confusionMatrix(outputs, targets)).recall
+    },
+    f1: {
+        name: 'f1',
+        func: (outputs, targets) => classScores(confusionMatrix(outputs, targets)).f1
+    },
+
+    confusionMatrix: {
+        name: 'confusionMatrix',
+        func: confusionMatrix
+    },
+
+    rocAuc: {
+        name: 'rocAuc',
+        func: rocAuc
+    },
+
+    // Regression metrics over all output components
+    mae: {
+        name: 'mae',
+        func: (outputs, targets) => meanError(outputs, targets, error => Math.abs(error))
+    },
+    rmse: {
+        name: 'rmse',
+        func: (outputs, targets) => Math.sqrt(meanError(outputs, targets, error => error * error))
+    },
+    r2: {
+        name: 'r2',
+        func: r2
+    }
+};
+
+/**
+ * Resolves metric from name, function or metric object
+ * @param {string|Function|Object} spec - 'accuracy', (outputs, targets) => value or { name, func }
+ * @returns {Object} metric object { name, func }
+ */
+export function getMetric(spec) {
+    if (typeof spec === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(metrics, spec)) {
+            throw new Error(`Unknown metric: ${spec}`);
+        }
+        return metrics[spec];
+    }
+
+    if (typeof spec === 'function') {
+        return { name: spec.name || 'custom', func: spec };
+    }
+
+    if (spec && typeof spec.name === 'string' && typeof spec.func === 'function') {
+        return spec;
+    }
+
+    throw new Error('Metric must be a name, a function or an object with name and func');
+}
+
+/**
+ * Validates a list of metrics before training, unknown names throw
+ * @param {Array<string|Function|Object>} specs - metric specifications, see getMetric
+ */
+export function validateMetrics(specs) {
+    if (!Array.isArray(specs)) {
+        throw new Error('Metrics must be an array');
+    }
+
+    specs.forEach(getMetric);
+}
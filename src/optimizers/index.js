@@ -0,0 +1,277 @@
+/**
+ * Base optimizer class
+ * Keeps per-parameter state keyed by parameter name and applies gradient steps
+ */
+export class Optimizer {
+    /**
+     * Creates a new optimizer
+     * @param {string} name - optimizer name used for serialization
+     * @param {Object} config - optimizer hyperparameters
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+        this.state = {};
+    }
+
+    /**
+     * Updates parameters in place
+     * @param {string} key - unique parameter key
+     * @param {number[]} params - parameter values, modified in place
+     * @param {number[]} grads - loss gradients for parameters
+     * @param {number} learningRate - learning rate
+     * @param {Object} options - update options
+     * @param {boolean} options.decay - parameter is subject to weight decay, false for biases,
+     *     activation and normalization parameters
+     */
+    update(key, params, grads, learningRate, options = {}) {
+        throw new Error(`Optimizer ${this.name} must implement update method`);
+    }
+
+    /**
+     * Returns state slots for parameter, creating them on first use
+     * @param {string} key - unique parameter key
+     * @param {number} size - number of values in parameter
+     * @param {string[]} slotNames - names of per-value state arrays
+     * @returns {Object} parameter state
+     */
+    getSlots(key, size, slotNames) {
+        if (!this.state[key]) {
+            const slots = { step: 0 };
+            slotNames.forEach(slotName => {
+                slots[slotName] = Array(size).fill(0);
+            });
+            this.state[key] = slots;
+        }
+
+        return this.state[key];
+    }
+
+    /**
+     * Clears accumulated state
+     */
+    reset() {
+        this.state = {};
+    }
+
+    /**
+     * Returns serializable optimizer data
+     * @returns {Object} optimizer name, hyperparameters and state
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            config: { ...this.config },
+            state: JSON.parse(JSON.stringify(this.state))
+        };
+    }
+}
+
+/**
+ * Stochastic gradient descent with optional (Nesterov) momentum
+ */
+export class SGD extends Optimizer {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.momentum - momentum factor, 0 disables momentum
+     * @param {boolean} config.nesterov - use Nesterov momentum
+     */
+    constructor({ momentum = 0, nesterov = false } = {}) {
+        validateRange('Momentum', momentum, 0, 1);
+        super('sgd', { momentum, nesterov });
+    }
+
+    update(key, params, grads, learningRate) {
+        const { momentum, nesterov } = this.config;
+
+        if (momentum === 0) {
+            for (let i = 0; i < params.length; i++) {
+                params[i] -= learningRate * grads[i];
+            }
+            return;
+        }
+
+        const slots = this.getSlots(key, params.length, ['velocity']);
+        slots.step++;
+
+        for (let i = 0; i < params.length; i++) {
+            slots.velocity[i] = momentum * slots.velocity[i] - learningRate * grads[i];
+            params[i] += nesterov ?
+                momentum * slots.velocity[i] - learningRate * grads[i] :
+                slots.velocity[i];
+        }
+    }
+}
+
+/**
+ * RMSprop: scales steps by running average of squared gradients
+ */
+export class RMSprop extends Optimizer {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.rho - decay rate of squared gradient average
+     * @param {number} config.epsilon - numerical stability term
+     */
+    constructor({ rho = 0.9, epsilon = 1e-8 } = {}) {
+        validateRange('Rho', rho, 0, 1);
+        validatePositive('Epsilon', epsilon);
+        super('rmsprop', { rho, epsilon });
+    }
+
+    update(key, params, grads, learningRate) {
+        const { rho, epsilon } = this.config;
+        const slots = this.getSlots(key, params.length, ['meanSquare']);
+        slots.step++;
+
+        for (let i = 0; i < params.length; i++) {
+            slots.meanSquare[i] = rho * slots.meanSquare[i] + (1 - rho) * grads[i] * grads[i];
+            params[i] -= learningRate * grads[i] / (Math.sqrt(slots.meanSquare[i]) + epsilon);
+        }
+    }
+}
+
+/**
+ * Adam: adaptive moment estimation with bias correction
+ */
+export class Adam extends Optimizer {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.beta1 - decay rate of first moment
+     * @param {number} config.beta2 - decay rate of second moment
+     * @param {number} config.epsilon - numerical stability term
+     * @param {string} name - optimizer name, used by subclasses
+     */
+    constructor({ beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, ...rest } = {}, name = 'adam') {
+        validateRange('Beta1', beta1, 0, 1);
+        validateRange('Beta2', beta2, 0, 1);
+        validatePositive('Epsilon', epsilon);
+        super(name, { beta1, beta2, epsilon, ...rest });
+    }
+
+    update(key, params, grads, learningRate) {
+        const { beta1, beta2, epsilon } = this.config;
+        const slots = this.getSlots(key, params.length, ['firstMoment', 'secondMoment']);
+        slots.step++;
+
+        const firstCorrection = 1 - Math.pow(beta1, slots.step);
+        const secondCorrection = 1 - Math.pow(beta2, slots.step);
+
+        for (let i = 0; i < params.length; i++) {
+            slots.firstMoment[i] = beta1 * slots.firstMoment[i] + (1 - beta1) * grads[i];
+            slots.secondMoment[i] = beta2 * slots.secondMoment[i] + (1 - beta2) * grads[i] * grads[i];
+
+            const firstMoment = slots.firstMoment[i] / firstCorrection;
+            const secondMoment = slots.secondMoment[i] / secondCorrection;
+
+            params[i] -= learningRate * firstMoment / (Math.sqrt(secondMoment) + epsilon);
+        }
+    }
+}
+
+/**
+ * AdamW: Adam with decoupled weight decay
+ * Only parameters updated with decay: true are decayed, layers pass it for kernel weights
+ */
+export class AdamW extends Adam {
+    /**
+     * @param {Object} config - hyperparameters, same as Adam plus weightDecay
+     * @param {number} config.weightDecay - decoupled weight decay factor
+     */
+    constructor({ weightDecay = 0.01, ...config } = {}) {
+        if (typeof weightDecay !== 'number' || weightDecay < 0) {
+            throw new Error('Weight decay must be a non-negative number');
+        }
+        super({ ...config, weightDecay }, 'adamw');
+    }
+
+    update(key, params, grads, learningRate, { decay = true } = {}) {
+        const { weightDecay } = this.config;
+
+        if (decay) {
+            for (let i = 0; i < params.length; i++) {
+                params[i] -= learningRate * weightDecay * params[i];
+            }
+        }
+
+        super.update(key, params, grads, learningRate);
+    }
+}
+
+/**
+ * Optimizer factories by name
+ */
+export const optimizers = {
+    // Plain gradient descent
+    sgd: config => new SGD(config),
+
+    // Classical momentum
+    momentum: config => new SGD({ momentum: 0.9, ...config }),
+
+    // Nesterov accelerated gradient
+    nesterov: config => new SGD({ momentum: 0.9, ...config, nesterov: true }),
+
+    rmsprop: config => new RMSprop(config),
+
+    adam: config => new Adam(config),
+
+    adamw: config => new AdamW(config)
+};
+
+/**
+ * Creates optimizer from name, configuration or serialized data
+ * @param {string|Object|Optimizer} spec - 'adam', { name: 'adam', beta1: 0.8 },
+ *     exported optimizer data or optimizer instance
+ * @returns {Optimizer} optimizer instance
+ */
+export function createOptimizer(spec) {
+    if (spec instanceof Optimizer) {
+        return spec;
+    }
+
+    if (typeof spec === 'string') {
+        return createOptimizer({ name: spec });
+    }
+
+    if (!spec || typeof spec !== 'object' || typeof spec.name !== 'string') {
+        throw new Error('Optimizer must be a name, an object with name field or an Optimizer instance');
+    }
+
+    const { name, config, state, ...inlineConfig } = spec;
+    const factory = optimizers[name.toLowerCase()];
+
+    if (!factory) {
+        throw new Error(`Unknown optimizer: ${name}`);
+    }
+
+    const optimizer = factory(config || inlineConfig);
+
+    if (state) {
+        optimizer.state = JSON.parse(JSON.stringify(state));
+    }
+
+    return optimizer;
+}
+
+/**
+ * Validates that hyperparameter lies in [min, max)
+ * @param {string} label - hyperparameter label for error message
+ * @param {number} value - hyperparameter value
+ * @param {number} min - inclusive lower bound
+ * @param {number} max - exclusive upper bound
+ */
+function validateRange(label, value, min, max) {
+    if (typeof value !== 'number' || value < min || value >= max) {
+        throw new Error(`${label} must be a number in range [${min}, ${max})`);
+    }
+}
+
+/**
+ * Validates that hyperparameter is a positive number
+ * @param {string} label - hyperparameter label for error message
+ * @param {number} value - hyperparameter value
+ */
+function validatePositive(label, value) {
+    if (typeof value !== 'number' || value <= 0) {
+        throw new Error(`${label} must be a positive number`);
+    }
+}
@@ -0,0 +1,510 @@
+/**
+ * Base data transformer
+ * Works on rows: fit learns state from a list of rows, transform and inverseTransform
+ * convert every row. State is plain data, so fitted transformers serialize with toJSON.
+ */
+export class Transformer {
+    /**
+     * @param {string} name - transformer name used for serialization
+     * @param {Object} config - transformer options
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.state = null;
+    }
+
+    /**
+     * Whether transformer has learned its state
+     * @returns {boolean} true after fit
+     */
+    get fitted() {
+        return this.state !== null;
+    }
+
+    /**
+     * Learns transformer state from rows
+     * @param {Array[]} rows - data rows, e.g. inputs or targets of a dataset
+     * @returns {Transformer} returns this for method chaining
+     */
+    fit(rows) {
+        validateRows(rows);
+        this.state = this.computeState(rows.map(toRow));
+        return this;
+    }
+
+    /**
+     * Computes state from rows
+     * @param {Array[]} rows - non-empty list of rows
+     * @returns {Object} transformer state
+     */
+    computeState(rows) {
+        throw new Error(`Transformer ${this.name} must implement computeState method`);
+    }
+
+    /**
+     * Transforms rows
+     * @param {Array[]} rows - data rows
+     * @returns {Array[]} transformed rows
+     */
+    transform(rows) {
+        this.validateFitted('transform');
+        return rows.map(row => this.transformRow(toRow(row)));
+    }
+
+    /**
+     * Converts transformed rows back
+     * @param {Array[]} rows - transformed rows
+     * @returns {Array[]} rows in original representation
+     */
+    inverseTransform(rows) {
+        this.validateFitted('inverseTransform');
+        return rows.map(row => this.inverseTransformRow(toRow(row)));
+    }
+
+    /**
+     * Fits transformer and transforms the same rows
+     * @param {Array[]} rows - data rows
+     * @returns {Array[]} transformed rows
+     */
+    fitTransform(rows) {
+        return this.fit(rows).transform(rows);
+    }
+
+    /**
+     * Transforms one row
+     * @param {Array} row - data row
+     * @returns {Array} transformed row
+     */
+    transformRow(row) {
+        throw new Error(`Transformer ${this.name} must implement transformRow method`);
+    }
+
+    /**
+     * Converts one transformed row back
+     * @param {Array} row - transformed row
+     * @returns {Array} row in original representation
+     */
+    inverseTransformRow(row) {
+        throw new Error(`Transformer ${this.name} does not support inverseTransform`);
+    }
+
+    /**
+     * Checks that transformer was fitted
+     * @param {string} method - called method name for error message
+     */
+    validateFitted(method) {
+        if (!this.fitted) {
+            throw new Error(`Transformer ${this.name} must be fitted before ${method}`);
+        }
+    }
+
+    /**
+     * Returns serializable transformer data
+     * @returns {Object} transformer name, options and fitted state
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            config: JSON.parse(JSON.stringify(this.config)),
+            state: this.state === null ? null : JSON.parse(JSON.stringify(this.state))
+        };
+    }
+}
+
+/**
+ * Base class of scalers that map every numeric column with x => (x - offset) / scale
+ */
+class ColumnScaler extends Transformer {
+    /**
+     * Computes offset and scale of every column
+     * @param {number[][]} rows - numeric rows
+     * @returns {Object} { offset, scale }
+     */
+    computeState(rows) {
+        validateNumericRows(rows);
+        return this.computeColumns(transposeRows(rows));
+    }
+
+    transformRow(row) {
+        const { offset, scale } = this.state;
+        validateRowLength(row, offset.length);
+        return row.map((value, j) => (value - offset[j]) / scale[j]);
+    }
+
+    inverseTransformRow(row) {
+        const { offset, scale } = this.state;
+        validateRowLength(row, offset.length);
+        return row.map((value, j) => value * scale[j] + offset[j]);
+    }
+}
+
+/**
+ * Scales every column linearly to featureRange using column minimum and maximum
+ */
+export class MinMaxScaler extends ColumnScaler {
+    /**
+     * @param {Object} config - scaler options
+     * @param {number[]} config.featureRange - [min, max] of transformed values
+     */
+    constructor({ featureRange = [0, 1] } = {}) {
+        if (!Array.isArray(featureRange) || featureRange.length !== 2 || !(featureRange[0] < featureRange[1])) {
+            throw new Error('Feature range must be an array [min, max] with min < max');
+        }
+
+        super('minMaxScaler', { featureRange: [...featureRange] });
+    }
+
+    /**
+     * Maps column [min, max] onto featureRange, constant columns go to the lower bound
+     * @param {number[][]} columns - column values
+     * @returns {Object} { offset, scale }
+     */
+    computeColumns(columns) {
+        const [low, high] = this.config.featureRange;
+        // Reduced instead of spread into Math.min, large columns overflow the call stack
+        const minimum = columns.map(column => column.reduce((min, value) => Math.min(min, value), Infinity));
+        const scale = columns.map((column, j) => {
+            const range = column.reduce((max, value) => Math.max(max, value), -Infinity) - minimum[j];
+            return (range === 0 ? 1 : range) / (high - low);
+        });
+
+        return {
+            offset: minimum.map((min, j) => min - low * scale[j]),
+            scale
+        };
+    }
+}
+
+/**
+ * Centers every column on its mean and divides by its standard deviation (z-score)
+ */
+export class StandardScaler extends ColumnScaler {
+    constructor() {
+        super('standardScaler', {});
+    }
+
+    /**
+     * Uses mean and population standard deviation, constant columns keep scale 1
+     * @param {number[][]} columns - column values
+     * @returns {Object} { offset, scale }
+     */
+    computeColumns(columns) {
+        const offset = columns.map(column => column.reduce((sum, value) => sum + value, 0) / column.length);
+        const scale = columns.map((column, j) => {
+            const variance = column.reduce((sum, value) => sum + Math.pow(value - offset[j], 2), 0) / column.length;
+            return variance === 0 ? 1 : Math.sqrt(variance);
+        });
+
+        return { offset, scale };
+    }
+}
+
+/**
+ * Centers every column on its median and divides by interquartile range, robust to outliers
+ */
+export class RobustScaler extends ColumnScaler {
+    /**
+     * @param {Object} config - scaler options
+     * @param {number[]} config.quantileRange - lower and upper percentiles of the range
+     */
+    constructor({ quantileRange = [25, 75] } = {}) {
+        const [lower, upper] = Array.isArray(quantileRange) ? quantileRange : [];
+        if (!(lower >= 0 && lower < upper && upper <= 100)) {
+            throw new Error('Quantile range must be an array [lower, upper] with 0 <= lower < upper <= 100');
+        }
+
+        super('robustScaler', { quantileRange: [lower, upper] });
+    }
+
+    /**
+     * Uses median and quantile range, columns with zero range keep scale 1
+     * @param {number[][]} columns - column values
+     * @returns {Object} { offset, scale }
+     */
+    computeColumns(columns) {
+        const [lower, upper] = this.config.quantileRange;
+        const sorted = columns.map(column => [...column].sort((a, b) => a - b));
+
+        return {
+            offset: sorted.map(column => quantile(column, 50)),
+            scale: sorted.map(column => {
+                const range = quantile(column, upper) - quantile(column, lower);
+                return range === 0 ? 1 : range;
+            })
+        };
+    }
+}
+
+/**
+ * Replaces categorical columns with one-hot vectors
+ * Every column is encoded separately and the vectors are concatenated.
+ * inverseTransform takes the most active position of every column, so it decodes class probabilities.
+ */
+export class OneHotEncoder extends Transformer {
+    /**
+     * @param {Object} config - encoder options
+     * @param {string} config.handleUnknown - 'error' or 'ignore' (encode unknown category as zeros)
+     */
+    constructor({ handleUnknown = 'error' } = {}) {
+        if (handleUnknown !== 'error' && handleUnknown !== 'ignore') {
+            throw new Error("handleUnknown must be 'error' or 'ignore'");
+        }
+
+        super('oneHotEncoder', { handleUnknown });
+    }
+
+    /**
+     * Collects sorted categories of every column
+     * @param {Array[]} rows - categorical rows
+     * @returns {Object} { categories }
+     */
+    computeState(rows) {
+        return { categories: collectCategories(rows) };
+    }
+
+    transformRow(row) {
+        const { categories } = this.state;
+        validateRowLength(row, categories.length);
+
+        return row.flatMap((value, j) => {
+            const index = categories[j].indexOf(value);
+            if (index === -1 && this.config.handleUnknown === 'error') {
+                throw new Error(`Unknown category "${value}" in column ${j}`);
+            }
+            return categories[j].map((_, k) => (k === index ? 1 : 0));
+        });
+    }
+
+    inverseTransformRow(row) {
+        const { categories } = this.state;
+        validateRowLength(row, categories.reduce((total, column) => total + column.length, 0));
+
+        let start = 0;
+        return categories.map(column => {
+            const segment = row.slice(start, start + column.length);
+            start += column.length;
+            return column[segment.indexOf(Math.max(...segment))];
+        });
+    }
+}
+
+/**
+ * Replaces categorical values with their index among sorted categories of the column
+ */
+export class LabelEncoder extends Transformer {
+    constructor() {
+        super('labelEncoder', {});
+    }
+
+    /**
+     * Collects sorted classes of every column
+     * @param {Array[]} rows - categorical rows
+     * @returns {Object} { classes }
+     */
+    computeState(rows) {
+        return { classes: collectCategories(rows) };
+    }
+
+    transformRow(row) {
+        const { classes } = this.state;
+        validateRowLength(row, classes.length);
+
+        return row.map((value, j) => {
+            const index = classes[j].indexOf(value);
+            if (index === -1) {
+                throw new Error(`Unknown label "${value}" in column ${j}`);
+            }
+            return index;
+        });
+    }
+
+    inverseTransformRow(row) {
+        const { classes } = this.state;
+        validateRowLength(row, classes.length);
+
+        // Rounded and clamped, so regression-like outputs still decode to a class
+        return row.map((value, j) => {
+            const index = Math.min(classes[j].length - 1, Math.max(0, Math.round(value)));
+            return classes[j][index];
+        });
+    }
+}
+
+/**
+ * Chain of transformers applied one after another
+ */
+export class Pipeline extends Transformer {
+    /**
+     * @param {Array<Transformer|Object|string>} steps - transformers or their specifications
+     */
+    constructor(steps = []) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline must contain at least one transformer');
+        }
+
+        super('pipeline', {});
+        this.steps = steps.map(createTransformer);
+    }
+
+    get fitted() {
+        return this.steps.every(step => step.fitted);
+    }
+
+    /**
+     * Fits every step on output of the previous one
+     * @param {Array[]} rows - data rows
+     * @returns {Pipeline} returns this for method chaining
+     */
+    fit(rows) {
+        validateRows(rows);
+        this.steps.reduce((current, step) => step.fitTransform(current), rows);
+        return this;
+    }
+
+    transform(rows) {
+        this.validateFitted('transform');
+        return this.steps.reduce((current, step) => step.transform(current), rows);
+    }
+
+    inverseTransform(rows) {
+        this.validateFitted('inverseTransform');
+        return this.steps.reduceRight((current, step) => step.inverseTransform(current), rows);
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            steps: this.steps.map(step => step.toJSON())
+        };
+    }
+}
+
+/**
+ * Transformer factories by name
+ */
+export const transformers = {
+    minMaxScaler: config => new MinMaxScaler(config),
+    standardScaler: () => new StandardScaler(),
+    robustScaler: config => new RobustScaler(config),
+    oneHotEncoder: config => new OneHotEncoder(config),
+    labelEncoder: () => new LabelEncoder()
+};
+
+/**
+ * Creates transformer from name, configuration, serialized data or instance
+ * An array creates a Pipeline of its elements.
+ * @param {string|Object|Array|Transformer} spec - 'standardScaler',
+ *     { name: 'minMaxScaler', featureRange: [-1, 1] }, toJSON output, array of steps or instance
+ * @returns {Transformer} transformer instance
+ */
+export function createTransformer(spec) {
+    if (spec instanceof Transformer) {
+        return spec;
+    }
+
+    if (Array.isArray(spec)) {
+        return new Pipeline(spec);
+    }
+
+    if (typeof spec === 'string') {
+        return createTransformer({ name: spec });
+    }
+
+    if (!spec || typeof spec !== 'object' || typeof spec.name !== 'string') {
+        throw new Error('Transformer must be a name, an object with name field, an array or a Transformer instance');
+    }
+
+    if (spec.name === 'pipeline') {
+        return new Pipeline(spec.steps);
+    }
+
+    const { name, config, state = null, ...inlineConfig } = spec;
+    if (!Object.prototype.hasOwnProperty.call(transformers, name)) {
+        throw new Error(`Unknown transformer: ${name}`);
+    }
+
+    const transformer = transformers[name](config || inlineConfig);
+    transformer.state = state === null ? null : JSON.parse(JSON.stringify(state));
+
+    return transformer;
+}
+
+/**
+ * Converts single values to one-element rows
+ * @param {*} row - row or single value
+ * @returns {Array} row
+ */
+function toRow(row) {
+    return Array.isArray(row) ? row : [row];
+}
+
+/**
+ * Validates rows passed to fit
+ * @param {Array} rows - data rows
+ */
+function validateRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Rows must be a non-empty array');
+    }
+
+    const length = toRow(rows[0]).length;
+    if (!rows.every(row => toRow(row).length === length)) {
+        throw new Error('All rows must have the same length');
+    }
+}
+
+/**
+ * Validates that rows contain only finite numbers
+ * @param {number[][]} rows - data rows
+ */
+function validateNumericRows(rows) {
+    if (!rows.every(row => row.every(Number.isFinite))) {
+        throw new Error('Scaler values must be finite numbers');
+    }
+}
+
+/**
+ * Validates row length against fitted data
+ * @param {Array} row - data row
+ * @param {number} length - expected length
+ */
+function validateRowLength(row, length) {
+    if (row.length !== length) {
+        throw new Error(`Row length (${row.length}) does not match fitted length (${length})`);
+    }
+}
+
+/**
+ * Converts rows to columns
+ * @param {Array[]} rows - data rows of equal length
+ * @returns {Array[]} columns
+ */
+function transposeRows(rows) {
+    return rows[0].map((_, j) => rows.map(row => row[j]));
+}
+
+/**
+ * Collects distinct values of every column in sorted order
+ * @param {Array[]} rows - data rows
+ * @returns {Array[]} categories by column
+ */
+function collectCategories(rows) {
+    return transposeRows(rows).map(column => {
+        return [...new Set(column)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    });
+}
+
+/**
+ * Percentile of sorted values with linear interpolation
+ * @param {number[]} sorted - values in ascending order
+ * @param {number} percent - percentile in [0, 100]
+ * @returns {number} percentile value
+ */
+function quantile(sorted, percent) {
+    const position = (sorted.length - 1) * percent / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
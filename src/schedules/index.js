@@ -0,0 +1,322 @@
+import { Callback, getMonitoredValue } from '../callbacks/index.js';
+
+/**
+ * Base learning rate schedule
+ * Schedules are training callbacks: the learning rate set on the network is the base rate,
+ * the schedule changes it during training and restores it when training ends.
+ * Rates used in every epoch are recorded in the training history.
+ */
+export class LearningRateSchedule extends Callback {
+    /**
+     * @param {string} name - schedule name
+     * @param {Object} config - schedule hyperparameters
+     * @param {string} config.unit - 'epoch' or 'batch', how often the rate is updated
+     */
+    constructor(name, config) {
+        super();
+
+        const { unit = 'epoch' } = config;
+        if (unit !== 'epoch' && unit !== 'batch') {
+            throw new Error("Schedule unit must be 'epoch' or 'batch'");
+        }
+
+        this.name = name;
+        this.config = { ...config, unit };
+        this.baseRate = null;
+        this.totalSteps = 0;
+        this.stepsPerEpoch = 1;
+        this.epoch = 0;
+    }
+
+    /**
+     * Returns learning rate for training step
+     * @param {number} step - zero-based epoch or batch index, depending on unit
+     * @param {number} baseRate - learning rate set on the network
+     * @returns {number} learning rate
+     */
+    getRate(step, baseRate) {
+        throw new Error(`Schedule ${this.name} must implement getRate method`);
+    }
+
+    /**
+     * Sets learning rate on the network
+     * @param {number} rate - new learning rate
+     */
+    setRate(rate) {
+        if (!Number.isFinite(rate) || rate < 0) {
+            throw new Error(`Schedule ${this.name} produced invalid learning rate: ${rate}`);
+        }
+
+        this.network.learningRate = rate;
+    }
+
+    onTrainBegin(logs) {
+        if (this.config.unit === 'batch' && !Number.isInteger(logs.samples)) {
+            throw new Error('Schedules with batch unit need the number of samples per epoch');
+        }
+
+        this.baseRate = this.network.learningRate;
+        this.stepsPerEpoch = this.config.unit === 'batch' ? Math.ceil(logs.samples / logs.batchSize) : 1;
+        this.totalSteps = logs.epochs * this.stepsPerEpoch;
+    }
+
+    onEpochBegin(epoch) {
+        this.epoch = epoch;
+
+        if (this.config.unit === 'epoch') {
+            this.setRate(this.getRate(epoch, this.baseRate));
+        }
+    }
+
+    onBatchBegin(batch) {
+        if (this.config.unit === 'batch') {
+            this.setRate(this.getRate(this.epoch * this.stepsPerEpoch + batch, this.baseRate));
+        }
+    }
+
+    onTrainEnd() {
+        this.network.learningRate = this.baseRate;
+    }
+}
+
+/**
+ * Multiplies rate by factor every dropEvery steps
+ */
+export class StepDecay extends LearningRateSchedule {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.dropEvery - steps between drops
+     * @param {number} config.factor - rate multiplier applied at every drop
+     */
+    constructor({ dropEvery = 10, factor = 0.5, ...config } = {}) {
+        validatePositiveInteger('Drop interval', dropEvery);
+        validateFactor(factor);
+        super('stepDecay', { ...config, dropEvery, factor });
+    }
+
+    getRate(step, baseRate) {
+        return baseRate * Math.pow(this.config.factor, Math.floor(step / this.config.dropEvery));
+    }
+}
+
+/**
+ * Continuous exponential decay: rate = base * decayRate ^ (step / decaySteps)
+ */
+export class ExponentialDecay extends LearningRateSchedule {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.decayRate - rate multiplier per decaySteps steps
+     * @param {number} config.decaySteps - steps for one full decayRate multiplication
+     */
+    constructor({ decayRate = 0.96, decaySteps = 1, ...config } = {}) {
+        validateFactor(decayRate);
+        validatePositiveInteger('Decay steps', decaySteps);
+        super('exponentialDecay', { ...config, decayRate, decaySteps });
+    }
+
+    getRate(step, baseRate) {
+        return baseRate * Math.pow(this.config.decayRate, step / this.config.decaySteps);
+    }
+}
+
+/**
+ * Cosine annealing from base rate to minRate over period steps
+ */
+export class CosineAnnealing extends LearningRateSchedule {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number|null} config.period - steps of one annealing cycle, the whole training if null
+     * @param {number} config.minRate - rate at the end of the cycle
+     */
+    constructor({ period = null, minRate = 0, ...config } = {}, name = 'cosineAnnealing') {
+        if (period !== null) {
+            validatePositiveInteger('Period', period);
+        }
+        validateMinRate(minRate);
+        super(name, { ...config, period, minRate });
+    }
+
+    /**
+     * Returns cosine-annealed rate inside a cycle
+     * @param {number} position - step within cycle
+     * @param {number} period - cycle length
+     * @param {number} baseRate - rate at cycle start
+     * @returns {number} learning rate
+     */
+    anneal(position, period, baseRate) {
+        const { minRate } = this.config;
+        const progress = Math.min(position, period) / period;
+
+        return minRate + (baseRate - minRate) * (1 + Math.cos(Math.PI * progress)) / 2;
+    }
+
+    getRate(step, baseRate) {
+        return this.anneal(step, this.config.period ?? this.totalSteps, baseRate);
+    }
+}
+
+/**
+ * Cosine annealing with warm restarts (SGDR)
+ * Every cycle starts again from the base rate, cycles grow by periodMultiplier
+ */
+export class CosineWarmRestarts extends CosineAnnealing {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {number} config.period - steps of the first cycle
+     * @param {number} config.periodMultiplier - growth factor of cycle length
+     * @param {number} config.minRate - rate at the end of every cycle
+     */
+    constructor({ period = 10, periodMultiplier = 1, ...config } = {}) {
+        validatePositiveInteger('Period', period);
+        if (!Number.isInteger(periodMultiplier) || periodMultiplier < 1) {
+            throw new Error('Period multiplier must be an integer not less than 1');
+        }
+        super({ ...config, period, periodMultiplier }, 'cosineWarmRestarts');
+    }
+
+    getRate(step, baseRate) {
+        const { periodMultiplier } = this.config;
+        let period = this.config.period;
+        let position = step;
+
+        while (position >= period) {
+            position -= period;
+            period *= periodMultiplier;
+        }
+
+        return this.anneal(position, period, baseRate);
+    }
+}
+
+/**
+ * Reduces rate when monitored value stops improving
+ * Driven by epoch logs, by default by the validation error
+ */
+export class ReduceLROnPlateau extends LearningRateSchedule {
+    /**
+     * @param {Object} config - hyperparameters
+     * @param {string} config.monitor - logs field to watch, e.g. 'validationLoss' or 'loss'
+     * @param {number} config.factor - rate multiplier applied on plateau
+     * @param {number} config.patience - epochs without improvement before reducing
+     * @param {number} config.minDelta - smallest decrease counted as improvement
+     * @param {number} config.cooldown - epochs to wait after a reduction
+     * @param {number} config.minRate - lower bound of the rate
+     */
+    constructor({
+        monitor = 'validationLoss', factor = 0.5, patience = 5, minDelta = 0, cooldown = 0, minRate = 0
+    } = {}) {
+        validateFactor(factor);
+        validatePositiveInteger('Patience', patience);
+        validateMinRate(minRate);
+
+        if (typeof minDelta !== 'number' || minDelta < 0) {
+            throw new Error('Minimum delta must be a non-negative number');
+        }
+        if (!Number.isInteger(cooldown) || cooldown < 0) {
+            throw new Error('Cooldown must be a non-negative integer');
+        }
+
+        super('reduceOnPlateau', { monitor, factor, patience, minDelta, cooldown, minRate });
+    }
+
+    onTrainBegin(logs) {
+        super.onTrainBegin(logs);
+        this.rate = this.baseRate;
+        this.best = Infinity;
+        this.wait = 0;
+        this.cooldownCounter = 0;
+    }
+
+    getRate() {
+        return this.rate;
+    }
+
+    onEpochEnd(epoch, logs) {
+        const { monitor, factor, patience, minDelta, cooldown, minRate } = this.config;
+        const value = getMonitoredValue(logs, monitor);
+        const inCooldown = this.cooldownCounter > 0;
+
+        if (inCooldown) {
+            this.cooldownCounter--;
+            this.wait = 0;
+        }
+
+        if (value < this.best - minDelta) {
+            this.best = value;
+            this.wait = 0;
+        } else if (!inCooldown && ++this.wait >= patience) {
+            this.rate = Math.max(minRate, this.rate * factor);
+            this.wait = 0;
+            this.cooldownCounter = cooldown;
+        }
+    }
+}
+
+/**
+ * Schedule factories by name
+ */
+export const schedules = {
+    stepDecay: config => new StepDecay(config),
+    exponentialDecay: config => new ExponentialDecay(config),
+    cosineAnnealing: config => new CosineAnnealing(config),
+    cosineWarmRestarts: config => new CosineWarmRestarts(config),
+    reduceOnPlateau: config => new ReduceLROnPlateau(config)
+};
+
+/**
+ * Creates schedule from name, configuration or instance
+ * @param {string|Object|LearningRateSchedule} spec - 'cosineAnnealing',
+ *     { name: 'stepDecay', dropEvery: 20, factor: 0.5 } or schedule instance
+ * @returns {LearningRateSchedule} schedule instance
+ */
+export function createSchedule(spec) {
+    if (spec instanceof LearningRateSchedule) {
+        return spec;
+    }
+
+    if (typeof spec === 'string') {
+        return createSchedule({ name: spec });
+    }
+
+    if (!spec || typeof spec !== 'object' || typeof spec.name !== 'string') {
+        throw new Error('Schedule must be a name, an object with name field or a LearningRateSchedule instance');
+    }
+
+    const { name, ...config } = spec;
+    if (!Object.prototype.hasOwnProperty.call(schedules, name)) {
+        throw new Error(`Unknown learning rate schedule: ${name}`);
+    }
+
+    return schedules[name](config);
+}
+
+/**
+ * Validates that value is a positive integer
+ * @param {string} label - hyperparameter label for error message
+ * @param {number} value - hyperparameter value
+ */
+function validatePositiveInteger(label, value) {
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${label} must be a positive integer`);
+    }
+}
+
+/**
+ * Validates decay factor
+ * @param {number} factor - rate multiplier
+ */
+function validateFactor(factor) {
+    if (typeof factor !== 'number' || factor <= 0 || factor >= 1) {
+        throw new Error('Decay factor must be a number in range (0, 1)');
+    }
+}
+
+/**
+ * Validates lower bound of learning rate
+ * @param {number} minRate - minimal rate
+ */
+function validateMinRate(minRate) {
+    if (typeof minRate !== 'number' || minRate < 0) {
+        throw new Error('Minimum learning rate must be a non-negative number');
+    }
+}
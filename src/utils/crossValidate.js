@@ -0,0 +1,114 @@
+import { Network } from '../core/Network.js';
+import { validateTrainingData } from '../core/trainingData.js';
+import { validateMetrics } from '../metrics/index.js';
+import { SeededRandom, shuffleInPlace } from './random.js';
+
+/**
+ * K-fold cross-validation
+ * Splits data into k folds, trains a fresh network on k - 1 folds and evaluates it on the
+ * remaining fold, for every fold in turn.
+ * @param {Function} buildNetwork - (fold) => new Network, called once per fold
+ * @param {Object[]} data - examples with input and target fields
+ * @param {Object} options - cross-validation options
+ * @param {number} options.k - number of folds
+ * @param {number} options.epochs - training epochs of every network
+ * @param {Array<string|Function|Object>} options.metrics - metrics evaluated on validation folds
+ * @param {boolean} options.shuffle - shuffle examples before splitting
+ * @param {number|null} options.seed - integer seed of the shuffle, Math.random is used if null
+ * @param {Object} options.trainOptions - other options passed to Network.train
+ * @returns {Object} { folds, mean, std }, folds contain { fold, trainSize, validationSize,
+ *     loss, ...metric values, history }, mean and std summarize numeric values over folds
+ */
+export function crossValidate(buildNetwork, data, options = {}) {
+    const {
+        k = 5,
+        epochs = 100,
+        metrics = [],
+        shuffle = true,
+        seed = null,
+        trainOptions = {}
+    } = options;
+
+    if (typeof buildNetwork !== 'function') {
+        throw new Error('buildNetwork must be a function returning a Network');
+    }
+
+    validateTrainingData(data);
+    validateMetrics(metrics);
+
+    if (!Number.isInteger(k) || k < 2 || k > data.length) {
+        throw new Error('Number of folds must be an integer from 2 to the number of examples');
+    }
+
+    const generator = seed === null ? null : new SeededRandom(seed);
+    const random = generator ? () => generator.next() : Math.random;
+    const examples = shuffle ? shuffleInPlace([...data], random) : [...data];
+
+    const folds = splitFolds(examples.length, k).map(({ start, end }, fold) => {
+        const network = buildNetwork(fold);
+        if (!(network instanceof Network)) {
+            throw new Error('buildNetwork must be a function returning a Network');
+        }
+
+        const validationData = examples.slice(start, end);
+        const trainingData = [...examples.slice(0, start), ...examples.slice(end)];
+        network.train(trainingData, epochs, trainOptions);
+
+        const { loss, ...metricValues } = metrics.length > 0 ?
+            network.evaluate(validationData, { metrics }) : {};
+
+        return {
+            fold,
+            trainSize: trainingData.length,
+            validationSize: validationData.length,
+            loss: network.evaluateValidation(validationData),
+            ...metricValues,
+            history: network.getHistory()
+        };
+    });
+
+    return { folds, ...summarizeFolds(folds) };
+}
+
+/**
+ * Splits examples into k contiguous folds, sizes differ by at most one
+ * @param {number} count - number of examples
+ * @param {number} k - number of folds
+ * @returns {Object[]} fold bounds { start, end }, end is exclusive
+ */
+function splitFolds(count, k) {
+    const baseSize = Math.floor(count / k);
+    const remainder = count % k;
+    const folds = [];
+    let start = 0;
+
+    for (let fold = 0; fold < k; fold++) {
+        const end = start + baseSize + (fold < remainder ? 1 : 0);
+        folds.push({ start, end });
+        start = end;
+    }
+
+    return folds;
+}
+
+/**
+ * Calculates mean and population standard deviation of numeric fold values
+ * @param {Object[]} folds - fold results
+ * @returns {Object} { mean, std } by value name
+ */
+function summarizeFolds(folds) {
+    const mean = {};
+    const std = {};
+    const excluded = ['fold', 'trainSize', 'validationSize', 'history'];
+
+    Object.keys(folds[0])
+        .filter(name => !excluded.includes(name) && folds.every(fold => typeof fold[name] === 'number'))
+        .forEach(name => {
+            const values = folds.map(fold => fold[name]);
+            mean[name] = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + Math.pow(value - mean[name], 2), 0) / values.length;
+            std[name] = Math.sqrt(variance);
+        });
+
+    return { mean, std };
+}
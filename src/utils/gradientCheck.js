@@ -0,0 +1,194 @@
+import { Network } from '../core/Network.js';
+import { Dense } from '../core/Layer.js';
+import { getActivationName } from '../activations/index.js';
+
+/**
+ * Compares backpropagation gradients with central finite differences
+ * Checks every trainable parameter of the network on one example or a batch using the configured loss,
+ * or its objective when the loss reports a different value, see BaseLayer.parameters.
+ * Regularization penalties are not included. By default the network runs as in inference:
+ * dropout is disabled and batch normalization uses running statistics. With training set,
+ * the batch runs as in training, so batch normalization uses batch statistics; dropout is
+ * not allowed then.
+ * Weights, running statistics and accumulated gradients are left unchanged.
+ * @param {Network} network - network to check
+ * @param {Object|Object[]} examples - { input, target } or a batch of them, the batch loss is the sum over examples
+ * @param {Object} options - check options
+ * @param {number} options.epsilon - finite difference step
+ * @param {number} options.tolerance - largest layer relative error counted as passed
+ * @param {boolean} options.training - runs the batch in training mode
+ * @returns {Object} { passed, relativeError, layers }, relativeError is the worst layer error,
+ *     layers contain { index, type, activation, parameters, relativeError, maxAbsoluteError, analytic, numeric },
+ *     activation is null for layers without activation, analytic and numeric hold gradients
+ *     by parameter name; for dense layers they are { weights, biases, activation }, activation holds
+ *     gradients by activation parameter name (e.g. activation.alpha) or null without trainable parameters
+ */
+export function gradientCheck(network, examples, { epsilon = 1e-5, tolerance = 1e-5, training = false } = {}) {
+    const batch = Array.isArray(examples) ? examples : [examples];
+    validateCheckParameters(network, batch, { epsilon, tolerance, training });
+
+    const inputs = batch.map(example => example.input);
+    const targets = batch.map(example => example.target);
+    const { objective } = network.loss;
+    const lossAt = () => network.forwardBatch(inputs, training).reduce((sum, outputs, b) => {
+        return sum + (objective ? objective(outputs, targets[b]) : network.calculateError(outputs, targets[b]));
+    }, 0);
+    const savedGradients = network.layers.map(layer => mapValues(layer.gradients(), grads => Float64Array.from(grads)));
+    // Training passes update running statistics of batch normalization
+    const savedWeights = network.layers.map(layer => layer.getWeights());
+
+    // Analytic gradients of the batch
+    network.layers.forEach(layer => layer.resetGradients());
+    lossAt();
+    network.backpropagateBatch(targets);
+
+    const layers = network.layers.map((layer, index) => {
+        const analytic = mapValues(layer.gradients(), grads => Array.from(grads));
+        const numeric = mapValues(layer.parameters(), values => numericGradients(values, epsilon, lossAt));
+
+        return {
+            index,
+            type: layer.type,
+            activation: layer.activationFunction ? getActivationName(layer.activationFunction) : null,
+            parameters: layer.countParameters(),
+            ...compareGradients(Object.values(analytic).flat(), Object.values(numeric).flat()),
+            analytic: nestActivationGradients(layer, analytic),
+            numeric: nestActivationGradients(layer, numeric)
+        };
+    });
+
+    network.layers.forEach((layer, index) => {
+        Object.entries(layer.gradients()).forEach(([name, grads]) => grads.set(savedGradients[index][name]));
+        layer.setWeights(savedWeights[index]);
+    });
+
+    const relativeError = Math.max(...layers.map(layer => layer.relativeError));
+
+    return { passed: relativeError <= tolerance, relativeError, layers };
+}
+
+/**
+ * Runs gradientCheck on a small seeded network built with the activation
+ * Useful to verify derivative and derivativeForm of a custom activation
+ * @param {Object} activation - activation function object
+ * @param {Object} options - gradientCheck options plus seed of the network and example
+ * @returns {Object} gradientCheck report
+ */
+export function checkActivationGradients(activation, { seed = 1, ...options } = {}) {
+    const network = new Network({ seed })
+        .addLayer(4, activation, 3)
+        .addLayer(2, activation);
+    const example = {
+        input: [0.7, -0.4, 0.2],
+        target: [0.3, -0.1]
+    };
+
+    return gradientCheck(network, example, options);
+}
+
+/**
+ * Maps arrays of a layer by name
+ * @param {Object} arrays - { name: array }
+ * @param {Function} map - called with every array
+ * @returns {Object} { name: mapped value }
+ */
+function mapValues(arrays, map) {
+    return Object.fromEntries(Object.entries(arrays).map(([name, values]) => [name, map(values)]));
+}
+
+/**
+ * Groups gradients of activation parameters of a dense layer into one object
+ * @param {BaseLayer} layer - checked layer
+ * @param {Object} gradients - gradients by parameter name, activation.<name> for activation parameters
+ * @returns {Object} { weights, biases, activation } for a dense layer, gradients of other layers unchanged
+ */
+function nestActivationGradients(layer, gradients) {
+    if (!(layer instanceof Dense)) {
+        return gradients;
+    }
+
+    const { weights, biases, ...activationGradients } = gradients;
+    const names = Object.keys(activationGradients);
+    const activation = names.length === 0 ? null : Object.fromEntries(names.map(name => {
+        return [name.slice('activation.'.length), activationGradients[name]];
+    }));
+
+    return { weights, biases, activation };
+}
+
+/**
+ * Estimates gradients of parameters with central differences
+ * @param {Float64Array|Float32Array} parameters - parameter array changed in place and restored
+ * @param {number} epsilon - finite difference step
+ * @param {Function} lossAt - computes loss for current parameters
+ * @returns {number[]} estimated gradients
+ */
+function numericGradients(parameters, epsilon, lossAt) {
+    return Array.from(parameters, (value, k) => {
+        // Step is read back, float32 storage rounds perturbed values
+        parameters[k] = value + epsilon;
+        const upper = parameters[k];
+        const lossPlus = lossAt();
+
+        parameters[k] = value - epsilon;
+        const lower = parameters[k];
+        const lossMinus = lossAt();
+
+        parameters[k] = value;
+        return (lossPlus - lossMinus) / (upper - lower);
+    });
+}
+
+/**
+ * Compares analytic and numeric gradients of one layer
+ * @param {number[]} analytic - backpropagation gradients
+ * @param {number[]} numeric - finite difference gradients
+ * @returns {Object} { relativeError, maxAbsoluteError },
+ *     relativeError is ||a - n|| / (||a|| + ||n||) over all layer parameters
+ */
+function compareGradients(analytic, numeric) {
+    let difference = 0;
+    let analyticNorm = 0;
+    let numericNorm = 0;
+    let maxAbsoluteError = 0;
+
+    analytic.forEach((value, i) => {
+        const error = value - numeric[i];
+        difference += error * error;
+        analyticNorm += value * value;
+        numericNorm += numeric[i] * numeric[i];
+        maxAbsoluteError = Math.max(maxAbsoluteError, Math.abs(error));
+    });
+
+    const scale = Math.sqrt(analyticNorm) + Math.sqrt(numericNorm);
+
+    return {
+        relativeError: scale === 0 ? 0 : Math.sqrt(difference) / scale,
+        maxAbsoluteError
+    };
+}
+
+/**
+ * Validates gradientCheck arguments
+ * @param {Network} network - checked network
+ * @param {Object[]} batch - examples { input, target }
+ * @param {Object} options - { epsilon, tolerance, training }
+ */
+function validateCheckParameters(network, batch, { epsilon, tolerance, training }) {
+    if (batch.length === 0 || !batch.every(example => example && Array.isArray(example.input) &&
+        Array.isArray(example.target))) {
+        throw new Error('Example must contain input and target arrays');
+    }
+
+    if (typeof epsilon !== 'number' || !(epsilon > 0)) {
+        throw new Error('Epsilon must be a positive number');
+    }
+
+    if (typeof tolerance !== 'number' || !(tolerance > 0)) {
+        throw new Error('Tolerance must be a positive number');
+    }
+
+    if (training && network.layers.some(layer => layer.dropout > 0)) {
+        throw new Error('Gradient check in training mode needs layers without dropout');
+    }
+}
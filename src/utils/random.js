@@ -0,0 +1,46 @@
+/**
+ * Seeded pseudo-random number generator (Mulberry32)
+ * Produces the same sequence for the same seed on every platform
+ */
+export class SeededRandom {
+    /**
+     * Creates a new generator
+     * @param {number} seed - integer seed
+     */
+    constructor(seed) {
+        if (!Number.isInteger(seed)) {
+            throw new Error('Seed must be an integer');
+        }
+
+        this.seed = seed;
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Returns next number in [0, 1), drop-in replacement for Math.random
+     * @returns {number} pseudo-random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * Shuffles array in place using Fisher-Yates algorithm
+ * @param {Array} array - array to shuffle
+ * @param {Function} random - source of random numbers in [0, 1), e.g. SeededRandom.next
+ * @returns {Array} the shuffled array
+ */
+export function shuffleInPlace(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
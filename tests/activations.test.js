@@ -1,5 +1,17 @@
 import { test, expect } from "bun:test";
-import { activations } from "../src/activations/index.js";
+import {
+    activations,
+    getDerivativeForm,
+    getActivation,
+    getActivationConfig,
+    createLeakyRelu,
+    createElu,
+    createPRelu,
+    createTrainableSwish,
+    registerActivation,
+    unregisterActivation,
+    listActivations
+} from "../src/activations/index.js";
 
 /**
  * Test suite for Activation Functions
@@ -206,6 +218,50 @@ test("linear activation function works correctly", () => {
     expect(activations.linear.derivative(1000)).toBe(1);
 });
 
+test("softmax activation produces probability distribution", () => {
+    const outputs = activations.softmax.func([1, 2, 3]);
+    const sum = outputs.reduce((a, b) => a + b, 0);
+    
+    expect(activations.softmax.vector).toBe(true);
+    expect(sum).toBeCloseTo(1, 10);
+    expect(outputs[2]).toBeCloseTo(Math.exp(3) / (Math.exp(1) + Math.exp(2) + Math.exp(3)), 10);
+    
+    // Shifting inputs does not change result, large values stay finite
+    const shifted = activations.softmax.func([1001, 1002, 1003]);
+    shifted.forEach((value, i) => expect(value).toBeCloseTo(outputs[i], 10));
+    
+    // Jacobian matches finite differences
+    const inputs = [0.3, -1.2, 0.8];
+    const jacobian = activations.softmax.derivative(activations.softmax.func(inputs));
+    const epsilon = 1e-6;
+    inputs.forEach((_, j) => {
+        const plus = [...inputs];
+        const minus = [...inputs];
+        plus[j] += epsilon;
+        minus[j] -= epsilon;
+        const outPlus = activations.softmax.func(plus);
+        const outMinus = activations.softmax.func(minus);
+        inputs.forEach((_, i) => {
+            expect(jacobian[i][j]).toBeCloseTo((outPlus[i] - outMinus[i]) / (2 * epsilon), 6);
+        });
+    });
+});
+
+test("log-softmax activation returns log-probabilities", () => {
+    const inputs = [0.5, -0.5, 2.0];
+    const logOutputs = activations.logSoftmax.func(inputs);
+    const probabilities = activations.softmax.func(inputs);
+    
+    expect(activations.logSoftmax.vector).toBe(true);
+    logOutputs.forEach((value, i) => expect(value).toBeCloseTo(Math.log(probabilities[i]), 10));
+    expect(activations.logSoftmax.func([1000, 0]).every(isFinite)).toBe(true);
+    
+    // d log(y_i) / d x_j = [i == j] - y_j
+    const jacobian = activations.logSoftmax.derivative(logOutputs);
+    expect(jacobian[0][0]).toBeCloseTo(1 - probabilities[0], 10);
+    expect(jacobian[0][2]).toBeCloseTo(-probabilities[2], 10);
+});
+
 test("activation functions handle edge cases correctly", () => {
     // Test with very small numbers
     expect(activations.sigmoid.func(1e-10)).toBeCloseTo(0.5, 6);
@@ -322,3 +378,142 @@ test("derivative consistency check", () => {
         expect(activations.step.derivative(input)).toBe(0);
     });
 });
+
+test("every activation derivative matches numeric gradient in its declared form", () => {
+    const epsilon = 1e-6;
+    // Points away from kinks of relu, leakyRelu, elu and step
+    const points = [-1.7, -0.6, 0.3, 1.2];
+    
+    Object.entries(activations).forEach(([name, activation]) => {
+        const form = getDerivativeForm(activation);
+        expect(['output', 'input']).toContain(form);
+        
+        if (activation.vector) {
+            const inputs = [0.3, -1.2, 0.8];
+            const outputs = activation.func(inputs);
+            const jacobian = activation.derivative(form === 'input' ? inputs : outputs);
+            
+            // jacobian[i][j] is d output_i / d input_j
+            inputs.forEach((_, j) => {
+                const plus = activation.func(inputs.map((x, k) => (k === j ? x + epsilon : x)));
+                const minus = activation.func(inputs.map((x, k) => (k === j ? x - epsilon : x)));
+                outputs.forEach((_, i) => {
+                    expect(jacobian[i][j]).toBeCloseTo((plus[i] - minus[i]) / (2 * epsilon), 6);
+                });
+            });
+            return;
+        }
+        
+        points.forEach(x => {
+            const numeric = (activation.func(x + epsilon) - activation.func(x - epsilon)) / (2 * epsilon);
+            const value = form === 'input' ? x : activation.func(x);
+            
+            expect(activation.derivative(value)).toBeCloseTo(numeric, 6);
+        });
+    });
+});
+
+test("derivative form defaults to output and is validated", () => {
+    expect(getDerivativeForm({ func: x => x, derivative: x => 1 })).toBe('output');
+    expect(getDerivativeForm(activations.swish)).toBe('input');
+    expect(getDerivativeForm(activations.sigmoid)).toBe('output');
+    expect(() => getDerivativeForm({ derivativeForm: 'weightedSum' }))
+        .toThrow("Activation derivativeForm must be 'output' or 'input', got: weightedSum");
+});
+
+test("every activation carries its name and output range", () => {
+    Object.entries(activations).forEach(([name, activation]) => {
+        expect(activation.name).toBe(name);
+        expect(activation.range.length).toBe(2);
+        expect(activation.range[0]).toBeLessThan(activation.range[1]);
+        
+        if (!activation.vector) {
+            [-50, -2.3, -0.4, 0, 0.7, 3.1, 50].forEach(x => {
+                const y = activation.func(x);
+                expect(y).toBeGreaterThanOrEqual(activation.range[0]);
+                expect(y).toBeLessThanOrEqual(activation.range[1]);
+            });
+        }
+    });
+});
+
+test("new activations compute expected values", () => {
+    expect(activations.softplus.func(0)).toBeCloseTo(Math.log(2), 10);
+    expect(activations.softplus.func(800)).toBe(800);
+    expect(activations.softsign.func(3)).toBeCloseTo(0.75, 10);
+    expect(activations.hardSigmoid.func(1)).toBeCloseTo(0.7, 10);
+    expect(activations.hardSigmoid.func(-4)).toBe(0);
+    expect(activations.selu.func(1)).toBeCloseTo(1.0507, 4);
+    expect(activations.selu.func(-20)).toBeCloseTo(-1.7581, 4);
+    expect(activations.gelu.func(1)).toBeCloseTo(0.8412, 4);
+    expect(activations.gelu.func(-1)).toBeCloseTo(-0.1588, 4);
+});
+
+test("parametric activations take their parameter", () => {
+    const leaky = createLeakyRelu(0.2);
+    expect(leaky.func(-2)).toBeCloseTo(-0.4, 10);
+    expect(leaky.derivative(-2)).toBe(0.2);
+    expect(createElu(2).func(-100)).toBeCloseTo(-2, 10);
+    
+    expect(getActivation({ name: 'leakyRelu', alpha: 0.3 }).func(-1)).toBeCloseTo(-0.3, 10);
+    expect(getActivation({ name: 'relu' })).toBe(activations.relu);
+    expect(getActivationConfig(leaky)).toEqual({ alpha: 0.2 });
+    expect(getActivationConfig(activations.leakyRelu)).toBeNull();
+    expect(getActivationConfig(activations.relu)).toBeNull();
+    
+    expect(() => createElu(0)).toThrow('ELU alpha must be a positive number');
+    expect(() => createLeakyRelu(NaN)).toThrow('Leaky ReLU alpha must be a finite number');
+    expect(() => getActivation('softerplus')).toThrow('Unknown activation function: softerplus');
+    expect(() => getActivation(5)).toThrow('Activation function must be a name');
+});
+
+test("registerActivation makes custom activations available by name", () => {
+    const bentIdentity = registerActivation('bentIdentity', {
+        derivativeForm: 'input',
+        func: x => (Math.sqrt(x * x + 1) - 1) / 2 + x,
+        derivative: x => x / (2 * Math.sqrt(x * x + 1)) + 1
+    });
+    
+    try {
+        expect(bentIdentity.name).toBe('bentIdentity');
+        expect(bentIdentity.range).toEqual([-Infinity, Infinity]);
+        expect(getActivation('bentIdentity')).toBe(bentIdentity);
+        expect(listActivations().map(info => info.name)).toContain('bentIdentity');
+        expect(() => registerActivation('bentIdentity', bentIdentity)).toThrow('Activation bentIdentity is already registered');
+        expect(() => registerActivation('relu', bentIdentity)).toThrow('Activation relu is already registered');
+        expect(() => registerActivation('broken', { func: x => x })).toThrow('must contain func and derivative');
+    } finally {
+        expect(unregisterActivation('bentIdentity')).toBe(true);
+    }
+    
+    expect(() => getActivation('bentIdentity')).toThrow('Unknown activation function: bentIdentity');
+    expect(listActivations().find(info => info.name === 'leakyRelu'))
+        .toEqual({ name: 'leakyRelu', range: [-Infinity, Infinity], derivativeForm: 'input', vector: false, parametric: true, trainable: false });
+});
+
+test("trainable activations expose parameters and their gradients", () => {
+    const prelu = createPRelu({ alpha: 0.1 });
+    
+    expect(prelu.func(-2)).toBeCloseTo(-0.2, 12);
+    expect(prelu.func(-2, { alpha: 0.5 })).toBe(-1);
+    expect(prelu.derivative(-2, { alpha: 0.5 })).toBe(0.5);
+    expect(prelu.parameterGradients(-2, { alpha: 0.5 })).toEqual({ alpha: -2 });
+    expect(prelu.parameterGradients(3, { alpha: 0.5 })).toEqual({ alpha: 0 });
+    expect(prelu.perNeuron).toBe(true);
+    
+    const swish = createTrainableSwish({ beta: 1.5 });
+    const epsilon = 1e-6;
+    [-2, -0.3, 0.8].forEach(x => {
+        const params = { beta: 1.5 };
+        const numeric = (swish.func(x, { beta: 1.5 + epsilon }) - swish.func(x, { beta: 1.5 - epsilon })) / (2 * epsilon);
+        expect(swish.parameterGradients(x, params).beta).toBeCloseTo(numeric, 8);
+        expect(swish.func(x, { beta: 1 })).toBeCloseTo(activations.swish.func(x), 12);
+    });
+    expect(swish.perNeuron).toBe(false);
+    
+    expect(getActivationConfig(getActivation({ name: 'prelu', alpha: 0.3, perNeuron: false })))
+        .toEqual({ alpha: 0.3, perNeuron: false });
+    expect(listActivations().find(info => info.name === 'prelu').trainable).toBe(true);
+    expect(() => createPRelu({ alpha: NaN })).toThrow('PReLU alpha must be a finite number');
+    expect(() => createTrainableSwish({ beta: 'one' })).toThrow('Swish beta must be a finite number');
+});
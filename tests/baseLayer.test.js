@@ -0,0 +1,138 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { BaseLayer } from "../src/core/BaseLayer.js";
+import { Dense, Layer } from "../src/core/Layer.js";
+import { layerTypes, createLayer } from "../src/core/layers.js";
+import { activations } from "../src/activations/index.js";
+import { gradientCheck } from "../src/utils/gradientCheck.js";
+
+/**
+ * Test suite for the layer contract
+ * Validates that Network hosts any BaseLayer through forward, backward, parameters and serialization
+ */
+
+/**
+ * Element-wise layer y = scale * x, written only against the BaseLayer contract
+ */
+class Scale extends BaseLayer {
+    constructor(size) {
+        super('scale');
+        this.size = size;
+        this.inputSize = size;
+        this.scale = new Float64Array(size).fill(1);
+        this.scaleGradients = new Float64Array(size);
+    }
+
+    forwardBatch(inputs, options = {}) {
+        this.validateBatch(inputs);
+
+        const outputs = inputs.map(row => row.map((value, j) => value * this.scale[j]));
+        this.lastBatch = { size: inputs.length, inputs, outputs };
+        this.outputs = outputs[outputs.length - 1];
+
+        return outputs;
+    }
+
+    backward(gradOutputs, { propagate = true } = {}) {
+        this.validateLastBatch(gradOutputs.length);
+
+        gradOutputs.forEach((row, b) => row.forEach((gradient, j) => {
+            this.scaleGradients[j] += gradient * this.lastBatch.inputs[b][j];
+        }));
+
+        return propagate ? gradOutputs.map(row => row.map((gradient, j) => gradient * this.scale[j])) : null;
+    }
+
+    parameters() {
+        return { scale: this.scale };
+    }
+
+    gradients() {
+        return { scale: this.scaleGradients };
+    }
+
+    static fromJSON(layerData) {
+        const layer = new Scale(layerData.neuronCount);
+        layer.setWeights(layerData.weights);
+        return layer;
+    }
+}
+
+const data = [[0.2, -0.4], [0.9, 0.1], [-0.5, 0.7], [0.3, 0.3]].map(input => ({
+    input,
+    target: [input[0] - 2 * input[1]]
+}));
+
+function createNetwork() {
+    return new Network({ seed: 21 })
+        .addLayer(3, activations.tanh, 2)
+        .addLayer(new Scale(3))
+        .addLayer(1, activations.linear);
+}
+
+test("dense layer implements the layer contract", () => {
+    const layer = new Dense(2, 3, activations.tanh);
+    const inputs = [[0.5, -1, 0.2], [0.1, 0.4, -0.3]];
+    const gradOutputs = [[0.3, -0.6], [-0.2, 0.5]];
+
+    expect(Layer).toBe(Dense);
+    expect(layer).toBeInstanceOf(BaseLayer);
+    expect(layer.type).toBe('dense');
+    expect(layerTypes.dense).toBe(Dense);
+    expect(layer.forwardBatch(inputs, { training: true })).toEqual(layer.forwardBatch(inputs, true));
+
+    // backward takes loss gradients, the delta form takes errors pointing against them
+    const inputGradients = layer.backward(gradOutputs);
+    const errors = layer.propagateErrors(layer.backwardBatch(gradOutputs.map(row => row.map(value => -value))));
+    inputGradients.forEach((row, b) => row.forEach((gradient, j) => expect(gradient).toBeCloseTo(-errors[b][j], 12)));
+    expect(layer.backward(gradOutputs, { propagate: false })).toBeNull();
+
+    expect(Object.keys(layer.parameters())).toEqual(['weights', 'biases']);
+    expect(layer.gradients().weights).toBe(layer.weightGradients);
+    expect(layer.countParameters()).toBe(8);
+});
+
+test("network trains a custom layer through the contract", () => {
+    const network = createNetwork().compile({ optimizer: 'adam' });
+
+    expect(network.getInfo().layerTypes).toEqual(['dense', 'scale', 'dense']);
+    expect(network.getInfo().totalParameters).toBe(9 + 3 + 4);
+
+    network.train(data, 100, { batchSize: 2 });
+
+    expect(network.getHistory().loss[99]).toBeLessThan(network.getHistory().loss[0]);
+    expect(Array.from(network.layers[1].scale)).not.toEqual([1, 1, 1]);
+    expect(Object.keys(network.optimizer.state)).toContain('1.scale');
+    expect(gradientCheck(network, data[0]).passed).toBe(true);
+});
+
+test("custom layers are exported and restored with customLayers", () => {
+    const network = createNetwork();
+    network.layers[1].setWeights({ scale: [0.5, -2, 1.5] });
+
+    const model = network.exportModel();
+    const restored = Network.importModel(model, { customLayers: { scale: Scale } });
+
+    expect(JSON.parse(model).architecture[1]).toEqual({ type: 'scale', neuronCount: 3, inputSize: 3, weights: { scale: [0.5, -2, 1.5] } });
+    expect(restored.layers[1]).toBeInstanceOf(Scale);
+    expect(restored.predict([0.3, -0.8])).toEqual(network.predict([0.3, -0.8]));
+    expect(() => Network.importModel(model)).toThrow('Unknown layer type: scale');
+});
+
+test("layer contract validates usage", () => {
+    const layer = new Scale(2);
+
+    expect(() => new BaseLayer('empty').forwardBatch([[1]])).toThrow('Layer empty must implement forwardBatch');
+    expect(() => new BaseLayer('empty').backward([[1]])).toThrow('Layer empty must implement backward');
+    expect(() => BaseLayer.fromJSON({})).toThrow('Layer class BaseLayer must implement fromJSON');
+    expect(() => layer.setWeights({ scale: [1] })).toThrow('scale must contain 2 finite numbers');
+    expect(() => layer.backwardLoss([[1, 2]])).toThrow('Cannot compute gradients: no forward pass data available');
+
+    layer.forward([1, 2]);
+    expect(() => layer.backwardLoss([[1]])).toThrow('Target size (1) does not match layer size (2)');
+    expect(layer.backwardLoss([[0, 0]])).toEqual([[1, 2]]);
+
+    expect(() => new Network().addLayer(2, activations.tanh, 2).addLayer(new Scale(3)))
+        .toThrow('Layer input size (3) does not match previous layer size (2)');
+    expect(() => createLayer({ type: 'conv3d' })).toThrow('Unknown layer type: conv3d');
+});
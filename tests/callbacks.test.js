@@ -0,0 +1,215 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import {
+    Callback,
+    EarlyStopping,
+    ModelCheckpoint,
+    LearningRateScheduler,
+    ProgressLogger
+} from "../src/callbacks/index.js";
+
+/**
+ * Test suite for training callbacks
+ * Validates hook order, stop control and built-in callbacks
+ */
+
+const data = [0, 0.25, 0.5, 0.75, 1].map(x => ({ input: [x], target: [x * x] }));
+
+function createNetwork(seed = 1) {
+    return new Network({ seed })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+test("train calls hooks in order with logs", () => {
+    const events = [];
+    const network = createNetwork();
+
+    network.train(data, 2, {
+        batchSize: 2,
+        validationData: data,
+        callbacks: [{
+            onTrainBegin: logs => events.push(['trainBegin', logs]),
+            onEpochBegin: epoch => events.push(['epochBegin', epoch]),
+            onBatchEnd: (batch, logs) => events.push(['batchEnd', batch, logs.size]),
+            onEpochEnd: (epoch, logs, net) => {
+                expect(net).toBe(network);
+                expect(logs.loss).toBe(network.trainingHistory[epoch]);
+                expect(typeof logs.validationLoss).toBe('number');
+                events.push(['epochEnd', epoch]);
+            },
+            onTrainEnd: logs => events.push(['trainEnd', logs.epochs])
+        }]
+    });
+
+    expect(events).toEqual([
+        ['trainBegin', { epochs: 2, batchSize: 2, samples: 5 }],
+        ['epochBegin', 0], ['batchEnd', 0, 2], ['batchEnd', 1, 2], ['batchEnd', 2, 1], ['epochEnd', 0],
+        ['epochBegin', 1], ['batchEnd', 0, 2], ['batchEnd', 1, 2], ['batchEnd', 2, 1], ['epochEnd', 1],
+        ['trainEnd', 2]
+    ]);
+});
+
+test("callback stops training after current epoch", () => {
+    class StopAtThird extends Callback {
+        onEpochEnd(epoch) {
+            if (epoch === 2) {
+                this.network.stopTraining = true;
+            }
+        }
+    }
+
+    const network = createNetwork();
+    network.train(data, 100, { callbacks: [new StopAtThird()] });
+
+    expect(network.trainingHistory).toHaveLength(3);
+
+    // Flag is cleared for the next training run
+    network.train(data, 4);
+    expect(network.trainingHistory).toHaveLength(4);
+});
+
+test("early stopping restores weights of the best epoch", () => {
+    const network = createNetwork();
+    const losses = [0.5, 0.3, 0.4, 0.35, 0.6];
+    let bestWeights = null;
+
+    const earlyStopping = new EarlyStopping({ monitor: 'score', patience: 2, restoreBestWeights: true });
+    network.train(data, 10, {
+        callbacks: [
+            { onEpochEnd: (epoch, logs) => { logs.score = losses[epoch]; } },
+            earlyStopping,
+            { onEpochEnd: epoch => { if (epoch === 1) bestWeights = network.getWeights(); } }
+        ]
+    });
+
+    expect(network.trainingHistory).toHaveLength(4);
+    expect(earlyStopping.bestEpoch).toBe(1);
+    expect(earlyStopping.stoppedEpoch).toBe(3);
+    expect(network.getWeights()).toEqual(bestWeights);
+
+    expect(() => network.train(data, 1, { callbacks: [new EarlyStopping()] }))
+        .toThrow('Monitored value "validationLoss" is not available in training logs, pass validationData to train');
+});
+
+test("early stopping honors mode and minimum delta", () => {
+    const scores = [0.6, 0.7, 0.705, 0.71, 0.72, 0.9];
+    const run = options => {
+        const network = createNetwork();
+        const earlyStopping = new EarlyStopping({ monitor: 'score', patience: 2, ...options });
+        network.train(data, scores.length, {
+            callbacks: [{ onEpochEnd: (epoch, logs) => { logs.score = scores[epoch]; } }, earlyStopping]
+        });
+        return earlyStopping;
+    };
+    
+    // Higher score is better, 0.705 and 0.71 improve by less than 0.02
+    const maxMode = run({ mode: 'max', minDelta: 0.02 });
+    expect(maxMode.bestEpoch).toBe(1);
+    expect(maxMode.stoppedEpoch).toBe(3);
+    
+    expect(run({ mode: 'max' }).stoppedEpoch).toBeNull();
+    expect(run({ mode: 'min' }).stoppedEpoch).toBe(2);
+    
+    expect(() => new EarlyStopping({ mode: 'lowest' })).toThrow("Early stopping mode must be 'min' or 'max'");
+    expect(() => new EarlyStopping({ minDelta: -1 })).toThrow('Minimum delta must be a non-negative number');
+});
+
+test("train option configures early stopping and reports the stop", () => {
+    const network = createNetwork();
+    const validationData = data.map(({ input, target }) => ({ input, target: [target[0] + 0.5] }));
+    const weightsByEpoch = [];
+    
+    network.setLearningRate(0.3).train(data, 200, {
+        validationData,
+        earlyStopping: { monitor: 'validationLoss', patience: 3, minDelta: 1e-4, restoreBestWeights: true },
+        callbacks: [{ onEpochEnd: () => weightsByEpoch.push(network.getWeights()) }]
+    });
+    
+    const history = network.getHistory();
+    const { bestEpoch } = history.stopDetails;
+    
+    expect(history.stopReason).toBe('earlyStopping');
+    expect(history.stoppedEpoch).toBe(history.length - 1);
+    expect(history.stopDetails).toEqual({
+        monitor: 'validationLoss',
+        best: history.validationLoss[bestEpoch],
+        bestEpoch,
+        restoredBestWeights: true
+    });
+    expect(bestEpoch).toBe(history.length - 4);
+    expect(network.getWeights()).toEqual(weightsByEpoch[bestEpoch]);
+});
+
+test("model checkpoint exports improving models", () => {
+    const network = createNetwork();
+    const saved = [];
+    const checkpoint = new ModelCheckpoint({
+        saveBestOnly: true,
+        onSave: (json, epoch) => saved.push({ json, epoch })
+    });
+
+    network.setLearningRate(0.05).train(data, 5, { callbacks: [checkpoint] });
+
+    expect(saved.length).toBeGreaterThan(0);
+    expect(checkpoint.lastCheckpoint).toBe(saved[saved.length - 1].json);
+
+    const restored = Network.fromJSON(checkpoint.lastCheckpoint);
+    expect(restored.trainingHistory).toHaveLength(checkpoint.lastEpoch + 1);
+});
+
+test("model checkpoint honors mode and minimum delta", () => {
+    const scores = [0.6, 0.7, 0.705, 0.5, 0.75];
+    const savedEpochs = options => {
+        const epochs = [];
+        createNetwork().train(data, scores.length, {
+            callbacks: [
+                { onEpochEnd: (epoch, logs) => { logs.score = scores[epoch]; } },
+                new ModelCheckpoint({ monitor: 'score', saveBestOnly: true, onSave: (json, epoch) => epochs.push(epoch), ...options })
+            ]
+        });
+        return epochs;
+    };
+
+    expect(savedEpochs({ mode: 'max' })).toEqual([0, 1, 2, 4]);
+    expect(savedEpochs({ mode: 'max', minDelta: 0.02 })).toEqual([0, 1, 4]);
+    expect(savedEpochs({ mode: 'min' })).toEqual([0, 3]);
+    expect(savedEpochs({})).toEqual([0, 3]);
+
+    expect(() => new ModelCheckpoint({ mode: 'highest' })).toThrow("Checkpoint mode must be 'min' or 'max'");
+    expect(() => new ModelCheckpoint({ minDelta: -1 })).toThrow('Minimum delta must be a non-negative number');
+});
+
+test("learning rate scheduler updates rate before every epoch", () => {
+    const network = createNetwork();
+    const rates = [];
+
+    network.train(data, 3, {
+        callbacks: [
+            new LearningRateScheduler(epoch => 0.1 / (epoch + 1)),
+            { onEpochEnd: (epoch, logs) => rates.push(logs.learningRate) }
+        ]
+    });
+
+    expect(rates).toEqual([0.1, 0.05, 0.1 / 3]);
+});
+
+test("progress logger and verbose option print epochs", () => {
+    const lines = [];
+    const network = createNetwork();
+
+    network.train(data, 4, { callbacks: [new ProgressLogger({ frequency: 2, log: line => lines.push(line) })] });
+
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toStartWith('Epoch 4/4, Error: ');
+});
+
+test("train validates callbacks", () => {
+    const network = createNetwork();
+
+    expect(() => network.train(data, 1, { callbacks: [42] }))
+        .toThrow('Callback must be a Callback instance or an object with hook functions');
+    expect(() => network.train(data, 1, { callbacks: {} })).toThrow('Callbacks must be an array');
+    expect(() => new EarlyStopping({ patience: 0 })).toThrow('Patience must be a positive integer');
+});
@@ -0,0 +1,127 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { Conv1D, Conv2D } from "../src/core/Convolution.js";
+import { createLayer } from "../src/core/layers.js";
+import { gradientCheck } from "../src/utils/gradientCheck.js";
+
+/**
+ * Test suite for convolution layers
+ * Validates output shapes, convolution values, gradients and integration with the network
+ */
+
+const sequence = (length, step = 0.7) => Array.from({ length }, (_, i) => Math.sin(i * step + 0.3));
+
+test("Conv1D convolves channels-last sequences", () => {
+    const layer = new Conv1D([4, 2], { filters: 1, kernelSize: 2 });
+    // Input rows are (position, channel): [1, 10], [2, 20], [3, 30], [4, 40]
+    layer.setWeights({ kernel: [1, 0.1, -1, 0], biases: [0.5] });
+
+    expect(layer.getOutputShape()).toEqual([3, 1]);
+    expect(layer.forward([1, 10, 2, 20, 3, 30, 4, 40])).toEqual([0.5, 1.5, 2.5]);
+});
+
+test("Conv2D computes output shapes from kernel size, stride and padding", () => {
+    const shapeOf = options => new Conv2D([7, 6, 3], { filters: 4, kernelSize: 3, ...options }).getOutputShape();
+
+    expect(shapeOf({})).toEqual([5, 4, 4]);
+    expect(shapeOf({ padding: 'same' })).toEqual([7, 6, 4]);
+    expect(shapeOf({ padding: 'same', stride: 2 })).toEqual([4, 3, 4]);
+    expect(shapeOf({ stride: [2, 1], padding: [1, 0] })).toEqual([4, 4, 4]);
+    expect(shapeOf({ kernelSize: [7, 1] })).toEqual([1, 6, 4]);
+
+    const layer = new Conv2D([7, 6, 3], { filters: 4, kernelSize: 3 });
+    expect(layer.size).toBe(80);
+    expect(layer.inputSize).toBe(126);
+    expect(layer.countParameters()).toBe(4 * 27 + 4);
+});
+
+test("Conv2D with same padding treats padded positions as zeros", () => {
+    const layer = new Conv2D([2, 2, 1], { filters: 1, kernelSize: 3, padding: 'same' });
+    layer.setWeights({ kernel: Array(9).fill(1), biases: [0] });
+
+    // Every 3x3 window covers the whole 2x2 input
+    expect(layer.forward([1, 2, 3, 4])).toEqual([10, 10, 10, 10]);
+});
+
+test("convolution initializers get fans of the kernel window", () => {
+    const calls = [];
+    const layer = new Conv2D([5, 5, 4], {
+        filters: 8,
+        kernelSize: 3,
+        kernelInitializer: (shape, random, fans) => {
+            calls.push({ shape, fans });
+            return Array.from({ length: shape[0] }, () => Array(shape[1]).fill(0));
+        }
+    });
+
+    expect(layer.kernel.every(value => value === 0)).toBe(true);
+    expect(calls).toEqual([{ shape: [8, 36], fans: { fanIn: 36, fanOut: 72 } }]);
+
+    // Glorot limit sqrt(6 / (fanIn + fanOut)) uses the full fan-out of 3 * 3 * 8
+    const limit = Math.sqrt(6 / (36 + 72));
+    const kernel = Array.from(new Conv2D([5, 5, 4], { filters: 8, kernelSize: 3 }).kernel);
+    expect(Math.max(...kernel.map(Math.abs))).toBeLessThanOrEqual(limit);
+    expect(Math.max(...kernel.map(Math.abs))).toBeGreaterThan(0.9 * limit);
+});
+
+test("convolution gradients match finite differences", () => {
+    const network = new Network({ seed: 5 })
+        .addConv2D({ inputShape: [5, 4, 2], filters: 3, kernelSize: [3, 2], padding: 'same', activation: 'tanh' })
+        .addConv2D({ filters: 2, kernelSize: 2, stride: 2, activation: 'sigmoid' })
+        .addLayer(2, 'linear');
+    const report = gradientCheck(network, { input: sequence(40), target: [0.5, -0.5] });
+
+    expect(report.passed).toBe(true);
+    expect(report.layers.map(layer => layer.type)).toEqual(['conv2D', 'conv2D', 'dense']);
+    expect(Object.keys(report.layers[0].analytic)).toEqual(['kernel', 'biases']);
+
+    const sequenceNetwork = new Network({ seed: 6 })
+        .addConv1D({ inputShape: [9, 3], filters: 4, kernelSize: 3, stride: 2, padding: 1, activation: 'elu' })
+        .addConv1D({ filters: 2, kernelSize: 2, activation: 'relu' })
+        .addLayer(1, 'linear');
+
+    expect(gradientCheck(sequenceNetwork, { input: sequence(27), target: [0.2] }).passed).toBe(true);
+});
+
+test("convolution layers train, export and restore", () => {
+    const data = Array.from({ length: 12 }, (_, k) => ({
+        input: sequence(16, k % 2 === 0 ? 0.3 : 2.1),
+        target: [k % 2]
+    }));
+    const network = new Network({ seed: 8 })
+        .addConv1D({ inputShape: [16, 1], filters: 3, kernelSize: 3, activation: 'relu' })
+        .addLayer(1, 'sigmoid')
+        .compile({ optimizer: 'adam', loss: 'binaryCrossEntropy' });
+
+    network.train(data, 40, { batchSize: 4 });
+    expect(network.getHistory().loss[39]).toBeLessThan(network.getHistory().loss[0]);
+    expect(Object.keys(network.optimizer.state)).toContain('0.kernel');
+
+    const model = JSON.parse(network.exportModel());
+    const restored = Network.importModel(model);
+
+    expect(model.architecture[0]).toMatchObject({
+        type: 'conv1D', inputShape: [16, 1], filters: 3, kernelSize: [3], stride: [1], padding: 'valid',
+        activationFunction: 'relu', neuronCount: 42, inputSize: 16
+    });
+    expect(restored.layers[0]).toBeInstanceOf(Conv1D);
+    expect(restored.predict(data[1].input)).toEqual(network.predict(data[1].input));
+
+    model.architecture[0].inputShape = [8, 2];
+    expect(() => createLayer(model.architecture[0])).toThrow('Layer conv1D sizes (16 -> 42) do not match its input shape [8, 2]');
+});
+
+test("convolution layers validate options", () => {
+    expect(() => new Conv2D([4, 4], { filters: 1, kernelSize: 2 }))
+        .toThrow('Conv2D input shape must be [height, width, channels] of positive integers, got [4, 4]');
+    expect(() => new Conv1D([4, 1], { filters: 0, kernelSize: 2 })).toThrow('Number of filters must be a positive integer');
+    expect(() => new Conv1D([4, 1], { filters: 1 })).toThrow('Kernel size must be an integer >= 1');
+    expect(() => new Conv2D([4, 4, 1], { filters: 1, kernelSize: [2, 2, 2] })).toThrow('Kernel size must be');
+    expect(() => new Conv1D([4, 1], { filters: 1, kernelSize: 2, padding: 'full' })).toThrow("Padding must be 'valid', 'same'");
+    expect(() => new Conv1D([4, 1], { filters: 1, kernelSize: 5 })).toThrow('Window [5] does not fit input shape [4, 1]');
+    expect(() => new Conv1D([4, 1], { filters: 1, kernelSize: 2, activation: 'softmax' }))
+        .toThrow('Convolution activation must be element-wise without trainable parameters');
+    expect(() => new Network().addConv2D({ filters: 1, kernelSize: 2 })).toThrow('Input shape must be specified for the first layer');
+    expect(() => new Network().addLayer(8, 'relu', 4).addConv2D({ filters: 1, kernelSize: 2 }))
+        .toThrow('Conv2D input shape must be [height, width, channels] of positive integers, got [8]');
+});
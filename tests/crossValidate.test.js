@@ -0,0 +1,87 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import { crossValidate } from "../src/utils/crossValidate.js";
+
+/**
+ * Test suite for validation split and cross-validation
+ * Validates held-out data, fold splitting and metric summaries
+ */
+
+const data = Array.from({ length: 10 }, (_, i) => ({ input: [i / 10], target: [Math.pow(i / 10, 2)] }));
+
+function createNetwork(seed = 7) {
+    return new Network({ seed })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+test("validation split holds out seeded shuffled examples", () => {
+    const heldOut = [];
+    const network = createNetwork();
+    
+    network.train(data, 2, {
+        validationSplit: 0.3,
+        callbacks: [{ onTrainBegin: logs => heldOut.push(logs.samples) }]
+    });
+    
+    expect(heldOut).toEqual([7]);
+    expect(network.getHistory().validationLoss.every(value => typeof value === 'number')).toBe(true);
+    
+    // Same seed gives the same split and training
+    const repeated = createNetwork();
+    repeated.train(data, 2, { validationSplit: 0.3 });
+    expect(repeated.getHistory().validationLoss).toEqual(network.getHistory().validationLoss);
+});
+
+test("validation split is validated", () => {
+    const network = createNetwork();
+    
+    expect(() => network.train(data, 1, { validationSplit: 1 }))
+        .toThrow('Validation split must be a number in range (0, 1)');
+    expect(() => network.train(data, 1, { validationSplit: 0.01 }))
+        .toThrow('Validation split 0.01 leaves no examples for validation in 10 examples');
+    expect(() => network.train(data, 1, { validationSplit: 0.2, validationData: data }))
+        .toThrow('Pass either validationData or validationSplit, not both');
+});
+
+test("cross-validation trains a fresh network per fold", () => {
+    const built = [];
+    const report = crossValidate(fold => {
+        built.push(fold);
+        return createNetwork(fold + 1);
+    }, data, { k: 3, epochs: 5, metrics: ['mae', 'r2'], seed: 1 });
+    
+    expect(built).toEqual([0, 1, 2]);
+    expect(report.folds.map(fold => fold.validationSize)).toEqual([4, 3, 3]);
+    expect(report.folds.map(fold => fold.trainSize)).toEqual([6, 7, 7]);
+    expect(report.folds[0].history.length).toBe(5);
+    expect(Object.keys(report.mean)).toEqual(['loss', 'mae', 'r2']);
+    
+    const maes = report.folds.map(fold => fold.mae);
+    const mean = maes.reduce((sum, value) => sum + value, 0) / 3;
+    expect(report.mean.mae).toBeCloseTo(mean, 12);
+    expect(report.std.mae).toBeCloseTo(Math.sqrt(maes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / 3), 12);
+    
+    // Same seed gives the same folds
+    const again = crossValidate(fold => createNetwork(fold + 1), data, { k: 3, epochs: 5, metrics: ['mae', 'r2'], seed: 1 });
+    expect(again.mean).toEqual(report.mean);
+});
+
+test("cross-validation validates arguments", () => {
+    expect(() => crossValidate(null, data)).toThrow('buildNetwork must be a function returning a Network');
+    expect(() => crossValidate(() => ({}), data, { k: 2 })).toThrow('buildNetwork must be a function returning a Network');
+    expect(() => crossValidate(() => createNetwork(), data, { k: 11 }))
+        .toThrow('Number of folds must be an integer from 2 to the number of examples');
+    expect(() => crossValidate(() => createNetwork(), [])).toThrow('Training data must be a non-empty array');
+});
+
+test("cross-validation checks metrics before training", () => {
+    const built = [];
+    
+    expect(() => crossValidate(fold => {
+        built.push(fold);
+        return createNetwork();
+    }, data, { k: 2, metrics: ['mae', 'acuracy'] })).toThrow('Unknown metric: acuracy');
+    expect(built).toEqual([]);
+});
@@ -0,0 +1,160 @@
+import { test, expect } from "bun:test";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+    CSVParser,
+    parseCSV,
+    parseJSONL,
+    buildDataset,
+    loadCSV,
+    loadJSONL,
+    streamCSV,
+    streamJSONL
+} from "../src/data/index.js";
+
+/**
+ * Test suite for dataset loading
+ * Validates CSV and JSONL parsing, column mapping, encoding, missing values and streaming
+ */
+
+const csv = [
+    'size,color,"price, usd"',
+    '1.5,red,10',
+    '2,"green",20',
+    '3,red,',
+    '4,blue,40'
+].join('\r\n');
+
+async function withFile(name, contents, run) {
+    const directory = await mkdtemp(join(tmpdir(), "fenix-"));
+    const path = join(directory, name);
+
+    try {
+        await writeFile(path, contents, "utf8");
+        return await run(path);
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+test("parseCSV handles quotes, delimiters and header detection", () => {
+    expect(parseCSV(csv).columns).toEqual(['size', 'color', 'price, usd']);
+    expect(parseCSV(csv).rows[1]).toEqual(['2', 'green', '20']);
+
+    const quoted = parseCSV('a;"say ""hi"";\nbye"\n\n1;2\n', { delimiter: ';', header: false });
+    expect(quoted.columns).toEqual(['0', '1']);
+    expect(quoted.rows).toEqual([['a', 'say "hi";\nbye'], ['1', '2']]);
+
+    expect(parseCSV('1,2\n3,4').columns).toEqual(['0', '1']);
+    expect(() => parseCSV('a,"b')).toThrow('Unterminated quoted field');
+    expect(() => parseCSV('')).toThrow('CSV contains no rows');
+});
+
+test("CSVParser accepts text split at any position", () => {
+    const text = 'x,"a ""b"" c"\r\n1,"2\n3"\n';
+    const parser = new CSVParser();
+    const records = [];
+
+    for (const char of text) {
+        records.push(...parser.push(char));
+    }
+    records.push(...parser.end());
+
+    expect(records).toEqual([['x', 'a "b" c'], ['1', '2\n3']]);
+});
+
+test("buildDataset maps columns and encodes categorical values", () => {
+    const dataset = buildDataset(parseCSV(csv), { features: ['size', 'color'], labels: 'price, usd', categorical: ['color'] });
+
+    expect(dataset.features).toEqual(['size', 'color']);
+    expect(dataset.labels).toEqual(['price, usd']);
+    expect(dataset.data).toEqual([
+        { input: [1.5, 0, 0, 1], target: [10] },
+        { input: [2, 0, 1, 0], target: [20] },
+        { input: [4, 1, 0, 0], target: [40] }
+    ]);
+    expect(dataset.encoders.color.state.categories).toEqual([['blue', 'green', 'red']]);
+    expect(dataset.missing).toEqual({ rows: 1, columns: { 'price, usd': 1 } });
+});
+
+test("buildDataset applies missing value policy", () => {
+    const table = parseCSV(csv);
+
+    expect(buildDataset(table, { categorical: ['color'], missing: 0 }).data[2].target).toEqual([0]);
+    expect(() => buildDataset(table, { categorical: ['color'], missing: 'error' }))
+        .toThrow('Missing value in column "price, usd" of row 3');
+    expect(() => buildDataset(table)).toThrow('Column "color" has non-numeric value "red" in row 1');
+    expect(() => buildDataset(table, { labels: 'weight' })).toThrow('Unknown column: weight');
+    expect(() => buildDataset(table, { missing: 'drop' })).toThrow('Missing value policy');
+});
+
+test("buildDataset reuses fixed categories and encoders", () => {
+    const table = parseCSV(csv);
+    const fixed = buildDataset(table, { categorical: { color: ['red', 'green', 'blue', 'black'] } });
+    expect(fixed.data[0].input).toEqual([1.5, 1, 0, 0, 0]);
+
+    const testTable = parseCSV('size,color,price\n5,blue,50');
+    const reused = buildDataset(testTable, { categorical: ['color'], encoders: fixed.encoders });
+    expect(reused.data[0].input).toEqual([5, 0, 0, 1, 0]);
+});
+
+test("parseJSONL reads objects with absent keys as missing", () => {
+    const text = '{"x": 1, "label": "a"}\n\n{"x": 2, "y": 5, "label": "b"}\n';
+    const table = parseJSONL(text);
+
+    expect(table.columns).toEqual(['x', 'label', 'y']);
+    expect(table.rows[0]).toEqual([1, 'a', undefined]);
+
+    const dataset = buildDataset(table, { features: ['x', 'y'], labels: ['label'], categorical: ['label'] });
+    expect(dataset.data).toEqual([{ input: [2, 5], target: [0, 1] }]);
+    expect(dataset.missing).toEqual({ rows: 1, columns: { y: 1 } });
+
+    expect(() => parseJSONL('{"x": 1}\n{x: 2}')).toThrow('Invalid JSON on line 2');
+    expect(() => parseJSONL('[1, 2]')).toThrow('Line 1 must contain a JSON object');
+});
+
+test("loadCSV and loadJSONL read files", async () => {
+    const fromCSV = await withFile("data.csv", csv, path => loadCSV(path, { categorical: ['color'] }));
+    expect(fromCSV.data.length).toBe(3);
+
+    const fromJSONL = await withFile("data.jsonl", '{"a": 1, "b": 2}\n{"a": 3, "b": 4}\n', path => loadJSONL(path));
+    expect(fromJSONL.data).toEqual([{ input: [1], target: [2] }, { input: [3], target: [4] }]);
+});
+
+test("streamCSV yields chunks with consistent encoding", async () => {
+    const lines = ['x,kind,y'];
+    for (let i = 0; i < 25; i++) {
+        lines.push(`${i},"${i % 2 === 0 ? 'even' : 'odd'}",${i * 2}`);
+    }
+
+    const chunks = await withFile("stream.csv", lines.join('\n'), path => collect(streamCSV(path, {
+        chunkSize: 10,
+        categorical: { kind: ['even', 'odd'] }
+    })));
+
+    expect(chunks.map(chunk => chunk.data.length)).toEqual([10, 10, 5]);
+    expect(chunks[2].data[4]).toEqual({ input: [24, 1, 0], target: [48] });
+
+    await expect(withFile("stream.csv", lines.join('\n'), path => collect(streamCSV(path, { categorical: ['kind'] }))))
+        .rejects.toThrow('Streaming needs categories of column "kind"');
+});
+
+test("streamJSONL yields chunks and reports errors with line numbers", async () => {
+    const text = Array.from({ length: 7 }, (_, i) => JSON.stringify({ x: i, y: -i })).join('\n');
+    const chunks = await withFile("stream.jsonl", text, path => collect(streamJSONL(path, { chunkSize: 3 })));
+
+    expect(chunks.map(chunk => chunk.data.length)).toEqual([3, 3, 1]);
+    expect(chunks[2].data[0]).toEqual({ input: [6], target: [-6] });
+
+    await expect(withFile("broken.jsonl", '{"x": 1, "y": 2}\n{"x"', path => collect(streamJSONL(path))))
+        .rejects.toThrow('Invalid JSON on line 2');
+});
@@ -0,0 +1,89 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import { gradientCheck, checkActivationGradients } from "../src/utils/gradientCheck.js";
+
+/**
+ * Test suite for numerical gradient checking
+ * Validates backpropagation against finite differences for activations and losses
+ */
+
+const example = { input: [0.7, -0.4, 0.2], target: [0.3, -0.1] };
+
+test("backpropagation matches finite differences for every activation", () => {
+    Object.entries(activations).forEach(([name, activation]) => {
+        const report = checkActivationGradients(activation);
+        
+        expect(report.layers.map(layer => layer.activation)).toEqual([name, name]);
+        expect(report.relativeError).toBeLessThan(1e-7);
+        expect(report.passed).toBe(true);
+    });
+});
+
+test("gradient check reports per-layer errors for every parameter", () => {
+    const network = new Network({ seed: 4 })
+        .addLayer(4, activations.tanh, 3)
+        .addLayer(2, activations.softmax)
+        .compile({ loss: 'crossEntropy' });
+    
+    const report = gradientCheck(network, { input: example.input, target: [0, 1] });
+    
+    expect(report.layers).toHaveLength(2);
+    expect(report.layers[0].parameters).toBe(16);
+    expect(report.layers[0].analytic.weights).toHaveLength(12);
+    expect(report.layers[1].numeric.biases).toHaveLength(2);
+    expect(report.layers[0].analytic.activation).toBeNull();
+    report.layers.forEach(layer => {
+        expect(layer.relativeError).toBeLessThan(1e-7);
+        expect(layer.maxAbsoluteError).toBeLessThan(1e-8);
+    });
+});
+
+test("gradient check detects wrong derivatives", () => {
+    // Swish derivative evaluated at outputs instead of weighted sums
+    const wrongSwish = { func: activations.swish.func, derivative: activations.swish.derivative };
+    const report = checkActivationGradients(wrongSwish);
+    
+    expect(report.passed).toBe(false);
+    expect(report.relativeError).toBeGreaterThan(1e-3);
+});
+
+test("gradient check leaves weights and accumulated gradients unchanged", () => {
+    const network = new Network({ seed: 5 })
+        .addLayer(3, activations.elu, 3)
+        .addLayer(2, activations.linear);
+    
+    network.forward(example.input, true);
+    network.backpropagate(example.target);
+    const weights = network.getWeights();
+    const gradients = network.layers.map(layer => Array.from(layer.weightGradients));
+    
+    gradientCheck(network, example, { epsilon: 1e-4 });
+    
+    expect(network.getWeights()).toEqual(weights);
+    expect(network.layers.map(layer => Array.from(layer.weightGradients))).toEqual(gradients);
+});
+
+test("gradient check validates arguments", () => {
+    const network = new Network().addLayer(2, activations.tanh, 3);
+    
+    expect(() => gradientCheck(network, { input: [1, 2, 3] })).toThrow('Example must contain input and target arrays');
+    expect(() => gradientCheck(network, example, { epsilon: 0 })).toThrow('Epsilon must be a positive number');
+    expect(() => gradientCheck(network, example, { tolerance: -1 })).toThrow('Tolerance must be a positive number');
+    expect(() => gradientCheck(new Network(), example)).toThrow('Network contains no layers');
+});
+
+test("gradient check covers trainable activation parameters", () => {
+    const network = new Network({ seed: 6 })
+        .addLayer(4, activations.prelu, 3)
+        .addLayer(2, { name: 'trainableSwish', beta: 0.7 });
+    network.layers[0].setActivationParameters({ alpha: [0.1, 0.2, 0.3, 0.4] });
+    
+    const report = gradientCheck(network, example);
+    
+    expect(report.passed).toBe(true);
+    expect(report.layers.map(layer => layer.parameters)).toEqual([20, 11]);
+    expect(report.layers[0].analytic.activation.alpha).toHaveLength(4);
+    expect(report.layers[1].numeric.activation.beta).toHaveLength(1);
+    expect(report.layers[1].analytic.activation.beta[0]).not.toBe(0);
+});
@@ -0,0 +1,98 @@
+import { test, expect } from "bun:test";
+import { initializers, computeFans, getInitializer } from "../src/initializers/index.js";
+import { SeededRandom } from "../src/utils/random.js";
+
+/**
+ * Test suite for weight initializers
+ * Validates shapes, distribution statistics and lookup helpers
+ */
+
+function seededRandom(seed = 7) {
+    const generator = new SeededRandom(seed);
+    return () => generator.next();
+}
+
+function variance(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
+
+test("fans are computed from parameter shape", () => {
+    expect(computeFans([4, 3])).toEqual({ fanIn: 3, fanOut: 4 });
+    expect(computeFans([5])).toEqual({ fanIn: 5, fanOut: 5 });
+});
+
+test("initializers return values of requested shape", () => {
+    const random = seededRandom();
+
+    Object.values(initializers).forEach(initializer => {
+        const kernel = initializer.func([3, 5], random);
+        expect(kernel).toHaveLength(3);
+        kernel.forEach(row => expect(row).toHaveLength(5));
+
+        if (initializer.name !== 'orthogonal') {
+            expect(initializer.func([4], random)).toHaveLength(4);
+        }
+    });
+
+    expect(initializers.zeros.func([2])).toEqual([0, 0]);
+    expect(initializers.ones.func([1, 2])).toEqual([[1, 1]]);
+});
+
+test("variance scaling initializers match expected variance", () => {
+    const random = seededRandom();
+    const fanIn = 50;
+    const fanOut = 200;
+    const expected = {
+        heNormal: 2 / fanIn,
+        heUniform: 2 / fanIn,
+        lecunNormal: 1 / fanIn,
+        lecunUniform: 1 / fanIn,
+        glorotNormal: 2 / (fanIn + fanOut),
+        glorotUniform: 2 / (fanIn + fanOut)
+    };
+
+    Object.entries(expected).forEach(([name, value]) => {
+        const values = initializers[name].func([fanOut, fanIn], random).flat();
+        expect(variance(values) / value).toBeCloseTo(1, 1);
+    });
+
+    const limit = Math.sqrt(6 / fanIn);
+    initializers.heUniform.func([fanOut, fanIn], random).flat().forEach(value => {
+        expect(Math.abs(value)).toBeLessThanOrEqual(limit);
+    });
+});
+
+test("orthogonal initializer produces orthonormal rows or columns", () => {
+    const random = seededRandom();
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    const wide = initializers.orthogonal.func([3, 6], random);
+    wide.forEach((row, i) => wide.forEach((other, j) => {
+        expect(dot(row, other)).toBeCloseTo(i === j ? 1 : 0, 10);
+    }));
+
+    const tall = getInitializer({ name: 'orthogonal', gain: 2 }).func([6, 3], random);
+    const columns = [0, 1, 2].map(j => tall.map(row => row[j]));
+    columns.forEach((column, i) => columns.forEach((other, j) => {
+        expect(dot(column, other)).toBeCloseTo(i === j ? 4 : 0, 10);
+    }));
+
+    expect(() => initializers.orthogonal.func([3], random)).toThrow('Orthogonal initializer requires a 2D shape');
+});
+
+test("getInitializer resolves names, configurations and functions", () => {
+    expect(getInitializer('heNormal')).toBe(initializers.heNormal);
+    expect(getInitializer({ name: 'constant', value: 0.1 }).func([2])).toEqual([0.1, 0.1]);
+    expect(getInitializer({ name: 'glorotUniform' })).toBe(initializers.glorotUniform);
+
+    const custom = getInitializer(function identity(shape) {
+        return Array.from({ length: shape[0] }, (_, i) => Array.from({ length: shape[1] }, (_, j) => (i === j ? 1 : 0)));
+    });
+    expect(custom.name).toBe('identity');
+    expect(custom.func([2, 2])).toEqual([[1, 0], [0, 1]]);
+
+    expect(() => getInitializer('unknown')).toThrow('Unknown initializer: unknown');
+    expect(() => getInitializer(42)).toThrow('Initializer must be a name, a function or an object with func method');
+    expect(() => getInitializer({ name: 'randomNormal', stddev: -1 })).toThrow('Normal initializer stddev must be a positive number');
+});
@@ -0,0 +1,62 @@
+import { test, expect } from "bun:test";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Network } from "../src/core/Network.js";
+import { saveModel, loadModel } from "../src/io/index.js";
+import { activations } from "../src/activations/index.js";
+
+/**
+ * Test suite for model saving and loading
+ * Validates round trips through files and browser storage
+ */
+
+function createNetwork() {
+    const network = new Network();
+    network.addLayer(3, activations.tanh, 2)
+        .addLayer(1, activations.sigmoid);
+    return network;
+}
+
+test("model round-trips through a file", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "fenix-"));
+    const path = join(directory, "model.json");
+    const network = createNetwork();
+
+    try {
+        await saveModel(network, path);
+        const restored = await loadModel(path);
+
+        expect(restored).toBeInstanceOf(Network);
+        expect(restored.predict([0.2, -0.4])).toEqual(network.predict([0.2, -0.4]));
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
+
+test("model round-trips through localStorage", async () => {
+    const store = new Map();
+    globalThis.localStorage = {
+        getItem: key => store.has(key) ? store.get(key) : null,
+        setItem: (key, value) => store.set(key, String(value))
+    };
+    const network = createNetwork();
+
+    try {
+        await saveModel(network, "localstorage://xor");
+        expect(store.has("xor")).toBe(true);
+
+        const restored = await loadModel("localstorage://xor");
+        expect(restored.predict([1, 1])).toEqual(network.predict([1, 1]));
+
+        await expect(loadModel("localstorage://missing")).rejects.toThrow('No model stored under key "missing"');
+    } finally {
+        delete globalThis.localStorage;
+    }
+});
+
+test("model storage validates arguments", async () => {
+    await expect(saveModel({}, "model.json")).rejects.toThrow('Only Network instances can be saved');
+    await expect(saveModel(createNetwork(), "")).rejects.toThrow('Model location must be a non-empty string');
+    await expect(loadModel("localstorage://model")).rejects.toThrow('localStorage is not available in this environment');
+});
@@ -1,5 +1,6 @@
 import { test, expect } from "bun:test";
 import { Layer } from "../src/core/Layer.js";
+import { activations as activationLibrary, createPRelu } from "../src/activations/index.js";
 
 /**
  * Test suite for Layer class
@@ -103,8 +104,7 @@ test("layer performs output layer backpropagation correctly", () => {
     
     // Backpropagation
     const targets = [0.8, 0.2];
-    const learningRate = 0.1;
-    const deltas = layer.backwardOutput(targets, learningRate);
+    const deltas = layer.backwardOutput(targets);
     
     expect(deltas).toHaveLength(2);
     
@@ -132,8 +132,7 @@ test("layer performs hidden layer backpropagation correctly", () => {
         [-0.1, 0.2]   // weights from neuron 2 of next layer
     ];
     
-    const learningRate = 0.1;
-    const deltas = layer.backwardHidden(nextLayerDeltas, nextLayerWeights, learningRate);
+    const deltas = layer.backwardHidden(nextLayerDeltas, nextLayerWeights);
     
     expect(deltas).toHaveLength(2);
     
@@ -146,18 +145,171 @@ test("layer performs hidden layer backpropagation correctly", () => {
     expect(deltas[0]).toBeCloseTo(expectedDelta1, 6);
 });
 
+test("layer backpropagation accumulates gradients until applied", () => {
+    const layer = new Layer(2, 2, activations.sigmoid);
+    layer.neurons[0].setWeights([0.5, 0.3], 0.1);
+    layer.neurons[1].setWeights([-0.2, 0.4], -0.1);
+    
+    layer.forward([1.0, 0.5]);
+    const deltas = layer.backwardOutput([0.8, 0.2]);
+    
+    // Weights stay unchanged until gradients are applied
+    expect(layer.getWeights()[0]).toEqual({ weights: [0.5, 0.3], bias: 0.1 });
+    expect(layer.neurons[0].weightGradients[0]).toBeCloseTo(-deltas[0], 10);
+    
+    layer.applyGradients(0.1);
+    
+    expect(layer.neurons[0].weights[0]).toBeCloseTo(0.5 + 0.1 * deltas[0], 10);
+    expect(layer.neurons[1].bias).toBeCloseTo(-0.1 + 0.1 * deltas[1], 10);
+    expect(Array.from(layer.neurons[0].weightGradients)).toEqual([0, 0]);
+});
+
+test("layer computes output deltas from loss gradient", () => {
+    const layer = new Layer(2, 2, activations.tanh);
+    const outputs = layer.forward([0.4, -0.6]);
+    const targets = [0.5, -0.5];
+    
+    // MAE gradient is sign(output - target) / n
+    const loss = {
+        func: () => 0,
+        derivative: (predicted, actual) => predicted.map((p, i) => Math.sign(p - actual[i]) / 2)
+    };
+    const deltas = layer.backwardOutput(targets, loss);
+    
+    outputs.forEach((output, i) => {
+        const expected = -Math.sign(output - targets[i]) / 2 * (1 - output * output);
+        expect(deltas[i]).toBeCloseTo(expected, 10);
+    });
+});
+
+test("layer uses simplified output deltas paired with activation", () => {
+    const layer = new Layer(1, 1, activations.sigmoid);
+    layer.forward([2]);
+    
+    const loss = {
+        func: () => 0,
+        derivative: () => { throw new Error('should not be called'); },
+        outputDeltas: { sigmoid: (predicted, actual) => [actual[0] - predicted[0]] }
+    };
+    
+    const deltas = layer.backwardOutput([1], loss);
+    expect(deltas[0]).toBeCloseTo(1 - layer.outputs[0], 10);
+});
+
+test("layer applies vector activation to whole layer", () => {
+    const softmax = {
+        vector: true,
+        func: (values) => {
+            const exps = values.map(Math.exp);
+            const sum = exps.reduce((a, b) => a + b, 0);
+            return exps.map(value => value / sum);
+        },
+        derivative: (outputs) => outputs.map((yi, i) => outputs.map((yj, j) => (i === j ? yi * (1 - yi) : -yi * yj))),
+        name: 'softmax'
+    };
+    const layer = new Layer(3, 2, softmax);
+    layer.neurons[0].setWeights([1, 0], 0);
+    layer.neurons[1].setWeights([0, 1], 0);
+    layer.neurons[2].setWeights([1, 1], 0);
+    
+    const outputs = layer.forward([0.5, -0.5]);
+    const expected = softmax.func([0.5, -0.5, 0]);
+    
+    outputs.forEach((output, i) => expect(output).toBeCloseTo(expected[i], 10));
+    expect(layer.neurons[2].lastOutput).toBeCloseTo(expected[2], 10);
+    
+    // Hidden deltas go through the Jacobian: delta_j = sum_i error_i * J[i][j]
+    const deltas = layer.backwardHidden([1], [[0.2, -0.4, 0.6]]);
+    const jacobian = softmax.derivative(outputs);
+    const errors = [0.2, -0.4, 0.6];
+    deltas.forEach((delta, j) => {
+        const expectedDelta = errors.reduce((sum, error, i) => sum + error * jacobian[i][j], 0);
+        expect(delta).toBeCloseTo(expectedDelta, 10);
+    });
+});
+
+test("layer applies inverted dropout only during training", () => {
+    const layer = new Layer(200, 2, activations.sigmoid, { dropout: 0.5 });
+    const inputs = [0.3, -0.2];
+    
+    const inference = layer.forward(inputs);
+    expect(layer.dropoutMask).toBeNull();
+    expect(inference).toEqual(layer.rawOutputs);
+    
+    const training = layer.forward(inputs, true);
+    const dropped = training.filter(output => output === 0).length;
+    
+    // Kept outputs are scaled by 1 / (1 - rate)
+    training.forEach((output, i) => {
+        if (output !== 0) {
+            expect(output).toBeCloseTo(2 * layer.rawOutputs[i], 10);
+        }
+    });
+    expect(dropped).toBeGreaterThan(50);
+    expect(dropped).toBeLessThan(150);
+    
+    // Dropped neurons receive no gradient
+    const deltas = layer.backwardOutput(training.map(() => 1));
+    deltas.forEach((delta, i) => {
+        if (layer.dropoutMask[i] === 0) {
+            expect(delta).toBe(0);
+        }
+    });
+});
+
+test("layer validates regularization options", () => {
+    expect(() => new Layer(2, 2, activations.sigmoid, { dropout: 1 })).toThrow('Dropout rate must be a number in range [0, 1)');
+    expect(() => new Layer(2, 2, activations.sigmoid, { dropout: -0.1 })).toThrow('Dropout rate must be a number in range [0, 1)');
+    expect(() => new Layer(2, 2, activations.sigmoid, { l1: -1 })).toThrow('L1 and L2 factors must be non-negative numbers');
+    expect(() => new Layer(2, 2, activations.sigmoid, { l2: '0.1' })).toThrow('L1 and L2 factors must be non-negative numbers');
+});
+
+test("layer applies L1/L2 penalties to weights", () => {
+    const layer = new Layer(1, 2, activations.sigmoid, { l1: 0.1, l2: 0.05 });
+    layer.setWeights([{ weights: [0.5, -2], bias: 1 }]);
+    
+    // l1 * sum(|w|) + l2 * sum(w^2)
+    expect(layer.regularizationLoss()).toBeCloseTo(0.1 * 2.5 + 0.05 * 4.25, 10);
+    
+    // Zero data gradient leaves only the penalty gradient: l1 * sign(w) + 2 * l2 * w
+    layer.forward([0, 0]);
+    layer.applyGradients(1);
+    
+    expect(layer.neurons[0].weights[0]).toBeCloseTo(0.5 - (0.1 + 0.05), 10);
+    expect(layer.neurons[0].weights[1]).toBeCloseTo(-2 - (-0.1 - 0.2), 10);
+    expect(layer.neurons[0].bias).toBe(1);
+    
+    expect(new Layer(1, 2, activations.sigmoid).regularizationLoss()).toBe(0);
+});
+
+test("layer draws initialization and dropout from provided random source", () => {
+    const constant = () => 0.75;
+    const layer = new Layer(2, 2, activations.sigmoid, { dropout: 0.5, random: constant });
+    
+    // (0.75 * 2 - 1) * limit and (0.75 * 2 - 1) * 0.1
+    const limit = Math.sqrt(6 / 3);
+    expect(layer.neurons[0].weights[0]).toBeCloseTo(0.5 * limit, 10);
+    expect(layer.neurons[1].bias).toBeCloseTo(0.05, 10);
+    
+    // 0.75 >= rate keeps every output
+    layer.forward([1, 1], true);
+    expect(layer.dropoutMask).toEqual([2, 2]);
+    
+    expect(() => new Layer(2, 2, activations.sigmoid, { random: 0.5 })).toThrow('Random source must be a function');
+});
+
 test("layer validates backpropagation inputs", () => {
     const layer = new Layer(2, 2, activations.sigmoid);
     layer.forward([1, 1]); // Need forward pass first
     
     // Invalid target size for output backprop
-    expect(() => layer.backwardOutput([0.5], 0.1)).toThrow('Target size (1) does not match number of neurons (2)');
-    expect(() => layer.backwardOutput([0.5, 0.3, 0.1], 0.1)).toThrow('Target size (3) does not match number of neurons (2)');
+    expect(() => layer.backwardOutput([0.5])).toThrow('Target size (1) does not match number of neurons (2)');
+    expect(() => layer.backwardOutput([0.5, 0.3, 0.1])).toThrow('Target size (3) does not match number of neurons (2)');
     
     // Invalid inputs for hidden backprop
-    expect(() => layer.backwardHidden("invalid", [[1, 2]], 0.1)).toThrow('Deltas and weights must be arrays');
-    expect(() => layer.backwardHidden([0.1], "invalid", 0.1)).toThrow('Deltas and weights must be arrays');
-    expect(() => layer.backwardHidden([0.1, 0.2], [[1, 2]], 0.1)).toThrow('Number of deltas must match number of weight vectors');
+    expect(() => layer.backwardHidden("invalid", [[1, 2]])).toThrow('Deltas and weights must be arrays');
+    expect(() => layer.backwardHidden([0.1], "invalid")).toThrow('Deltas and weights must be arrays');
+    expect(() => layer.backwardHidden([0.1, 0.2], [[1, 2]])).toThrow('Number of deltas must match number of weight vectors');
 });
 
 test("layer weight management works correctly", () => {
@@ -244,3 +396,156 @@ test("layer handles different activation functions", () => {
     // Tanh: tanh(1*1 + (-0.5)) = tanh(0.5)
     expect(tanhOutput[0]).toBeCloseTo(Math.tanh(0.5), 6);
 });
+
+test("layer uses configured weight and bias initializers", () => {
+    const layer = new Layer(3, 4, activations.relu, {
+        kernelInitializer: 'orthogonal',
+        biasInitializer: { name: 'constant', value: 0.1 }
+    });
+    
+    layer.neurons.forEach(neuron => {
+        expect(neuron.bias).toBe(0.1);
+        const norm = Math.sqrt(neuron.weights.reduce((sum, w) => sum + w * w, 0));
+        expect(norm).toBeCloseTo(1, 10);
+    });
+    
+    const zeros = new Layer(2, 3, activations.relu, { kernelInitializer: 'zeros', biasInitializer: 'zeros' });
+    expect(zeros.getWeights()).toEqual([
+        { weights: [0, 0, 0], bias: 0 },
+        { weights: [0, 0, 0], bias: 0 }
+    ]);
+    
+    expect(() => new Layer(2, 3, activations.relu, { kernelInitializer: () => [[1, 2, 3]] }))
+        .toThrow(/must return finite values of shape \[2, 3\]/);
+});
+
+test("layer stores neuron weights as views of one weight matrix", () => {
+    const layer = new Layer(2, 3, activations.tanh);
+    layer.setWeights([
+        { weights: [0.1, 0.2, 0.3], bias: -0.1 },
+        { weights: [0.4, 0.5, 0.6], bias: 0.2 }
+    ]);
+    
+    expect(layer.weights).toBeInstanceOf(Float64Array);
+    expect(Array.from(layer.weights)).toEqual([0.1, 0.2, 0.3, 0.4, 0.5, 0.6]);
+    expect(Array.from(layer.biases)).toEqual([-0.1, 0.2]);
+    
+    layer.neurons[1].weights[2] = 0.7;
+    layer.neurons[1].bias = 0.3;
+    expect(layer.weights[5]).toBe(0.7);
+    expect(layer.biases[1]).toBe(0.3);
+    
+    const float32 = new Layer(2, 3, activations.tanh, { precision: 'float32' });
+    expect(float32.weights).toBeInstanceOf(Float32Array);
+    expect(float32.getInfo().precision).toBe('float32');
+    expect(() => new Layer(2, 3, activations.tanh, { precision: 'float16' }))
+        .toThrow('Precision must be one of: float64, float32');
+});
+
+test("layer batch passes match per-example passes", () => {
+    const batchLayer = new Layer(3, 2, activations.tanh);
+    const exampleLayer = new Layer(3, 2, activations.tanh);
+    exampleLayer.setWeights(batchLayer.getWeights());
+    
+    const inputs = [[0.5, -1], [0.2, 0.3], [-0.7, 0.9]];
+    const errors = [[0.1, -0.2, 0.3], [0.05, 0.4, -0.1], [-0.3, 0.2, 0.2]];
+    
+    const batchOutputs = batchLayer.forwardBatch(inputs);
+    const batchDeltas = batchLayer.backwardBatch(errors);
+    const batchInputErrors = batchLayer.propagateErrors(batchDeltas);
+    
+    inputs.forEach((input, b) => {
+        expect(exampleLayer.forward(input)).toEqual(batchOutputs[b]);
+        const deltas = exampleLayer.backwardBatch([errors[b]])[0];
+        expect(deltas).toEqual(batchDeltas[b]);
+        expect(exampleLayer.propagateErrors([deltas])[0]).toEqual(batchInputErrors[b]);
+    });
+    
+    batchLayer.weightGradients.forEach((gradient, k) => {
+        expect(gradient).toBeCloseTo(exampleLayer.weightGradients[k], 12);
+    });
+    
+    // Per-example fields keep the last example of the batch
+    expect(batchLayer.outputs).toEqual(batchOutputs[2]);
+    
+    expect(() => batchLayer.backwardBatch([errors[0]]))
+        .toThrow('Backward batch size (1) does not match forward batch size (3)');
+    expect(() => new Layer(1, 1, activations.tanh).backwardOutput([1]))
+        .toThrow('Cannot compute gradients: no forward pass data available');
+    expect(() => batchLayer.forwardBatch([])).toThrow('Batch must be a non-empty array of input vectors');
+});
+
+test("layer gradients match numeric gradients for input-form activations", () => {
+    const inputs = [0.4, -0.9];
+    const targets = [0.3, -0.2, 0.5];
+    const epsilon = 1e-6;
+    
+    // Loss of backwardOutput without loss function: 0.5 * sum (target - output)^2
+    const lossOf = layer => layer.forward(inputs).reduce((sum, output, i) => {
+        return sum + 0.5 * Math.pow(targets[i] - output, 2);
+    }, 0);
+    
+    ['swish', 'mish', 'elu', 'gaussian', 'sin', 'cos', 'sigmoid', 'tanh'].forEach(name => {
+        const layer = new Layer(3, 2, activationLibrary[name]);
+        layer.weights.set([0.5, -1.1, 0.7, 0.3, -0.8, -0.6]);
+        layer.biases.set([-0.4, 0.2, 0.1]);
+        
+        layer.forward(inputs);
+        layer.backwardOutput(targets);
+        
+        expect(layer.neurons[0].lastWeightedSum).toBeCloseTo(0.5 * 0.4 - 1.1 * -0.9 - 0.4, 12);
+        
+        layer.weights.forEach((weight, k) => {
+            layer.weights[k] = weight + epsilon;
+            const plus = lossOf(layer);
+            layer.weights[k] = weight - epsilon;
+            const minus = lossOf(layer);
+            layer.weights[k] = weight;
+        
+            expect(layer.weightGradients[k]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+        });
+    });
+    
+    expect(() => new Layer(1, 1, { func: x => x, derivative: x => 1, derivativeForm: 'sum' }))
+        .toThrow("Activation derivativeForm must be 'output' or 'input', got: sum");
+});
+
+test("layer keeps and trains activation parameters", () => {
+    const perNeuron = new Layer(3, 2, createPRelu({ alpha: 0.2 }));
+    const shared = new Layer(3, 2, createPRelu({ alpha: 0.2, perNeuron: false }));
+    
+    expect(perNeuron.getActivationParameters()).toEqual({ alpha: [0.2, 0.2, 0.2] });
+    expect(shared.getActivationParameters()).toEqual({ alpha: [0.2] });
+    expect(perNeuron.getInfo().activationParameters).toBe(3);
+    expect(shared.countParameters()).toBe(6 + 3 + 1);
+    expect(new Layer(3, 2, activationLibrary.relu).getActivationParameters()).toBeNull();
+    
+    [perNeuron, shared].forEach(layer => {
+        layer.weights.set([1, 0, 0, 1, 0, -1]);
+        layer.biases.set([0, 0, 0]);
+        layer.setActivationParameters({ alpha: layer === shared ? [0.5] : [0.5, 0.25, 0.1] });
+    });
+    
+    // Outputs of negative sums are scaled by alpha of the neuron
+    expect(perNeuron.forward([-2, 1])).toEqual([-1, 1, -0.1]);
+    expect(shared.forward([-2, 1])).toEqual([-1, 1, -0.5]);
+    
+    // Loss 0.5 * (target - output)^2, dL/dalpha = (output - target) * sum for negative sums
+    perNeuron.backwardOutput([0, 1, 0]);
+    expect(Array.from(perNeuron.activationParameterGradients.alpha)).toEqual([2, 0, 0.1]);
+    shared.backwardOutput([0, 1, 0]);
+    expect(Array.from(shared.activationParameterGradients.alpha)).toEqual([2 + 0.5]);
+    
+    perNeuron.applyGradients(0.1);
+    expect(perNeuron.getActivationParameters().alpha[0]).toBeCloseTo(0.3, 12);
+    expect(Array.from(perNeuron.activationParameterGradients.alpha)).toEqual([0, 0, 0]);
+    
+    expect(() => perNeuron.setActivationParameters({ alpha: [1] }))
+        .toThrow('Activation parameter alpha must contain 3 finite numbers');
+    expect(() => new Layer(1, 1, activationLibrary.relu).setActivationParameters({ alpha: [1] }))
+        .toThrow('Layer activation has no trainable parameters');
+    expect(() => new Layer(1, 1, { ...createPRelu(), derivativeForm: 'output' }))
+        .toThrow('Trainable activation must be element-wise');
+    expect(() => new Layer(1, 1, { ...createPRelu(), parameters: { alpha: 'x' } }))
+        .toThrow('Trainable activation parameters must be finite numbers');
+});
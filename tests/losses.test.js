@@ -0,0 +1,157 @@
+import { test, expect } from "bun:test";
+import { losses, createHuber, getLoss, describeLoss } from "../src/losses/index.js";
+import { activations } from "../src/activations/index.js";
+import { Network } from "../src/core/Network.js";
+
+/**
+ * Test suite for Loss Functions
+ * Validates loss values, gradients and lookup helpers
+ */
+
+// Central finite difference of loss with respect to each prediction
+function numericGradient(loss, predicted, actual, epsilon = 1e-6) {
+    return predicted.map((_, i) => {
+        const plus = [...predicted];
+        const minus = [...predicted];
+        plus[i] += epsilon;
+        minus[i] -= epsilon;
+        return (loss.func(plus, actual) - loss.func(minus, actual)) / (2 * epsilon);
+    });
+}
+
+test("mse loss works correctly", () => {
+    expect(losses.mse.func([0.5, 1.0], [0.0, 1.0])).toBeCloseTo(0.125, 10);
+    expect(losses.mse.derivative([0.5, 1.0], [0.0, 1.0])).toEqual([0.5, 0]);
+});
+
+test("legacyMse reports mse and keeps the default training step", () => {
+    const network = new Network();
+    network.addLayer(1, activations.linear, 1);
+
+    expect(network.loss).toBe(losses.legacyMse);
+    expect(losses.legacyMse.func([0.5, 1.0], [0.0, 1.0])).toBe(losses.mse.func([0.5, 1.0], [0.0, 1.0]));
+
+    // delta = target - output, the gradient of 0.5 * sum of squared errors
+    expect(losses.legacyMse.derivative([0.5, 1.0], [0.0, 1.0])).toEqual([0.5, 0]);
+    const objective = { func: losses.legacyMse.objective };
+    numericGradient(objective, [0.3, -0.7], [1, 0.2]).forEach((gradient, i) => {
+        expect(gradient).toBeCloseTo(losses.legacyMse.derivative([0.3, -0.7], [1, 0.2])[i], 6);
+    });
+});
+
+test("mae loss works correctly", () => {
+    expect(losses.mae.func([0.5, -1.0], [0.0, 1.0])).toBeCloseTo(1.25, 10);
+    expect(losses.mae.derivative([0.5, -1.0], [0.0, 1.0])).toEqual([0.5, -0.5]);
+});
+
+test("huber loss is quadratic near zero and linear far away", () => {
+    const huber = createHuber(1);
+
+    expect(huber.func([0.5], [0])).toBeCloseTo(0.125, 10);
+    expect(huber.func([3], [0])).toBeCloseTo(2.5, 10);
+    expect(huber.derivative([0.5], [0])).toEqual([0.5]);
+    expect(huber.derivative([3], [0])).toEqual([1]);
+    expect(huber.derivative([-3], [0])).toEqual([-1]);
+
+    expect(createHuber(2).func([3], [0])).toBeCloseTo(4, 10);
+    expect(() => createHuber(0)).toThrow('Huber delta must be a positive number');
+});
+
+test("binary cross-entropy loss works correctly", () => {
+    const expected = -(Math.log(0.8) + Math.log(0.9)) / 2;
+    expect(losses.binaryCrossEntropy.func([0.8, 0.1], [1, 0])).toBeCloseTo(expected, 10);
+
+    // Clamping keeps loss finite for saturated predictions
+    expect(isFinite(losses.binaryCrossEntropy.func([1, 0], [0, 1]))).toBe(true);
+    expect(losses.binaryCrossEntropy.derivative([1, 0], [0, 1]).every(isFinite)).toBe(true);
+});
+
+test("cross-entropy loss works correctly", () => {
+    expect(losses.crossEntropy.func([0.7, 0.2, 0.1], [1, 0, 0])).toBeCloseTo(-Math.log(0.7), 10);
+    expect(losses.crossEntropy.derivative([0.7, 0.2, 0.1], [1, 0, 0])[0]).toBeCloseTo(-1 / 0.7, 10);
+});
+
+test("loss gradients match finite differences", () => {
+    const cases = {
+        mse: [[0.3, -1.2, 2.0], [0.1, -1.0, 1.5]],
+        mae: [[0.3, -1.2, 2.0], [0.1, -1.0, 1.5]],
+        huber: [[0.3, -1.2, 2.5], [0.1, 0.5, 0.0]],
+        binaryCrossEntropy: [[0.3, 0.8, 0.55], [0, 1, 1]],
+        crossEntropy: [[0.2, 0.5, 0.3], [0, 1, 0]],
+        nll: [[-1.6, -0.7, -1.2], [0, 1, 0]]
+    };
+
+    Object.entries(cases).forEach(([name, [predicted, actual]]) => {
+        const analytic = losses[name].derivative(predicted, actual);
+        const numeric = numericGradient(losses[name], predicted, actual);
+
+        analytic.forEach((value, i) => {
+            expect(value).toBeCloseTo(numeric[i], 5);
+        });
+    });
+});
+
+test("sigmoid output delta of binary cross-entropy matches chain rule", () => {
+    const predicted = [0.3, 0.8];
+    const actual = [1, 0];
+
+    const simplified = losses.binaryCrossEntropy.outputDeltas.sigmoid(predicted, actual);
+    const gradient = losses.binaryCrossEntropy.derivative(predicted, actual);
+
+    simplified.forEach((delta, i) => {
+        const chainRule = -gradient[i] * predicted[i] * (1 - predicted[i]);
+        expect(delta).toBeCloseTo(chainRule, 10);
+    });
+});
+
+test("softmax output delta of cross-entropy matches Jacobian chain rule", () => {
+    const predicted = activations.softmax.func([0.2, 1.5, -0.3]);
+    const actual = [0, 1, 0];
+
+    const simplified = losses.crossEntropy.outputDeltas.softmax(predicted, actual);
+    const gradient = losses.crossEntropy.derivative(predicted, actual);
+    const jacobian = activations.softmax.derivative(predicted);
+
+    simplified.forEach((delta, j) => {
+        const chainRule = -gradient.reduce((sum, g, i) => sum + g * jacobian[i][j], 0);
+        expect(delta).toBeCloseTo(chainRule, 10);
+    });
+});
+
+test("negative log-likelihood works with log-softmax outputs", () => {
+    const logPredicted = activations.logSoftmax.func([0.2, 1.5, -0.3]);
+    const actual = [0, 1, 0];
+
+    expect(losses.nll.func(logPredicted, actual)).toBeCloseTo(-logPredicted[1], 10);
+    expect(losses.nll.derivative(logPredicted, actual)).toEqual([-0, -1, -0]);
+
+    const probabilities = logPredicted.map(Math.exp);
+    const deltas = losses.nll.outputDeltas.logSoftmax(logPredicted, actual);
+    deltas.forEach((delta, i) => expect(delta).toBeCloseTo(actual[i] - probabilities[i], 10));
+});
+
+test("getLoss resolves names, configurations and objects", () => {
+    expect(getLoss('mse')).toBe(losses.mse);
+    expect(getLoss({ name: 'mae' })).toBe(losses.mae);
+    expect(getLoss({ name: 'huber', delta: 0.5 }).config).toEqual({ delta: 0.5 });
+
+    const custom = { func: () => 0, derivative: predicted => predicted.map(() => 0) };
+    expect(getLoss(custom)).toBe(custom);
+
+    expect(() => getLoss('hinge')).toThrow('Unknown loss function: hinge');
+    expect(() => getLoss(42)).toThrow('Loss function must be a name or an object with func and derivative methods');
+});
+
+test("describeLoss returns serializable loss configuration", () => {
+    expect(describeLoss(losses.mse)).toEqual({ name: 'mse' });
+    expect(describeLoss(createHuber(0.5))).toEqual({ name: 'huber', delta: 0.5 });
+    expect(describeLoss({ func: () => 0, derivative: () => [] })).toEqual({ name: 'unknown' });
+});
+
+test("all loss functions have required interface", () => {
+    Object.entries(losses).forEach(([name, loss]) => {
+        expect(loss.name).toBe(name);
+        expect(typeof loss.func).toBe('function');
+        expect(typeof loss.derivative).toBe('function');
+    });
+});
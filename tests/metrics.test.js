@@ -0,0 +1,100 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import { metrics, getMetric, toClassIndex, confusionMatrix, rocAuc, r2 } from "../src/metrics/index.js";
+
+/**
+ * Test suite for evaluation metrics
+ * Validates metric formulas, Network.evaluate and per-epoch metric tracking
+ */
+
+const data = [0, 0.25, 0.5, 0.75, 1].map(x => ({ input: [x], target: [x * x] }));
+
+function createNetwork() {
+    return new Network({ seed: 3 })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+test("classification metrics use thresholded and one-hot classes", () => {
+    expect(toClassIndex([0.7])).toBe(1);
+    expect(toClassIndex([0.2, 0.5, 0.3])).toBe(1);
+    
+    const targets = [[1, 0, 0], [0, 1, 0], [0, 1, 0], [0, 0, 1], [0, 0, 1], [0, 0, 1]];
+    const outputs = [[0.8, 0.1, 0.1], [0.2, 0.7, 0.1], [0.6, 0.3, 0.1], [0.1, 0.1, 0.8], [0.1, 0.6, 0.3], [0.2, 0.2, 0.6]];
+    
+    expect(confusionMatrix(outputs, targets)).toEqual([[1, 0, 0], [1, 1, 0], [0, 1, 2]]);
+    expect(metrics.accuracy.func(outputs, targets)).toBeCloseTo(4 / 6, 12);
+    expect(metrics.precision.func(outputs, targets)).toEqual([0.5, 0.5, 1]);
+    expect(metrics.recall.func(outputs, targets)).toEqual([1, 0.5, 2 / 3]);
+    
+    const f1 = metrics.f1.func(outputs, targets);
+    expect(f1[0]).toBeCloseTo(2 / 3, 12);
+    expect(f1[2]).toBeCloseTo(0.8, 12);
+});
+
+test("ROC-AUC ranks binary scores and handles ties", () => {
+    const targets = [[0], [0], [1], [1]];
+    
+    expect(rocAuc([[0.1], [0.4], [0.35], [0.8]], targets)).toBeCloseTo(0.75, 12);
+    expect(rocAuc([[0.5], [0.5], [0.5], [0.5]], targets)).toBeCloseTo(0.5, 12);
+    
+    // Two-class outputs are ranked by score of class 1
+    expect(rocAuc([[0.9, 0.1], [0.6, 0.4], [0.3, 0.7], [0.2, 0.8]], [[1, 0], [1, 0], [0, 1], [0, 1]])).toBe(1);
+    expect(rocAuc([[0.1], [0.2]], [[1], [1]])).toBeNaN();
+    expect(() => rocAuc([[0.2, 0.3, 0.5]], [[0, 0, 1]]))
+        .toThrow('ROC-AUC is available only for binary classification');
+});
+
+test("regression metrics average over output components", () => {
+    const targets = [[1, 2], [2, 4], [3, 6]];
+    const outputs = [[1.5, 2], [2, 3], [2.5, 6]];
+    
+    expect(metrics.mae.func(outputs, targets)).toBeCloseTo(2 / 6, 12);
+    expect(metrics.rmse.func(outputs, targets)).toBeCloseTo(Math.sqrt(1.5 / 6), 12);
+    // Component R²: 1 - 0.5 / 2 and 1 - 1 / 8
+    expect(r2(outputs, targets)).toBeCloseTo((0.75 + 0.875) / 2, 12);
+    expect(r2([[1], [1]], [[1], [1]])).toBe(1);
+});
+
+test("evaluate returns loss and requested metrics", () => {
+    const network = createNetwork();
+    const results = network.evaluate(data, { metrics: ['mae', 'r2', function maxError(outputs, targets) {
+        return Math.max(...outputs.map((output, i) => Math.abs(output[0] - targets[i][0])));
+    }] });
+    
+    expect(Object.keys(results)).toEqual(['loss', 'mae', 'r2', 'maxError']);
+    expect(results.loss).toBeCloseTo(network.evaluateValidation(data), 12);
+    expect(results.maxError).toBeGreaterThanOrEqual(results.mae);
+});
+
+test("train tracks training and validation metrics per epoch", () => {
+    const network = createNetwork();
+    const logged = [];
+    
+    network.train(data, 3, {
+        validationData: data,
+        metrics: ['mae', 'rmse'],
+        callbacks: [{ onEpochEnd: (epoch, logs) => logged.push({ ...logs }) }]
+    });
+    
+    const history = network.getMetricsHistory();
+    expect(history).toHaveLength(3);
+    expect(Object.keys(history[0])).toEqual(['mae', 'rmse', 'validationLoss', 'validationMae', 'validationRmse']);
+    expect(logged[2].validationMae).toBe(history[2].validationMae);
+    
+    // Metrics are computed with weights after the epoch
+    const final = network.evaluate(data, { metrics: ['mae'] });
+    expect(history[2].mae).toBeCloseTo(final.mae, 12);
+    expect(history[2].validationLoss).toBeCloseTo(final.loss, 12);
+});
+
+test("metrics are validated", () => {
+    const network = createNetwork();
+    
+    expect(getMetric('accuracy')).toBe(metrics.accuracy);
+    expect(() => getMetric('auc')).toThrow('Unknown metric: auc');
+    expect(() => getMetric(42)).toThrow('Metric must be a name, a function or an object with name and func');
+    expect(() => network.evaluate(data, { metrics: 'mae' })).toThrow('Metrics must be an array');
+    expect(() => network.train(data, 1, { metrics: ['auc'] })).toThrow('Unknown metric: auc');
+});
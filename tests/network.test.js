@@ -1,5 +1,11 @@
 import { test, expect } from "bun:test";
 import { Network } from "../src/core/Network.js";
+import {
+    activations as builtinActivations,
+    createLeakyRelu,
+    registerActivation,
+    unregisterActivation
+} from "../src/activations/index.js";
 
 /**
  * Test suite for Network class
@@ -111,7 +117,7 @@ test("network validates prediction inputs", () => {
 });
 
 test("network trains successfully on XOR problem", () => {
-    const network = new Network();
+    const network = new Network({ seed: 42 });
     network.addLayer(4, activations.tanh, 2)
         .addLayer(1, activations.sigmoid)
         .setLearningRate(0.3);
@@ -220,7 +226,7 @@ test("network exports and handles model data", () => {
 
     expect(modelData.architecture).toHaveLength(2);
     expect(modelData.learningRate).toBe(0.2);
-    expect(modelData.trainingHistory).toHaveLength(5);
+    expect(modelData.history.epochs).toHaveLength(5);
 
     // Check architecture structure
     expect(modelData.architecture[0].neuronCount).toBe(2);
@@ -250,7 +256,7 @@ test("network resets correctly", () => {
 });
 
 test("network handles training with validation and early stopping", () => {
-    const network = new Network();
+    const network = new Network({ seed: 42 });
     network.addLayer(3, activations.tanh, 2)
         .addLayer(1, activations.sigmoid);
 
@@ -275,7 +281,7 @@ test("network handles training with validation and early stopping", () => {
 });
 
 test("network handles regression task", () => {
-    const network = new Network();
+    const network = new Network({ seed: 42 });
     network.addLayer(5, activations.relu, 1)
         .addLayer(1, activations.linear)
         .setLearningRate(0.01);
@@ -318,6 +324,346 @@ test("network training history is accessible", () => {
     expect(network.trainingHistory[0]).not.toBe(999);
 });
 
+test("network restores exported model with identical predictions", () => {
+    const network = new Network();
+    network.addLayer(3, builtinActivations.tanh, 2)
+        .addLayer(2, builtinActivations.relu)
+        .addLayer(1, builtinActivations.sigmoid)
+        .setLearningRate(0.05);
+
+    const data = [
+        { input: [0, 1], target: [1] },
+        { input: [1, 0], target: [0] }
+    ];
+    network.train(data, 5);
+
+    const restored = Network.fromJSON(network.exportModel());
+
+    expect(restored.getInfo().architecture).toEqual([3, 2, 1]);
+    expect(restored.learningRate).toBe(0.05);
+    expect(restored.getTrainingHistory()).toEqual(network.getTrainingHistory());
+    expect(restored.layers[1].activationFunction).toBe(builtinActivations.relu);
+
+    for (const input of [[0, 1], [0.3, -0.7], [12.5, 3]]) {
+        expect(restored.predict(input)).toEqual(network.predict(input));
+    }
+
+    // importModel accepts parsed data as well
+    const imported = Network.importModel(network.toJSON());
+    expect(imported.predict([0.3, -0.7])).toEqual(network.predict([0.3, -0.7]));
+});
+
+test("network import validates model data", () => {
+    const network = new Network();
+    network.addLayer(2, builtinActivations.sigmoid, 2)
+        .addLayer(1, builtinActivations.linear);
+    const modelData = network.toJSON();
+
+    expect(modelData.version).toBe(2);
+
+    // Files written before the version field existed are migrated
+    const { version, ...legacyData } = modelData;
+    expect(Network.fromJSON(legacyData).predict([1, 2])).toEqual(network.predict([1, 2]));
+
+    expect(() => Network.fromJSON({ ...modelData, version: 99 }))
+        .toThrow('Model format version (99) is newer than supported version (2)');
+    expect(() => Network.fromJSON({ ...modelData, architecture: [] }))
+        .toThrow('Model must contain at least one layer');
+
+    const wrongInputSize = JSON.parse(JSON.stringify(modelData));
+    wrongInputSize.architecture[1].inputSize = 3;
+    expect(() => Network.fromJSON(wrongInputSize))
+        .toThrow('Layer 1: input size (3) does not match previous layer size (2)');
+
+    const missingWeights = JSON.parse(JSON.stringify(modelData));
+    missingWeights.architecture[0].weights[1].weights.pop();
+    expect(() => Network.fromJSON(missingWeights))
+        .toThrow('Layer 0, neuron 1: expected 2 weights');
+
+    const unknownActivation = JSON.parse(JSON.stringify(modelData));
+    unknownActivation.architecture[0].activationFunction = 'custom';
+    expect(() => Network.fromJSON(unknownActivation)).toThrow('Unknown activation function: custom');
+
+    // Custom activations can be supplied by name
+    const custom = { func: x => 2 * x, derivative: () => 2 };
+    const restored = Network.fromJSON(unknownActivation, { customActivations: { custom } });
+    expect(restored.layers[0].activationFunction).toBe(custom);
+});
+
+test("network trains with configurable optimizer", () => {
+    const network = new Network({ seed: 42 });
+    network.addLayer(4, activations.tanh, 2)
+        .addLayer(1, activations.sigmoid)
+        .compile({ optimizer: { name: 'adam', beta1: 0.9 } });
+
+    expect(network.optimizer.name).toBe('adam');
+    expect(network.getInfo().optimizer).toBe('adam');
+
+    const data = [
+        { input: [0, 0], target: [0] },
+        { input: [0, 1], target: [1] },
+        { input: [1, 0], target: [1] },
+        { input: [1, 1], target: [0] }
+    ];
+
+    const initialError = calculateNetworkError(network, data);
+    network.train(data, 300);
+
+    // Training recompiles but keeps the selected optimizer
+    expect(network.optimizer.name).toBe('adam');
+    expect(calculateNetworkError(network, data)).toBeLessThan(initialError);
+    expect(Object.keys(network.optimizer.state)).toContain('0.0.weights');
+});
+
+test("network resumes training with exported optimizer state", () => {
+    const network = new Network();
+    network.addLayer(3, builtinActivations.tanh, 2)
+        .addLayer(1, builtinActivations.sigmoid)
+        .compile({ optimizer: 'momentum' });
+
+    const data = [{ input: [0.5, -0.5], target: [1] }];
+    network.train(data, 5);
+
+    const restored = Network.fromJSON(network.exportModel());
+    expect(restored.optimizer.toJSON()).toEqual(network.optimizer.toJSON());
+
+    network.train(data, 5);
+    restored.train(data, 5);
+
+    expect(restored.predict([0.5, -0.5])).toEqual(network.predict([0.5, -0.5]));
+});
+
+test("network applies one averaged update per batch", () => {
+    const data = [
+        { input: [0.2, 0.7], target: [1] },
+        { input: [0.9, 0.1], target: [0] },
+        { input: [0.4, 0.4], target: [1] }
+    ];
+
+    const network = new Network({ seed: 7 });
+    network.addLayer(3, activations.tanh, 2)
+        .addLayer(1, activations.sigmoid);
+
+    // Reference: the same seed gives identical weights and the same shuffle order,
+    // gradients of every example are accumulated in that order
+    const reference = new Network({ seed: 7 });
+    reference.addLayer(3, activations.tanh, 2)
+        .addLayer(1, activations.sigmoid);
+    for (const example of reference.shuffleArray([...data])) {
+        reference.predict(example.input);
+        reference.backpropagate(example.target);
+    }
+    reference.applyGradients(data.length);
+
+    network.train(data, 1, { batchSize: data.length });
+
+    expect(network.layers[0].getWeights()).toEqual(reference.layers[0].getWeights());
+    expect(network.layers[1].getWeights()).toEqual(reference.layers[1].getWeights());
+});
+
+test("network counts optimizer steps by batch size", () => {
+    const network = new Network();
+    network.addLayer(1, activations.sigmoid, 1)
+        .compile({ optimizer: 'adam' });
+
+    const data = Array.from({ length: 10 }, (_, i) => ({ input: [i / 10], target: [i % 2] }));
+
+    network.train(data, 2, { batchSize: 4 });
+
+    // 3 batches per epoch: 4 + 4 + 2 examples
+    expect(network.optimizer.state['0.0.weights'].step).toBe(6);
+
+    expect(() => network.train(data, 1, { batchSize: 0 })).toThrow('Batch size must be a positive integer');
+    expect(() => network.train(data, 1, { batchSize: 1.5 })).toThrow('Batch size must be a positive integer');
+});
+
+test("network backpropagates hidden errors through pre-update weights", () => {
+    const network = new Network();
+    network.addLayer(2, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+
+    network.predict([1]);
+    const outputWeights = network.layers[1].getConnectionWeights().map(weights => [...weights]);
+    const outputDelta = 1 - network.layers[1].outputs[0];
+
+    network.backpropagate([1]);
+
+    const hiddenOutput = network.layers[0].outputs[0];
+    const expectedDelta = outputDelta * outputWeights[0][0] * (1 - hiddenOutput * hiddenOutput);
+    expect(network.layers[0].neurons[0].biasGradient).toBeCloseTo(-expectedDelta, 10);
+});
+
+test("network trains classifier with binary cross-entropy", () => {
+    const network = new Network({ seed: 42 });
+    network.addLayer(4, builtinActivations.tanh, 2)
+        .addLayer(1, builtinActivations.sigmoid)
+        .setLearningRate(0.5)
+        .compile({ loss: 'binaryCrossEntropy' });
+
+    expect(network.getInfo().loss).toBe('binaryCrossEntropy');
+
+    const data = [
+        { input: [0, 0], target: [0] },
+        { input: [0, 1], target: [1] },
+        { input: [1, 0], target: [1] },
+        { input: [1, 1], target: [0] }
+    ];
+
+    // Seed fixes initial weights and shuffle order, the check is on loss decrease, not an exact fit
+    network.train(data, 1000);
+
+    // Reported error is the selected loss
+    const output = network.predict([0, 1]);
+    expect(network.calculateError(output, [1])).toBeCloseTo(-Math.log(output[0]), 10);
+
+    const history = network.getTrainingHistory();
+    expect(history[history.length - 1]).toBeLessThan(history[0]);
+    expect(network.predict([0, 1])[0]).toBeGreaterThan(network.predict([0, 0])[0]);
+});
+
+test("network restores loss configuration from exported model", () => {
+    const network = new Network();
+    network.addLayer(1, builtinActivations.linear, 1)
+        .compile({ loss: { name: 'huber', delta: 0.5 } });
+
+    const modelData = network.toJSON();
+    expect(modelData.loss).toEqual({ name: 'huber', delta: 0.5 });
+
+    const restored = Network.fromJSON(modelData);
+    expect(restored.loss.name).toBe('huber');
+    expect(restored.loss.config).toEqual({ delta: 0.5 });
+
+    expect(() => network.compile({ loss: 'hinge' })).toThrow('Unknown loss function: hinge');
+});
+
+test("network trains softmax classifier with cross-entropy", () => {
+    const network = new Network({ seed: 42 });
+    network.addLayer(6, builtinActivations.tanh, 2)
+        .addLayer(3, builtinActivations.softmax)
+        .setLearningRate(0.2)
+        .compile({ loss: 'crossEntropy' });
+
+    const centers = [[0, 0], [1, 0], [0, 1]];
+    const data = [];
+    centers.forEach((center, label) => {
+        for (let i = 0; i < 5; i++) {
+            const offset = (i - 2) * 0.05;
+            const target = [0, 0, 0];
+            target[label] = 1;
+            data.push({ input: [center[0] + offset, center[1] - offset], target });
+        }
+    });
+
+    network.train(data, 300);
+
+    centers.forEach((center, label) => {
+        const probabilities = network.predictProba(center);
+        expect(probabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+        expect(network.predictClass(center)).toBe(label);
+    });
+});
+
+test("network converts outputs to class probabilities", () => {
+    const binary = new Network();
+    binary.addLayer(1, builtinActivations.sigmoid, 1);
+    binary.layers[0].setWeights([{ weights: [1], bias: 0 }]);
+
+    const p = binary.predict([2])[0];
+    expect(binary.predictProba([2])).toEqual([1 - p, p]);
+    expect(binary.predictClass([2])).toBe(1);
+    expect(binary.predictClass([-2])).toBe(0);
+
+    const logClassifier = new Network();
+    logClassifier.addLayer(3, builtinActivations.logSoftmax, 2);
+    const probabilities = logClassifier.predictProba([0.3, 0.7]);
+    expect(probabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+});
+
+test("network configures dropout and regularization per layer", () => {
+    const network = new Network();
+    network.addLayer(16, builtinActivations.relu, 2, { dropout: 0.5, l2: 0.01 })
+        .addLayer(1, builtinActivations.sigmoid, { l1: 0.001 });
+
+    expect(network.layers[0].dropout).toBe(0.5);
+    expect(network.layers[1].inputSize).toBe(16);
+    expect(network.layers[1].l1).toBe(0.001);
+
+    // Dropout is disabled for predictions
+    expect(network.predict([0.4, 0.6])).toEqual(network.predict([0.4, 0.6]));
+
+    const data = [{ input: [0.4, 0.6], target: [1] }];
+    network.train(data, 1);
+
+    // Reported epoch error includes the weight penalty
+    const penalty = network.regularizationLoss();
+    expect(penalty).toBeGreaterThan(0);
+    expect(network.getTrainingHistory()[0]).toBeGreaterThan(penalty);
+
+    expect(() => network.addLayer(2, builtinActivations.relu, { dropout: 2 }))
+        .toThrow('Dropout rate must be a number in range [0, 1)');
+});
+
+test("network exports regularization settings", () => {
+    const network = new Network();
+    network.addLayer(3, builtinActivations.tanh, 2, { dropout: 0.2, l1: 0.01, l2: 0.02 })
+        .addLayer(1, builtinActivations.linear);
+
+    const modelData = network.toJSON();
+    expect(modelData.architecture[0]).toMatchObject({ dropout: 0.2, l1: 0.01, l2: 0.02 });
+
+    const restored = Network.fromJSON(modelData);
+    expect(restored.layers[0].getInfo()).toMatchObject({ dropout: 0.2, l1: 0.01, l2: 0.02 });
+    expect(restored.predict([1, -1])).toEqual(network.predict([1, -1]));
+    expect(restored.regularizationLoss()).toBe(network.regularizationLoss());
+});
+
+test("network with the same seed trains identically", () => {
+    const data = [
+        { input: [0, 0], target: [0] },
+        { input: [0, 1], target: [1] },
+        { input: [1, 0], target: [1] },
+        { input: [1, 1], target: [0] }
+    ];
+
+    const createNetwork = (seed) => new Network({ seed })
+        .addLayer(4, activations.tanh, 2, { dropout: 0.2 })
+        .addLayer(1, activations.sigmoid);
+
+    const first = createNetwork(7);
+    const second = createNetwork(7);
+    const other = createNetwork(8);
+
+    expect(first.layers[0].getWeights()).toEqual(second.layers[0].getWeights());
+    expect(first.layers[0].getWeights()).not.toEqual(other.layers[0].getWeights());
+
+    first.train(data, 50, { batchSize: 2 });
+    second.train(data, 50, { batchSize: 2 });
+
+    expect(first.getTrainingHistory()).toEqual(second.getTrainingHistory());
+    expect(first.predict([1, 0])).toEqual(second.predict([1, 0]));
+    expect(first.getInfo().seed).toBe(7);
+
+    expect(() => new Network({ seed: 1.5 })).toThrow('Seed must be an integer');
+});
+
+test("network restores random sequence from exported model", () => {
+    const network = new Network({ seed: 3 });
+    network.addLayer(3, builtinActivations.tanh, 1)
+        .addLayer(1, builtinActivations.linear);
+
+    const data = [0, 0.25, 0.5, 0.75, 1].map(x => ({ input: [x], target: [x * x] }));
+    network.train(data, 3);
+
+    const restored = Network.fromJSON(network.exportModel());
+    expect(restored.toJSON().random).toEqual({ seed: 3, state: network.generator.state });
+
+    network.train(data, 3);
+    restored.train(data, 3);
+
+    expect(restored.getTrainingHistory()).toEqual(network.getTrainingHistory());
+    expect(Network.fromJSON(new Network().addLayer(1, builtinActivations.linear, 1).toJSON()).generator).toBeNull();
+});
+
 // Helper function to calculate network error
 function calculateNetworkError(network, data) {
     let totalError = 0;
@@ -330,3 +676,111 @@ function calculateNetworkError(network, data) {
     }
     return totalError / data.length;
 }
+
+test("network passes initializers to layers", () => {
+    const network = new Network({ seed: 11 });
+    network.addLayer(16, builtinActivations.relu, 2, { kernelInitializer: 'heNormal', biasInitializer: 'zeros' })
+        .addLayer(1, builtinActivations.sigmoid, { kernelInitializer: 'glorotUniform' });
+
+    network.layers[0].neurons.forEach(neuron => expect(neuron.bias).toBe(0));
+
+    const limit = Math.sqrt(6 / 17);
+    network.layers[1].neurons[0].weights.forEach(weight => {
+        expect(Math.abs(weight)).toBeLessThanOrEqual(limit);
+    });
+
+    const data = [
+        { input: [0, 0], target: [0] },
+        { input: [0, 1], target: [1] },
+        { input: [1, 0], target: [1] },
+        { input: [1, 1], target: [1] }
+    ];
+    network.compile({ loss: 'binaryCrossEntropy' });
+    network.train(data, 300);
+
+    expect(network.predict([0, 0])[0]).toBeLessThan(0.5);
+    expect(network.predict([1, 1])[0]).toBeGreaterThan(0.5);
+});
+
+test("network predicts a batch like individual inputs", () => {
+    const network = new Network({ seed: 5 });
+    network.addLayer(4, builtinActivations.relu, 2)
+        .addLayer(3, builtinActivations.softmax);
+
+    const inputs = [[0.1, 0.9], [0.5, -0.5], [-1, 2]];
+    const outputs = network.predictBatch(inputs);
+
+    outputs.forEach((output, i) => expect(output).toEqual(network.predict(inputs[i])));
+    expect(() => network.predictBatch([[1, 2, 3]])).toThrow('Input size (3) does not match expected size (2)');
+});
+
+test("network exports layer precision", () => {
+    const network = new Network();
+    network.addLayer(2, builtinActivations.tanh, 2, { precision: 'float32' })
+        .addLayer(1, builtinActivations.linear);
+
+    const restored = Network.fromJSON(network.exportModel());
+
+    expect(restored.layers[0].weights).toBeInstanceOf(Float32Array);
+    expect(restored.layers[1].weights).toBeInstanceOf(Float64Array);
+    expect(restored.predict([0.3, 0.6])).toEqual(network.predict([0.3, 0.6]));
+});
+
+test("network resolves activations by name and exports their parameters", () => {
+    const network = new Network({ seed: 2 })
+        .addLayer(3, 'gelu', 2)
+        .addLayer(3, { name: 'leakyRelu', alpha: 0.2 })
+        .addLayer(1, createLeakyRelu(0.01));
+
+    expect(network.layers[0].activationFunction).toBe(builtinActivations.gelu);
+
+    const modelData = network.toJSON();
+    expect(modelData.architecture[1].activationConfig).toEqual({ alpha: 0.2 });
+    expect(modelData.architecture[2].activationConfig).toEqual({ alpha: 0.01 });
+    expect(modelData.architecture[0].activationConfig).toBeUndefined();
+
+    const restored = Network.fromJSON(modelData);
+    expect(restored.layers[1].activationFunction.config).toEqual({ alpha: 0.2 });
+    expect(restored.predict([0.4, -0.9])).toEqual(network.predict([0.4, -0.9]));
+    expect(() => new Network().addLayer(2, 'softerplus', 2)).toThrow('Unknown activation function: softerplus');
+});
+
+test("network imports models with registered activations", () => {
+    registerActivation('cube', {
+        derivativeForm: 'input',
+        func: x => x * x * x,
+        derivative: x => 3 * x * x
+    });
+
+    try {
+        const network = new Network({ seed: 4 }).addLayer(2, 'cube', 1).addLayer(1, 'linear');
+        const restored = Network.importModel(network.exportModel());
+
+        expect(restored.layers[0].activationFunction.name).toBe('cube');
+        expect(restored.predict([0.5])).toEqual(network.predict([0.5]));
+    } finally {
+        unregisterActivation('cube');
+    }
+});
+
+test("network trains and exports activation parameters", () => {
+    const data = [-2, -1, -0.5, 0.5, 1, 2].map(x => ({ input: [x], target: [x < 0 ? 0.6 * x : x] }));
+    const network = new Network({ seed: 8 })
+        .addLayer(1, builtinActivations.prelu, 1)
+        .addLayer(1, builtinActivations.linear)
+        .compile({ optimizer: 'adam' });
+    network.layers[0].setWeights([{ weights: [1], bias: 0 }]);
+    network.layers[1].setWeights([{ weights: [1], bias: 0 }]);
+
+    expect(network.getInfo().totalParameters).toBe(5);
+
+    network.train(data, 200);
+
+    const restored = Network.importModel(network.exportModel());
+
+    expect(network.getActivationParameters()[0].alpha[0]).not.toBeCloseTo(0.25, 2);
+    expect(network.getActivationParameters()[1]).toBeNull();
+    expect(restored.getActivationParameters()).toEqual(network.getActivationParameters());
+    expect(restored.predict([-1.5])).toEqual(network.predict([-1.5]));
+    expect(JSON.parse(network.exportModel()).architecture[0].activationConfig).toBeUndefined();
+});
@@ -0,0 +1,217 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { BatchNorm, LayerNorm } from "../src/core/Normalization.js";
+import { createLayer } from "../src/core/layers.js";
+import { activations } from "../src/activations/index.js";
+import { gradientCheck } from "../src/utils/gradientCheck.js";
+
+/**
+ * Test suite for normalization layers
+ * Validates batch and layer normalization, their gradients and integration with the network
+ */
+
+const inputs = [[1, -2, 0.5], [3, 0, -1], [-0.5, 4, 2], [2, 1, 1.5]];
+const coefficients = [[0.3, -1.2, 0.8], [1.1, 0.4, -0.6], [-0.7, 0.9, 0.2], [0.5, -0.3, 1.4]];
+
+// Loss sum(c * y) has gradient c by outputs
+const lossOf = (layer, rows) => layer.forwardBatch(rows, true).reduce((sum, row, b) => {
+    return sum + row.reduce((rowSum, output, j) => rowSum + coefficients[b][j] * output, 0);
+}, 0);
+
+function expectNumericGradients(createLayer) {
+    const epsilon = 1e-6;
+    const layer = createLayer();
+    layer.setWeights({ ...layer.getWeights(), gamma: [1.5, 0.5, -1], beta: [0.1, -0.2, 0.3] });
+    const copyLayer = () => {
+        const copy = createLayer();
+        copy.setWeights(layer.getWeights());
+        return copy;
+    };
+    const shiftInput = (b, j, step) => inputs.map((row, i) => row.map((value, k) => {
+        return i === b && k === j ? value + step : value;
+    }));
+
+    layer.forwardBatch(inputs, true);
+    const inputGradients = layer.backward(coefficients);
+
+    inputs.forEach((row, b) => row.forEach((_, j) => {
+        const plus = lossOf(copyLayer(), shiftInput(b, j, epsilon));
+        const minus = lossOf(copyLayer(), shiftInput(b, j, -epsilon));
+
+        expect(inputGradients[b][j]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+    }));
+
+    expect(Object.keys(layer.gradients())).toEqual(['gamma', 'beta']);
+    Object.entries(layer.parameters()).forEach(([name, values]) => {
+        values.forEach((value, k) => {
+            const copy = copyLayer();
+            copy.parameters()[name][k] = value + epsilon;
+            const plus = lossOf(copy, inputs);
+            copy.parameters()[name][k] = value - epsilon;
+            const minus = lossOf(copy, inputs);
+
+            expect(layer.gradients()[name][k]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+        });
+    });
+}
+
+test("BatchNorm normalizes with batch statistics in training and running ones in inference", () => {
+    const layer = new BatchNorm(3, { momentum: 0.5 });
+    const outputs = layer.forwardBatch(inputs, true);
+
+    [0, 1, 2].forEach(j => {
+        const column = outputs.map(row => row[j]);
+        const mean = column.reduce((sum, value) => sum + value, 0) / column.length;
+        const variance = column.reduce((sum, value) => sum + (value - mean) ** 2, 0) / column.length;
+        expect(mean).toBeCloseTo(0, 10);
+        expect(variance).toBeCloseTo(1, 4);
+    });
+
+    // Feature 0: mean 1.375, variance 1.671875
+    expect(layer.runningMean[0]).toBeCloseTo(0.5 * 1.375, 12);
+    expect(layer.runningVariance[0]).toBeCloseTo(0.5 + 0.5 * 1.671875, 12);
+
+    const runningMean = Array.from(layer.runningMean);
+    const output = layer.forward([1, 1, 1], false);
+    expect(output[0]).toBeCloseTo((1 - runningMean[0]) / Math.sqrt(layer.runningVariance[0] + 1e-5), 10);
+    expect(Array.from(layer.runningMean)).toEqual(runningMean);
+
+    // A training batch of one example is normalized like in inference
+    expect(layer.forward([1, 1, 1], true)).toEqual(output);
+    expect(Array.from(layer.runningMean)).toEqual(runningMean);
+});
+
+test("BatchNorm gradients match finite differences over the batch", () => {
+    expectNumericGradients(() => new BatchNorm(3));
+});
+
+test("LayerNorm normalizes every example over its features", () => {
+    const layer = new LayerNorm(3);
+    const outputs = layer.forwardBatch(inputs, true);
+
+    outputs.forEach(row => {
+        const mean = row.reduce((sum, value) => sum + value, 0) / row.length;
+        expect(mean).toBeCloseTo(0, 10);
+        expect(row.reduce((sum, value) => sum + value * value, 0) / row.length).toBeCloseTo(1, 3);
+    });
+    expect(layer.forward(inputs[2], false)).toEqual(outputs[2]);
+});
+
+test("LayerNorm gradients match finite differences", () => {
+    expectNumericGradients(() => new LayerNorm(3));
+});
+
+test("normalization layers validate options and values", () => {
+    expect(() => new BatchNorm(0)).toThrow('Number of features must be a positive integer');
+    expect(() => new LayerNorm(2, { epsilon: 0 })).toThrow('Epsilon must be a positive number');
+    expect(() => new BatchNorm(2, { momentum: 1 })).toThrow('Momentum must be a number in range [0, 1)');
+    expect(() => new LayerNorm(2).forward([1])).toThrow('Input size (1) does not match expected size (2)');
+    expect(() => new LayerNorm(2).backward([[1, 1]])).toThrow('no forward pass data available');
+    expect(() => new BatchNorm(2).setWeights({ gamma: [1, 1], beta: [0, 0] }))
+        .toThrow('runningMean must contain 2 finite numbers');
+    expect(() => createLayer({ type: 'groupNorm', neuronCount: 2 })).toThrow('Unknown layer type: groupNorm');
+    expect(() => createLayer({ type: 'layerNorm', neuronCount: 2, inputSize: 3 }))
+        .toThrow('Normalization input size (3) must equal its size (2)');
+});
+
+test("network trains deep relu layers with normalization", () => {
+    const data = Array.from({ length: 32 }, (_, i) => {
+        const x = [Math.sin(i) * 30, Math.cos(i * 1.7) * 30];
+        return { input: x, target: [x[0] * x[1] > 0 ? 1 : 0] };
+    });
+    const network = new Network({ seed: 11 })
+        .addBatchNorm({ inputSize: 2 })
+        .addLayer(12, activations.relu)
+        .addBatchNorm()
+        .addLayer(12, activations.relu)
+        .addLayerNorm()
+        .addLayer(1, activations.sigmoid)
+        .compile({ optimizer: 'adam', loss: 'binaryCrossEntropy' });
+
+    expect(network.getInfo().architecture).toEqual([2, 12, 12, 12, 12, 1]);
+    expect(network.getInfo().totalParameters).toBe(4 + 36 + 24 + 156 + 24 + 13);
+
+    const history = network.train(data, 150, { batchSize: 8 }).getHistory();
+    expect(history.loss[history.length - 1]).toBeLessThan(history.loss[0] / 2);
+    expect(network.evaluate(data, { metrics: ['accuracy'] }).accuracy).toBeGreaterThan(0.8);
+});
+
+test("normalization layers are exported with running statistics", () => {
+    const data = [[0, 10], [1, 30], [2, 20], [3, 50]].map(([a, b]) => ({ input: [a, b], target: [a + b / 10] }));
+    const network = new Network({ seed: 12 })
+        .addLayer(3, activations.tanh, 2)
+        .addBatchNorm({ momentum: 0.8 })
+        .addLayer(3, activations.relu)
+        .addLayerNorm({ epsilon: 1e-3 })
+        .addLayer(1, activations.linear)
+        .compile({ optimizer: 'adam' });
+
+    network.train(data, 20, { batchSize: 4 });
+
+    const model = JSON.parse(network.exportModel());
+    const restored = Network.importModel(model);
+
+    expect(model.architecture[1]).toMatchObject({ type: 'batchNorm', neuronCount: 3, momentum: 0.8 });
+    expect(model.architecture[3]).toMatchObject({ type: 'layerNorm', epsilon: 1e-3 });
+    expect(restored.layers[1]).toBeInstanceOf(BatchNorm);
+    expect(restored.getWeights()).toEqual(network.getWeights());
+    expect(restored.predict([1.5, 25])).toEqual(network.predict([1.5, 25]));
+
+    model.architecture[1].inputSize = 2;
+    expect(() => Network.importModel(model)).toThrow('input size (2) does not match previous layer size (3)');
+});
+
+test("gradient check covers normalization layers", () => {
+    const network = new Network({ seed: 13 })
+        .addLayer(4, activations.tanh, 3)
+        .addBatchNorm()
+        .addLayerNorm()
+        .addLayer(2, activations.linear);
+    network.layers[1].setWeights({
+        gamma: [1.2, 0.8, -0.5, 1], beta: [0.1, 0, -0.2, 0.3],
+        runningMean: [0.1, -0.2, 0, 0.3], runningVariance: [0.5, 1.5, 0.9, 2]
+    });
+
+    const report = gradientCheck(network, { input: [0.7, -0.4, 0.2], target: [0.3, -0.1] });
+
+    expect(report.passed).toBe(true);
+    expect(report.layers.map(layer => layer.activation)).toEqual(['tanh', null, null, 'linear']);
+    expect(report.layers[1].parameters).toBe(8);
+});
+
+test("gradient check covers batch statistics in training", () => {
+    const network = new Network({ seed: 13 })
+        .addLayer(3, activations.tanh, 3)
+        .addBatchNorm()
+        .addLayer(2, activations.linear);
+    network.layers[1].setWeights({
+        gamma: [1.2, 0.8, -0.5], beta: [0.1, 0, -0.2],
+        runningMean: [0.1, -0.2, 0], runningVariance: [0.5, 1.5, 0.9]
+    });
+    const batch = inputs.map((input, b) => ({ input, target: coefficients[b].slice(0, 2) }));
+    const statistics = network.layers[1].getWeights();
+
+    const report = gradientCheck(network, batch, { training: true });
+
+    expect(report.passed).toBe(true);
+    expect(report.layers[0].relativeError).toBeLessThan(1e-7);
+    expect(network.layers[1].getWeights()).toEqual(statistics);
+
+    // Batch statistics change the gradients of the layers before normalization
+    const inference = gradientCheck(network, batch);
+    expect(inference.layers[0].analytic.weights).not.toEqual(report.layers[0].analytic.weights);
+});
+
+test("BatchNorm is not trained on single examples", () => {
+    const data = inputs.map((input, b) => ({ input, target: [coefficients[b][0]] }));
+    const network = new Network({ seed: 14 })
+        .addLayer(3, activations.tanh, 3)
+        .addBatchNorm()
+        .addLayer(1, activations.linear);
+
+    expect(() => network.train(data, 1)).toThrow('BatchNorm layers need batchSize above 1 in training');
+    expect(() => network.trainOnBatch(data.slice(0, 1))).toThrow('BatchNorm layers need batchSize above 1');
+    expect(() => network.train(data, 1, { batchSize: 2 })).not.toThrow();
+    expect(() => new Network({ seed: 14 }).addLayer(1, activations.linear, 3).addLayerNorm().train(data, 1))
+        .not.toThrow();
+});
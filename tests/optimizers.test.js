@@ -0,0 +1,162 @@
+import { test, expect } from "bun:test";
+import { Optimizer, SGD, RMSprop, Adam, AdamW, optimizers, createOptimizer } from "../src/optimizers/index.js";
+import { Layer } from "../src/core/Layer.js";
+import { BatchNorm } from "../src/core/Normalization.js";
+import { Conv1D } from "../src/core/Convolution.js";
+import { activations } from "../src/activations/index.js";
+
+/**
+ * Test suite for optimizers
+ * Validates update rules, state handling and serialization
+ */
+
+test("sgd without momentum performs plain gradient step", () => {
+    const optimizer = new SGD();
+    const params = [0.5, -0.3];
+
+    optimizer.update("w", params, [0.2, -0.4], 0.1);
+
+    expect(params[0]).toBeCloseTo(0.48, 10);
+    expect(params[1]).toBeCloseTo(-0.26, 10);
+    expect(optimizer.state).toEqual({});
+});
+
+test("sgd with momentum accumulates velocity", () => {
+    const optimizer = new SGD({ momentum: 0.9 });
+    const params = [1];
+
+    optimizer.update("w", params, [1], 0.1);
+    expect(params[0]).toBeCloseTo(0.9, 10); // v = -0.1
+
+    optimizer.update("w", params, [1], 0.1);
+    expect(params[0]).toBeCloseTo(0.71, 10); // v = 0.9 * -0.1 - 0.1 = -0.19
+    expect(optimizer.state.w.step).toBe(2);
+});
+
+test("nesterov momentum looks ahead along velocity", () => {
+    const optimizer = new SGD({ momentum: 0.9, nesterov: true });
+    const params = [1];
+
+    optimizer.update("w", params, [1], 0.1);
+
+    // v = -0.1, step = 0.9 * v - 0.1 = -0.19
+    expect(params[0]).toBeCloseTo(0.81, 10);
+});
+
+test("rmsprop normalizes step by gradient magnitude", () => {
+    const optimizer = new RMSprop({ rho: 0.9, epsilon: 1e-8 });
+    const params = [1, 1];
+
+    optimizer.update("w", params, [10, 0.01], 0.01);
+
+    // First step size is lr / sqrt(1 - rho) regardless of gradient scale
+    const expectedStep = 0.01 / Math.sqrt(0.1);
+    expect(1 - params[0]).toBeCloseTo(expectedStep, 6);
+    expect(1 - params[1]).toBeCloseTo(expectedStep, 4);
+});
+
+test("adam applies bias-corrected moments", () => {
+    const optimizer = new Adam();
+    const params = [1];
+
+    optimizer.update("w", params, [0.5], 0.001);
+
+    // After bias correction the first step equals lr * sign(gradient)
+    expect(params[0]).toBeCloseTo(0.999, 8);
+
+    optimizer.update("w", params, [0.5], 0.001);
+    expect(params[0]).toBeCloseTo(0.998, 8);
+    expect(optimizer.state.w.step).toBe(2);
+});
+
+test("adamw decays weights independently of gradient", () => {
+    const optimizer = new AdamW({ weightDecay: 0.1 });
+    const params = [2];
+
+    optimizer.update("w", params, [0], 0.1);
+
+    // Zero gradient leaves only decay: 2 - 0.1 * 0.1 * 2
+    expect(params[0]).toBeCloseTo(1.98, 8);
+});
+
+test("adamw decays only kernel weights of layers", () => {
+    const optimizer = new AdamW({ weightDecay: 0.1 });
+    const layers = [
+        new Layer(3, 2, activations.prelu, { biasInitializer: { name: 'constant', value: 0.5 } }),
+        new BatchNorm(3),
+        new Conv1D([4, 2], { filters: 2, kernelSize: 2, biasInitializer: { name: 'constant', value: 0.5 } })
+    ];
+
+    // Gradients are zero, so only decay changes parameters
+    layers.forEach((layer, index) => {
+        const before = Object.fromEntries(Object.entries(layer.parameters()).map(([name, values]) => [name, Array.from(values)]));
+        layer.applyGradients(0.1, optimizer, `layer${index}`);
+
+        Object.entries(layer.parameters()).forEach(([name, values]) => {
+            const factor = name === 'weights' || name === 'kernel' ? 0.99 : 1;
+            Array.from(values).forEach((value, k) => expect(value).toBeCloseTo(before[name][k] * factor, 12));
+        });
+    });
+    expect(layers[0].biases.every(bias => bias === 0.5)).toBe(true);
+});
+
+test("optimizers keep separate state per parameter key", () => {
+    const optimizer = new Adam();
+
+    optimizer.update("a", [1, 2], [0.1, 0.1], 0.01);
+    optimizer.update("a", [1, 2], [0.1, 0.1], 0.01);
+    optimizer.update("b", [1], [0.1], 0.01);
+
+    expect(optimizer.state.a.step).toBe(2);
+    expect(optimizer.state.a.firstMoment).toHaveLength(2);
+    expect(optimizer.state.b.step).toBe(1);
+
+    optimizer.reset();
+    expect(optimizer.state).toEqual({});
+});
+
+test("createOptimizer accepts names, configurations and instances", () => {
+    expect(createOptimizer("adam")).toBeInstanceOf(Adam);
+    expect(createOptimizer("RMSprop")).toBeInstanceOf(RMSprop);
+    expect(createOptimizer({ name: "adam", beta1: 0.8 }).config.beta1).toBe(0.8);
+    expect(createOptimizer("momentum").config).toEqual({ momentum: 0.9, nesterov: false });
+    expect(createOptimizer("nesterov").config).toEqual({ momentum: 0.9, nesterov: true });
+
+    const instance = new SGD();
+    expect(createOptimizer(instance)).toBe(instance);
+
+    expect(() => createOptimizer("lbfgs")).toThrow("Unknown optimizer: lbfgs");
+    expect(() => createOptimizer(42)).toThrow("Optimizer must be a name, an object with name field or an Optimizer instance");
+    expect(() => new SGD({ momentum: 1.5 })).toThrow("Momentum must be a number in range [0, 1)");
+    expect(() => new Adam({ epsilon: 0 })).toThrow("Epsilon must be a positive number");
+    expect(() => new AdamW({ weightDecay: -1 })).toThrow("Weight decay must be a non-negative number");
+    expect(() => new Optimizer("custom", {}).update("w", [1], [1], 0.1)).toThrow("Optimizer custom must implement update method");
+});
+
+test("optimizer state survives serialization", () => {
+    const optimizer = new AdamW({ weightDecay: 0.05, beta1: 0.85 });
+    const params = [1, -1];
+    optimizer.update("w", params, [0.3, -0.2], 0.01);
+
+    const restored = createOptimizer(JSON.parse(JSON.stringify(optimizer)));
+    const restoredParams = [...params];
+
+    expect(restored).toBeInstanceOf(AdamW);
+    expect(restored.config).toEqual(optimizer.config);
+
+    optimizer.update("w", params, [0.1, 0.4], 0.01);
+    restored.update("w", restoredParams, [0.1, 0.4], 0.01);
+
+    expect(restoredParams).toEqual(params);
+});
+
+test("all optimizer factories create working optimizers", () => {
+    Object.keys(optimizers).forEach(name => {
+        const optimizer = createOptimizer(name);
+        const params = [1];
+
+        optimizer.update("w", params, [1], 0.01);
+
+        expect(params[0]).toBeLessThan(1);
+    });
+});
@@ -0,0 +1,102 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { MaxPool, AvgPool } from "../src/core/Pooling.js";
+import { Flatten } from "../src/core/Flatten.js";
+import { Conv2D } from "../src/core/Convolution.js";
+import { gradientCheck } from "../src/utils/gradientCheck.js";
+
+/**
+ * Test suite for pooling and flatten layers
+ * Validates pooled values, gradient routing and shape inference of convolutional networks
+ */
+
+// 4x4 image with one channel, value (y, x) = 4 * y + x
+const image = Array.from({ length: 16 }, (_, i) => i);
+
+test("MaxPool keeps window maxima and routes gradients to them", () => {
+    const layer = new MaxPool([4, 4, 1]);
+
+    expect(layer.getOutputShape()).toEqual([2, 2, 1]);
+    expect(layer.forwardBatch([image])).toEqual([[5, 7, 13, 15]]);
+
+    const [gradInput] = layer.backward([[1, 2, 3, 4]]);
+    expect(gradInput.filter(value => value !== 0)).toEqual([1, 2, 3, 4]);
+    expect([gradInput[5], gradInput[7], gradInput[13], gradInput[15]]).toEqual([1, 2, 3, 4]);
+    expect(layer.backward([[1, 2, 3, 4]], { propagate: false })).toBeNull();
+});
+
+test("pooling works on every channel of 1D data", () => {
+    // Sequence of length 5 with channels (i, -i)
+    const input = [0, 0, 1, -1, 2, -2, 3, -3, 4, -4];
+    const maxPool = new MaxPool([5, 2], { poolSize: 2, stride: 1 });
+    const avgPool = new AvgPool([5, 2], { poolSize: 3, stride: 2 });
+
+    expect(maxPool.getOutputShape()).toEqual([4, 2]);
+    expect(maxPool.forward(input)).toEqual([1, 0, 2, -1, 3, -2, 4, -3]);
+    expect(avgPool.forward(input)).toEqual([1, -1, 3, -3]);
+});
+
+test("AvgPool averages windows and shares gradients", () => {
+    const layer = new AvgPool([4, 4, 1], { poolSize: 3, stride: 2, padding: 'same' });
+
+    // Windows cut by padding average only the inputs they cover
+    expect(layer.getOutputShape()).toEqual([2, 2, 1]);
+    expect(layer.forward(image)).toEqual([5, 6.5, 11, 12.5]);
+
+    const [gradInput] = layer.backward([[9, 0, 0, 0]]);
+    expect(gradInput.reduce((sum, value) => sum + value, 0)).toBeCloseTo(9, 12);
+    expect(gradInput[0]).toBe(1);
+    expect(gradInput[3]).toBe(0);
+});
+
+test("Flatten passes values and drops the shape", () => {
+    const layer = new Flatten([2, 2, 3]);
+    const input = Array.from({ length: 12 }, (_, i) => i / 10);
+
+    expect(layer.getOutputShape()).toEqual([12]);
+    expect(layer.forward(input)).toEqual(input);
+    expect(layer.backward([input])).toEqual([input]);
+    expect(layer.countParameters()).toBe(0);
+});
+
+test("network infers shapes of convolutional layers", () => {
+    const network = new Network({ seed: 11 })
+        .addConv2D({ inputShape: [8, 8, 1], filters: 4, kernelSize: 3, padding: 'same', activation: 'relu' })
+        .addMaxPool({ poolSize: 2 })
+        .addConv2D({ filters: 2, kernelSize: 3, activation: 'tanh' })
+        .addAvgPool({ poolSize: 2, padding: 'same' })
+        .addFlatten()
+        .addLayer(3, 'softmax');
+    const info = network.getInfo();
+
+    expect(info.layerTypes).toEqual(['conv2D', 'maxPool', 'conv2D', 'avgPool', 'flatten', 'dense']);
+    expect(info.outputShapes).toEqual([[8, 8, 4], [4, 4, 4], [2, 2, 2], [1, 1, 2], [2], [3]]);
+    expect(info.inputSize).toBe(64);
+    expect(info.totalParameters).toBe(40 + 74 + 9);
+
+    const input = Array.from({ length: 64 }, (_, i) => Math.sin(i * 0.9));
+    network.compile({ loss: 'crossEntropy' });
+    expect(gradientCheck(network, { input, target: [0, 1, 0] }).passed).toBe(true);
+
+    const restored = Network.importModel(network.exportModel());
+    expect(restored.getInfo().outputShapes).toEqual(info.outputShapes);
+    expect(restored.layers[3]).toBeInstanceOf(AvgPool);
+    expect(restored.predict(input)).toEqual(network.predict(input));
+});
+
+test("pooling and flatten layers validate shapes", () => {
+    expect(() => new MaxPool([4])).toThrow(
+        'MaxPool input shape must be [length, channels] or [height, width, channels] of positive integers, got [4]'
+    );
+    expect(() => new AvgPool([2, 2, 1], { poolSize: 3 })).toThrow('Window [3, 3] does not fit input shape [2, 2, 1]');
+    expect(() => new MaxPool([4, 1], { poolSize: 2, padding: 2 }))
+        .toThrow('Padding must leave at least one input in every pooling window');
+    expect(() => new Flatten([])).toThrow('Flatten input shape must be an array of positive integers');
+    expect(() => new Network().addFlatten()).toThrow('Input shape must be specified for the first layer');
+
+    // Same number of values, different arrangement
+    expect(() => new Network()
+        .addConv2D({ inputShape: [4, 4, 1], filters: 2, kernelSize: 3 })
+        .addLayer(new Conv2D([2, 4, 1], { filters: 1, kernelSize: 2 })))
+        .toThrow('Layer input shape [2, 4, 1] does not match previous layer output shape [2, 2, 2]');
+});
@@ -0,0 +1,189 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import {
+    MinMaxScaler,
+    StandardScaler,
+    RobustScaler,
+    OneHotEncoder,
+    LabelEncoder,
+    Pipeline,
+    createTransformer
+} from "../src/preprocessing/index.js";
+
+/**
+ * Test suite for preprocessing
+ * Validates scalers, encoders, pipelines and their integration with the network
+ */
+
+const rows = [[1, 10], [2, 20], [3, 30], [4, 40], [100, 50]];
+
+function expectRowsClose(actual, expected) {
+    expect(actual.length).toBe(expected.length);
+    actual.forEach((row, i) => {
+        row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 10));
+    });
+}
+
+test("MinMaxScaler maps columns to feature range and back", () => {
+    const scaler = new MinMaxScaler({ featureRange: [-1, 1] });
+    const scaled = scaler.fitTransform([[0, 5], [5, 5], [10, 5]]);
+
+    expectRowsClose(scaled, [[-1, -1], [0, -1], [1, -1]]);
+    expectRowsClose(scaler.inverseTransform(scaled), [[0, 5], [5, 5], [10, 5]]);
+    expect(() => new MinMaxScaler({ featureRange: [1, 0] })).toThrow('Feature range');
+});
+
+test("MinMaxScaler fits large columns", () => {
+    const column = Array.from({ length: 1000000 }, (_, i) => [i % 1000]);
+    const scaler = new MinMaxScaler().fit(column);
+
+    expectRowsClose(scaler.transform([[0], [999]]), [[0], [1]]);
+});
+
+test("StandardScaler gives zero mean and unit variance", () => {
+    const scaler = new StandardScaler().fit(rows);
+    const scaled = scaler.transform(rows);
+
+    [0, 1].forEach(j => {
+        const column = scaled.map(row => row[j]);
+        const mean = column.reduce((sum, value) => sum + value, 0) / column.length;
+        const variance = column.reduce((sum, value) => sum + (value - mean) ** 2, 0) / column.length;
+        expect(mean).toBeCloseTo(0, 10);
+        expect(variance).toBeCloseTo(1, 10);
+    });
+    expectRowsClose(scaler.inverseTransform(scaled), rows);
+});
+
+test("RobustScaler uses median and interquartile range", () => {
+    const scaler = new RobustScaler().fit(rows);
+
+    // First column: median 3, quartiles 2 and 4, the outlier does not change them
+    expect(scaler.state.offset).toEqual([3, 30]);
+    expect(scaler.state.scale).toEqual([2, 20]);
+    expectRowsClose(scaler.transform([[5, 50]]), [[1, 1]]);
+    expectRowsClose(scaler.inverseTransform(scaler.transform(rows)), rows);
+});
+
+test("OneHotEncoder encodes every column and decodes scores", () => {
+    const encoder = new OneHotEncoder().fit([['red', 's'], ['green', 'm'], ['blue', 's']]);
+
+    expect(encoder.state.categories).toEqual([['blue', 'green', 'red'], ['m', 's']]);
+    expect(encoder.transform([['green', 's']])).toEqual([[0, 1, 0, 0, 1]]);
+    expect(encoder.inverseTransform([[0.1, 0.2, 0.7, 0.6, 0.4]])).toEqual([['red', 'm']]);
+    expect(() => encoder.transform([['black', 's']])).toThrow('Unknown category "black" in column 0');
+
+    const lenient = new OneHotEncoder({ handleUnknown: 'ignore' }).fit([['a'], ['b']]);
+    expect(lenient.transform([['c']])).toEqual([[0, 0]]);
+});
+
+test("LabelEncoder maps labels to indices", () => {
+    const encoder = new LabelEncoder();
+
+    expect(encoder.fitTransform(['cat', 'dog', 'cat', 'bird'])).toEqual([[1], [2], [1], [0]]);
+    expect(encoder.inverseTransform([[2], [0.8], [5]])).toEqual([['dog'], ['cat'], ['dog']]);
+    expect(() => encoder.transform(['fish'])).toThrow('Unknown label "fish" in column 0');
+});
+
+test("transformers validate state and rows", () => {
+    expect(() => new StandardScaler().transform(rows)).toThrow('Transformer standardScaler must be fitted before transform');
+    expect(() => new StandardScaler().fit([])).toThrow('Rows must be a non-empty array');
+    expect(() => new StandardScaler().fit([[1], [1, 2]])).toThrow('All rows must have the same length');
+    expect(() => new StandardScaler().fit([['a']])).toThrow('Scaler values must be finite numbers');
+    expect(() => new StandardScaler().fit(rows).transform([[1]])).toThrow('Row length (1) does not match fitted length (2)');
+});
+
+test("Pipeline chains transformers and inverts them in reverse order", () => {
+    const pipeline = new Pipeline(['standardScaler', { name: 'minMaxScaler', featureRange: [-1, 1] }]);
+    const scaled = pipeline.fitTransform(rows);
+
+    expect(pipeline.fitted).toBe(true);
+    expect(Math.min(...scaled.map(row => row[0]))).toBeCloseTo(-1, 10);
+    expect(Math.max(...scaled.map(row => row[0]))).toBeCloseTo(1, 10);
+    expectRowsClose(pipeline.inverseTransform(scaled), rows);
+    expect(() => new Pipeline([])).toThrow('Pipeline must contain at least one transformer');
+});
+
+test("createTransformer restores fitted transformers from JSON", () => {
+    const pipeline = new Pipeline([new RobustScaler(), new MinMaxScaler()]).fit(rows);
+    const restored = createTransformer(JSON.parse(JSON.stringify(pipeline)));
+
+    expect(restored).toBeInstanceOf(Pipeline);
+    expect(restored.transform(rows)).toEqual(pipeline.transform(rows));
+    expect(createTransformer('labelEncoder')).toBeInstanceOf(LabelEncoder);
+    expect(() => createTransformer('unknownScaler')).toThrow('Unknown transformer: unknownScaler');
+    expect(() => createTransformer(42)).toThrow('Transformer must be a name');
+});
+
+test("network fits preprocessing on training data and applies it in predictions", () => {
+    const data = [[0, 'low'], [10, 'low'], [20, 'mid'], [30, 'high'], [40, 'high']]
+        .map(([x, label]) => ({ input: [x * 100, x], target: [label] }));
+    const network = new Network({ seed: 3 })
+        .addLayer(6, activations.tanh, 2)
+        .addLayer(3, activations.softmax)
+        .compile({ optimizer: 'adam', loss: 'crossEntropy' })
+        .setPreprocessing({ input: 'standardScaler', output: new OneHotEncoder() });
+
+    network.train(data, 300, { batchSize: 5 });
+
+    expect(network.preprocessing.input.fitted).toBe(true);
+    expect(network.predict([4000, 40])).toEqual(['high']);
+    expect(network.predictBatch([[0, 0], [2000, 20]])).toEqual([['low'], ['mid']]);
+    expect(network.predictClass([0, 0])).toBe(1);
+    expect(network.evaluate(data, { metrics: ['accuracy'] }).accuracy).toBe(1);
+});
+
+test("input preprocessing may change input size", () => {
+    const data = [['red', 1], ['green', 0], ['blue', 0.5]].map(([color, y]) => ({ input: [color], target: [y] }));
+    const network = new Network({ seed: 8 })
+        .addLayer(1, activations.linear, 3)
+        .compile({ optimizer: 'adam' })
+        .setPreprocessing({ input: 'oneHotEncoder' });
+
+    network.train(data, 300, { batchSize: 3 });
+
+    expect(network.predict(['red'])[0]).toBeCloseTo(1, 1);
+    expect(network.predictBatch([['green'], ['blue']]).map(([y]) => y)).toEqual([
+        expect.closeTo(0, 1),
+        expect.closeTo(0.5, 1)
+    ]);
+    expect(network.predictOutputs(['red'])).toEqual(network.predict(['red']));
+    expect(() => network.predict('red')).toThrow('Input data must be an array');
+});
+
+test("network requires array targets with encoders", () => {
+    const network = new Network({ seed: 9 })
+        .addLayer(2, activations.softmax, 1)
+        .setPreprocessing({ output: 'oneHotEncoder' });
+
+    expect(() => network.train([{ input: [0], target: 'cat' }, { input: [1], target: 'dog' }], 1))
+        .toThrow('Example target must be an array, wrap a single value or label as [value]');
+    expect(() => network.train([{ input: 0.5, target: ['cat'] }], 1)).toThrow('Example input must be an array');
+    expect(() => network.train([{ input: [0], target: ['cat'] }, { input: [1], target: ['dog'] }], 1)).not.toThrow();
+});
+
+test("preprocessing is saved with the model", () => {
+    const data = [0, 1, 2, 3, 4].map(x => ({ input: [x * 50], target: [x * 1000] }));
+    const network = new Network({ seed: 4 })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear)
+        .setPreprocessing({ input: [new MinMaxScaler()], output: 'standardScaler' });
+
+    network.train(data, 50, { validationSplit: 0.2 });
+
+    const restored = Network.importModel(network.exportModel());
+
+    expect(restored.preprocessing.input).toBeInstanceOf(Pipeline);
+    expect(restored.predict([120])).toEqual(network.predict([120]));
+    expect(restored.evaluateValidation(data)).toBeCloseTo(network.evaluateValidation(data), 10);
+    expect(new Network().addLayer(1, activations.linear, 1).toJSON().preprocessing)
+        .toEqual({ input: null, output: null });
+});
+
+test("predictions require fitted preprocessing", () => {
+    const network = new Network({ seed: 5 })
+        .addLayer(1, activations.linear, 1)
+        .setPreprocessing({ input: 'minMaxScaler' });
+
+    expect(() => network.predict([1])).toThrow('Transformer minMaxScaler must be fitted before transform');
+});
@@ -0,0 +1,53 @@
+import { test, expect } from "bun:test";
+import { SeededRandom } from "../src/utils/random.js";
+
+/**
+ * Test suite for seeded random number generator
+ * Validates reproducibility and value range
+ */
+
+test("seeded random repeats sequence for the same seed", () => {
+    const first = new SeededRandom(123);
+    const second = new SeededRandom(123);
+
+    const firstValues = Array.from({ length: 10 }, () => first.next());
+    const secondValues = Array.from({ length: 10 }, () => second.next());
+
+    expect(firstValues).toEqual(secondValues);
+    expect(new SeededRandom(124).next()).not.toBe(firstValues[0]);
+});
+
+test("seeded random returns known values on every platform", () => {
+    const random = new SeededRandom(1);
+
+    expect(random.next()).toBeCloseTo(0.6270739405881613, 15);
+    expect(random.next()).toBeCloseTo(0.002735721180215478, 15);
+});
+
+test("seeded random produces uniform values in [0, 1)", () => {
+    const random = new SeededRandom(42);
+    const values = Array.from({ length: 10000 }, () => random.next());
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+
+    values.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+    });
+    expect(mean).toBeCloseTo(0.5, 1);
+});
+
+test("seeded random state can be saved and restored", () => {
+    const random = new SeededRandom(5);
+    random.next();
+
+    const copy = new SeededRandom(5);
+    copy.state = random.state;
+
+    expect(copy.next()).toBe(random.next());
+});
+
+test("seeded random validates seed", () => {
+    expect(() => new SeededRandom(0.5)).toThrow('Seed must be an integer');
+    expect(() => new SeededRandom("seed")).toThrow('Seed must be an integer');
+    expect(new SeededRandom(-1).state).toBe(4294967295);
+});
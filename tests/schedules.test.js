@@ -0,0 +1,99 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { activations } from "../src/activations/index.js";
+import {
+    StepDecay,
+    ExponentialDecay,
+    CosineAnnealing,
+    CosineWarmRestarts,
+    ReduceLROnPlateau,
+    createSchedule
+} from "../src/schedules/index.js";
+
+/**
+ * Test suite for learning rate schedules
+ * Validates rate formulas, integration with train and rate history
+ */
+
+const data = [0, 0.25, 0.5, 0.75, 1].map(x => ({ input: [x], target: [x * x] }));
+
+function createNetwork() {
+    return new Network({ seed: 2 })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+test("schedules compute rates from step and base rate", () => {
+    const step = new StepDecay({ dropEvery: 2, factor: 0.5 });
+    expect([0, 1, 2, 3, 4].map(i => step.getRate(i, 0.1))).toEqual([0.1, 0.1, 0.05, 0.05, 0.025]);
+
+    const exponential = new ExponentialDecay({ decayRate: 0.5, decaySteps: 2 });
+    expect(exponential.getRate(1, 0.1)).toBeCloseTo(0.1 * Math.SQRT1_2, 12);
+
+    const cosine = new CosineAnnealing({ period: 4, minRate: 0.01 });
+    expect(cosine.getRate(0, 0.1)).toBeCloseTo(0.1, 12);
+    expect(cosine.getRate(2, 0.1)).toBeCloseTo(0.055, 12);
+    expect(cosine.getRate(10, 0.1)).toBeCloseTo(0.01, 12);
+
+    // Cycles of 2, 4, 8 steps
+    const restarts = new CosineWarmRestarts({ period: 2, periodMultiplier: 2 });
+    expect(restarts.getRate(1, 0.1)).toBeCloseTo(0.05, 12);
+    expect(restarts.getRate(2, 0.1)).toBeCloseTo(0.1, 12);
+    expect(restarts.getRate(4, 0.1)).toBeCloseTo(0.05, 12);
+    expect(restarts.getRate(6, 0.1)).toBeCloseTo(0.1, 12);
+});
+
+test("train applies schedule per epoch and records rate history", () => {
+    const network = createNetwork().setLearningRate(0.2);
+
+    network.train(data, 4, { learningRateSchedule: { name: 'stepDecay', dropEvery: 1, factor: 0.5 } });
+
+    expect(network.getLearningRateHistory()).toEqual([0.2, 0.1, 0.05, 0.025]);
+    expect(network.learningRate).toBe(0.2);
+
+    const restored = Network.fromJSON(network.exportModel());
+    expect(restored.getLearningRateHistory()).toEqual(network.getLearningRateHistory());
+});
+
+test("batch schedules update rate before every batch", () => {
+    const network = createNetwork().setLearningRate(0.1);
+    const rates = [];
+
+    network.train(data, 2, {
+        batchSize: 2,
+        learningRateSchedule: new CosineAnnealing({ unit: 'batch' }),
+        callbacks: [{ onBatchEnd: (batch, logs, net) => rates.push(net.learningRate) }]
+    });
+
+    // 3 batches per epoch, one cosine cycle over all 6 batches
+    expect(rates).toHaveLength(6);
+    rates.forEach((rate, i) => {
+        expect(rate).toBeCloseTo(0.05 * (1 + Math.cos(Math.PI * i / 6)), 12);
+    });
+    expect(network.getLearningRateHistory()[1]).toBe(rates[5]);
+});
+
+test("plateau schedule reduces rate when validation error stalls", () => {
+    const network = createNetwork().setLearningRate(0.1);
+    const validationLosses = [1, 0.9, 0.95, 0.92, 0.91, 0.85, 0.9, 0.9];
+    const schedule = new ReduceLROnPlateau({ monitor: 'score', patience: 2, factor: 0.5, cooldown: 1 });
+
+    network.train(data, validationLosses.length, {
+        callbacks: [{ onEpochEnd: (epoch, logs) => { logs.score = validationLosses[epoch]; } }, schedule]
+    });
+
+    expect(network.getLearningRateHistory()).toEqual([0.1, 0.1, 0.1, 0.1, 0.05, 0.05, 0.05, 0.05]);
+
+    const reduced = createNetwork().setLearningRate(0.1);
+    expect(() => reduced.train(data, 1, { learningRateSchedule: 'reduceOnPlateau' }))
+        .toThrow('Monitored value "validationLoss" is not available in training logs, pass validationData to train');
+});
+
+test("createSchedule validates specification", () => {
+    expect(createSchedule('cosineAnnealing')).toBeInstanceOf(CosineAnnealing);
+    expect(() => createSchedule('linear')).toThrow('Unknown learning rate schedule: linear');
+    expect(() => createSchedule(42))
+        .toThrow('Schedule must be a name, an object with name field or a LearningRateSchedule instance');
+    expect(() => new StepDecay({ factor: 1 })).toThrow('Decay factor must be a number in range (0, 1)');
+    expect(() => new StepDecay({ unit: 'step' })).toThrow("Schedule unit must be 'epoch' or 'batch'");
+});
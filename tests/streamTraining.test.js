@@ -0,0 +1,145 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { TrainingHistory } from "../src/core/TrainingHistory.js";
+import { activations } from "../src/activations/index.js";
+import { Callback } from "../src/callbacks/index.js";
+
+/**
+ * Test suite for streamed and online training
+ * Validates trainAsync over iterables and single-step trainOnBatch
+ */
+
+const data = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9].map(x => ({ input: [x], target: [x * x] }));
+
+function createNetwork() {
+    return new Network({ seed: 9 })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+async function* generateExamples() {
+    for (const example of data) {
+        yield example;
+    }
+}
+
+test("trainAsync performs the same updates as trainOnBatch", async () => {
+    const streamed = createNetwork();
+    const online = createNetwork();
+
+    await streamed.trainAsync(() => generateExamples(), { epochs: 2, batchSize: 4 });
+
+    for (let epoch = 0; epoch < 2; epoch++) {
+        for (let start = 0; start < data.length; start += 4) {
+            online.trainOnBatch(data.slice(start, start + 4));
+        }
+    }
+
+    expect(streamed.getWeights()).toEqual(online.getWeights());
+    expect(online.getHistory().length).toBe(0);
+});
+
+test("trainAsync resolves to training history with validation metrics", async () => {
+    const network = createNetwork();
+    const batches = [];
+    const callback = new Callback();
+    callback.onBatchEnd = (batch, logs) => batches.push(logs.size);
+
+    const history = await network.trainAsync(() => generateExamples(), {
+        epochs: 3,
+        batchSize: 3,
+        validationData: data,
+        metrics: ['mae'],
+        callbacks: [callback]
+    });
+
+    expect(history).toBeInstanceOf(TrainingHistory);
+    expect(history.length).toBe(3);
+    expect(history.stopReason).toBe('completed');
+    expect(Object.keys(history.epochs[0])).toEqual(['epoch', 'loss', 'learningRate', 'validationLoss', 'validationMae', 'duration']);
+    expect(batches).toEqual([3, 3, 3, 1, 3, 3, 3, 1, 3, 3, 3, 1]);
+});
+
+test("trainAsync accepts arrays of examples and datasets", async () => {
+    const network = createNetwork();
+    const chunks = [{ data: data.slice(0, 5) }, data.slice(5)];
+
+    const history = await network.trainAsync(chunks, { epochs: 2, batchSize: 10 });
+
+    expect(history.length).toBe(2);
+    expect(history.loss[1]).toBeLessThan(history.loss[0]);
+});
+
+test("trainAsync yields to the event loop between batches", async () => {
+    const network = createNetwork();
+    let immediateRan = false;
+    let seenInSecondBatch = null;
+    const callback = new Callback();
+    callback.onBatchBegin = batch => {
+        if (batch === 1) {
+            seenInSecondBatch = immediateRan;
+        }
+    };
+
+    setImmediate(() => {
+        immediateRan = true;
+    });
+    await network.trainAsync(data, { batchSize: 2, callbacks: [callback] });
+
+    expect(seenInSecondBatch).toBe(true);
+});
+
+test("trainAsync validates source and options", async () => {
+    const network = createNetwork();
+    const generator = generateExamples();
+
+    await expect(network.trainAsync(42)).rejects.toThrow('Training source must be an iterable');
+    await expect(network.trainAsync(generator, { epochs: 2 }))
+        .rejects.toThrow('Training source produced no examples in epoch 1');
+    await expect(network.trainAsync(data, { validationSplit: 0.2 })).rejects.toThrow('Validation split is not supported');
+    await expect(network.trainAsync([{ input: [1, 2], target: [1] }])).rejects.toThrow('Network input size (1) does not match');
+    await expect(network.trainAsync(data, { learningRateSchedule: { name: 'exponentialDecay', unit: 'batch' } }))
+        .rejects.toThrow('Schedules with batch unit need the number of samples per epoch');
+});
+
+test("training runs onTrainEnd when it throws", async () => {
+    const network = createNetwork();
+    const endLogs = [];
+    const options = {
+        learningRateSchedule: { name: 'stepDecay', dropEvery: 1, factor: 0.5 },
+        callbacks: [{ onTrainEnd: logs => endLogs.push(logs) }]
+    };
+
+    async function* failingExamples(epoch) {
+        yield* generateExamples();
+
+        if (epoch === 1) {
+            throw new Error('Source failed');
+        }
+    }
+
+    await expect(network.trainAsync(epoch => failingExamples(epoch), { ...options, epochs: 3 }))
+        .rejects.toThrow('Source failed');
+    expect(network.learningRate).toBe(0.1);
+    expect(endLogs).toEqual([{ epochs: 1, loss: network.getTrainingHistory()[0], stopReason: 'error' }]);
+    expect(network.getHistory().stoppedEpoch).toBe(0);
+    expect(network.getHistory().stopDetails).toEqual({ message: 'Source failed' });
+
+    const failing = { onEpochEnd: epoch => { if (epoch === 1) throw new Error('Callback failed'); } };
+    expect(() => network.train(data, 3, { ...options, callbacks: [...options.callbacks, failing] }))
+        .toThrow('Callback failed');
+    expect(network.learningRate).toBe(0.1);
+    expect(endLogs[1].stopReason).toBe('error');
+});
+
+test("trainOnBatch applies fitted preprocessing", () => {
+    const network = createNetwork().setPreprocessing({ input: 'standardScaler' });
+
+    expect(() => network.trainOnBatch(data)).toThrow('Transformer standardScaler must be fitted before transform');
+
+    network.preprocessing.input.fit(data.map(example => example.input));
+    const loss = network.trainOnBatch(data);
+
+    expect(loss).toBeGreaterThan(0);
+    expect(() => network.trainOnBatch([])).toThrow('Training data must be a non-empty array');
+});
@@ -0,0 +1,144 @@
+import { test, expect } from "bun:test";
+import { Network } from "../src/core/Network.js";
+import { TrainingHistory } from "../src/core/TrainingHistory.js";
+import { activations } from "../src/activations/index.js";
+import { Callback, EarlyStopping } from "../src/callbacks/index.js";
+
+/**
+ * Test suite for training history
+ * Validates epoch records, stop reasons, serialization and model export
+ */
+
+const data = [0, 0.25, 0.5, 0.75, 1].map(x => ({ input: [x], target: [x * x] }));
+
+function createNetwork() {
+    return new Network({ seed: 6 })
+        .addLayer(4, activations.tanh, 1)
+        .addLayer(1, activations.linear);
+}
+
+test("train records epoch logs with duration", () => {
+    const network = createNetwork();
+    network.train(data, 3, { validationData: data, metrics: ['mae'] });
+    
+    const history = network.getHistory();
+    
+    expect(history).toBeInstanceOf(TrainingHistory);
+    expect(history.length).toBe(3);
+    expect(Object.keys(history.epochs[0]))
+        .toEqual(['epoch', 'loss', 'learningRate', 'mae', 'validationLoss', 'validationMae', 'duration']);
+    expect(history.loss).toEqual(network.getTrainingHistory());
+    expect(history.validationLoss.every(value => typeof value === 'number')).toBe(true);
+    expect(history.get('epoch')).toEqual([0, 1, 2]);
+    expect(history.get('duration').every(value => value >= 0)).toBe(true);
+    expect(history.duration).toBeCloseTo(history.get('duration').reduce((sum, value) => sum + value, 0), 9);
+    expect(history.stopReason).toBe('completed');
+    expect(history.stoppedEpoch).toBeNull();
+    
+    // getHistory returns a copy
+    history.epochs[0].loss = 999;
+    expect(network.getHistory().epochs[0].loss).not.toBe(999);
+});
+
+test("trainingHistory property stays assignable", () => {
+    const network = createNetwork();
+    network.train(data, 3);
+    
+    network.trainingHistory = [];
+    expect(network.trainingHistory).toEqual([]);
+    expect(network.getHistory().length).toBe(0);
+    
+    network.trainingHistory = [0.5, 0.25];
+    expect(network.getTrainingHistory()).toEqual([0.5, 0.25]);
+    expect(network.getHistory().get('epoch')).toEqual([0, 1]);
+    
+    // The property returns a copy, changes take effect when assigned back
+    const losses = network.trainingHistory;
+    losses.push(0.125);
+    expect(network.trainingHistory).toEqual([0.5, 0.25]);
+    network.trainingHistory = losses;
+    expect(network.trainingHistory).toEqual([0.5, 0.25, 0.125]);
+    expect(() => { network.trainingHistory = null; }).toThrow('Training history must be an array of loss values');
+});
+
+test("history reports why training stopped", () => {
+    class StopAtSecond extends Callback {
+        onEpochEnd(epoch) {
+            if (epoch === 1) {
+                this.network.stopTraining = true;
+            }
+        }
+    }
+    
+    const network = createNetwork();
+    let endLogs = null;
+    network.train(data, 10, { callbacks: [new StopAtSecond(), { onTrainEnd: logs => { endLogs = logs; } }] });
+    
+    expect(network.getHistory().stopReason).toBe('callback');
+    expect(network.getHistory().stoppedEpoch).toBe(1);
+    expect(endLogs).toEqual({ epochs: 2, loss: network.getTrainingHistory()[1], stopReason: 'callback' });
+    
+    const scores = [0.5, 0.4, 0.45, 0.46];
+    network.train(data, 10, {
+        callbacks: [
+            { onEpochEnd: (epoch, logs) => { logs.score = scores[epoch]; } },
+            new EarlyStopping({ monitor: 'score', patience: 2 })
+        ]
+    });
+    
+    expect(network.getHistory().stopReason).toBe('earlyStopping');
+    expect(network.getHistory().stoppedEpoch).toBe(3);
+});
+
+test("history records early stopping in the last epoch", () => {
+    const scores = [0.5, 0.6];
+    const earlyStopping = new EarlyStopping({ monitor: 'score', patience: 1 });
+    const network = createNetwork();
+    network.train(data, 2, {
+        callbacks: [{ onEpochEnd: (epoch, logs) => { logs.score = scores[epoch]; } }, earlyStopping]
+    });
+    
+    expect(earlyStopping.stoppedEpoch).toBe(1);
+    expect(network.getHistory().stopReason).toBe('earlyStopping');
+    expect(network.getHistory().stoppedEpoch).toBe(1);
+    expect(network.getHistory().stopDetails).toMatchObject({ monitor: 'score', best: 0.5, bestEpoch: 0 });
+});
+
+test("history serializes to JSON and CSV", () => {
+    const history = new TrainingHistory();
+    history.record(0, { loss: 0.5, learningRate: 0.1 }, 12);
+    history.record(1, { loss: 0.25, learningRate: 0.1, f1: [0.5, 1] }, 10);
+    history.finish('completed');
+    
+    expect(history.toCSV()).toBe([
+        'epoch,loss,learningRate,duration,f1',
+        '0,0.5,0.1,12,',
+        '1,0.25,0.1,10,"[0.5,1]"'
+    ].join('\n'));
+    
+    const restored = TrainingHistory.fromJSON(JSON.parse(JSON.stringify(history)));
+    expect(restored.toJSON()).toEqual(history.toJSON());
+    expect(restored.duration).toBe(22);
+    expect(restored.last()).toEqual({ epoch: 1, loss: 0.25, learningRate: 0.1, f1: [0.5, 1], duration: 10 });
+    expect(() => TrainingHistory.fromJSON({})).toThrow('Training history must contain epochs array');
+});
+
+test("exported model keeps training history", () => {
+    const network = createNetwork();
+    network.train(data, 4, { validationData: data });
+    
+    const restored = Network.fromJSON(network.exportModel());
+    expect(restored.getHistory().toJSON()).toEqual(network.getHistory().toJSON());
+    
+    // Version 1 files stored bare loss and learning rate arrays
+    const { history, ...modelData } = network.toJSON();
+    const legacy = Network.fromJSON({
+        ...modelData,
+        version: 1,
+        trainingHistory: history.epochs.map(entry => entry.loss),
+        learningRateHistory: history.epochs.map(entry => entry.learningRate)
+    });
+    expect(legacy.getTrainingHistory()).toEqual(network.getTrainingHistory());
+    expect(legacy.getLearningRateHistory()).toEqual(network.getLearningRateHistory());
+    expect(legacy.getHistory().stopReason).toBeNull();
+});